@@ -7,6 +7,8 @@ import { UIController } from './ui-controller.js';
 import { DOMManager } from './dom-manager.js';
 import { ClipboardManager } from './clipboard-manager.js';
 import { WorkerComm } from './worker-comm.js';
+import { DraftStore } from './draft-store.js';
+import { TemplateStore } from './template-store.js';
 import { Utils } from './utils.js';
 
 class JiraMarkdownApp {
@@ -25,8 +27,12 @@ class JiraMarkdownApp {
     // Configuration
     this.config = {
       debounceDelay: 150,
-      maxInputSize: 10000,
-      workerTimeout: 5000,
+      maxInputSize: 10000,        // Soft limit: larger input shows a warning
+      workerTimeout: 5000,        // Restarted by each worker PROGRESS message
+      workerPoolSize: 1,          // Workers converting in parallel
+      workerMaxRestarts: 5,       // Crashes in a row before a worker is given up
+      draftMaxSnapshots: 50,      // History entries kept per draft
+      draftSnapshotInterval: 300000, // At most one automatic snapshot per 5 minutes
       enableWebWorker: true
     };
   }
@@ -47,6 +53,9 @@ class JiraMarkdownApp {
       // Initialize core modules
       await this.initializeModules();
       
+      // Bring back the draft that was open last
+      await this.restoreDrafts();
+      
       // Set up global error handling
       this.setupErrorHandling();
       
@@ -106,16 +115,30 @@ class JiraMarkdownApp {
 
       // Initialize Worker Communication
       if (this.config.enableWebWorker) {
-        this.modules.worker = new WorkerComm('workers/markdown-worker.js');
+        this.modules.worker = new WorkerComm('workers/markdown-worker.js', {
+          poolSize: this.config.workerPoolSize,
+          maxRestarts: this.config.workerMaxRestarts
+        });
         await this.modules.worker.init();
         console.log('✅ Web Worker initialized');
       }
 
+      // Initialize Draft Store (saved drafts and their history)
+      this.modules.drafts = new DraftStore({
+        maxSnapshots: this.config.draftMaxSnapshots,
+        snapshotInterval: this.config.draftSnapshotInterval
+      });
+
+      // Initialize Template Store (built-in and saved comment templates)
+      this.modules.templates = new TemplateStore();
+
       // Initialize UI Controller (coordinates other modules)
       this.modules.ui = new UIController({
         domManager: this.modules.dom,
         clipboardManager: this.modules.clipboard,
         workerComm: this.modules.worker,
+        draftStore: this.modules.drafts,
+        templateStore: this.modules.templates,
         config: this.config
       });
       
@@ -128,6 +151,20 @@ class JiraMarkdownApp {
     }
   }
 
+  /**
+   * Restore the draft that was open last into the input. On first use the
+   * current input becomes the first draft. Drafts are optional: when
+   * storage is unavailable the app works without them.
+   */
+  async restoreDrafts() {
+    try {
+      await this.modules.ui.restoreDraft();
+      console.log('✅ Drafts restored');
+    } catch (error) {
+      console.warn('⚠️ Drafts could not be restored:', error);
+    }
+  }
+
   /**
    * Set up global error handling
    */
@@ -151,6 +188,7 @@ class JiraMarkdownApp {
         console.error('Web Worker error:', error);
         this.handleWorkerError(error);
       };
+      this.modules.worker.onRestart = () => this.handleWorkerRestart();
     }
   }
 
@@ -251,7 +289,19 @@ class JiraMarkdownApp {
   }
 
   /**
-   * Handle Web Worker specific errors
+   * Handle a crashed Web Worker coming back: convert the current input
+   * again, since its conversion was lost with the old worker
+   */
+  handleWorkerRestart() {
+    if (this.modules.ui) {
+      this.modules.ui.showStatus('Background worker restarted', 'info');
+      this.modules.ui.reprocessInput();
+    }
+  }
+
+  /**
+   * Handle Web Worker specific errors. Crashed workers are restarted by
+   * WorkerComm; this only runs once every worker has failed repeatedly.
    */
   handleWorkerError(error) {
     console.warn('Web Worker failed, falling back to main thread processing');
@@ -1,5 +1,5 @@
 /**
- * Clipboard Manager - Handles copying HTML to clipboard
+ * Clipboard Manager - Handles copying HTML (as rich text or source) to clipboard
  */
 
 export class ClipboardManager {
@@ -20,9 +20,10 @@ export class ClipboardManager {
   /**
    * Copy text to clipboard using the best available method
    * @param {string} text - Text to copy
+   * @param {string} successMessage - Feedback shown on success
    * @returns {Promise<boolean>} Success status
    */
-  async copyToClipboard(text) {
+  async copyToClipboard(text, successMessage = 'HTML copied to clipboard!') {
     if (!text) {
       this.showFeedback(false, 'No content to copy');
       return false;
@@ -38,7 +39,7 @@ export class ClipboardManager {
       }
 
       if (success) {
-        this.showFeedback(true, 'HTML copied to clipboard!');
+        this.showFeedback(true, successMessage);
         console.log('✅ Successfully copied to clipboard');
       } else {
         this.showFeedback(false, 'Failed to copy to clipboard');
@@ -108,19 +109,23 @@ export class ClipboardManager {
   }
 
   /**
-   * Copy HTML with rich text support
+   * Copy HTML with rich text support: pasted into a rich text editor it
+   * keeps its formatting, pasted anywhere else it is the plain text
    * @param {string} html - HTML content to copy
-   * @param {string} plainText - Plain text fallback
+   * @param {string} plainText - Plain text rendering of the same content
+   * @param {string} successMessage - Feedback shown on success
    * @returns {Promise<boolean>} Success status
    */
-  async copyRichContent(html, plainText = '') {
+  async copyRichContent(html, plainText = '', successMessage = 'Formatted text copied to clipboard!') {
     if (!html) {
       this.showFeedback(false, 'No content to copy');
       return false;
     }
 
     try {
-      if (navigator.clipboard && navigator.clipboard.write) {
+      let success = false;
+
+      if (navigator.clipboard && navigator.clipboard.write && typeof ClipboardItem !== 'undefined') {
         // Use rich text copying if available
         const data = [
           new ClipboardItem({
@@ -130,15 +135,48 @@ export class ClipboardManager {
         ];
 
         await navigator.clipboard.write(data);
-        this.showFeedback(true, 'HTML copied with formatting!');
-        return true;
+        success = true;
       } else {
-        // Fallback to plain HTML text
-        return await this.copyToClipboard(html);
+        success = this.copyRichWithFallback(html, plainText || html);
+      }
+
+      if (success) {
+        this.showFeedback(true, successMessage);
+        return true;
       }
     } catch (error) {
-      console.warn('Rich content copy failed, falling back to plain text:', error);
-      return await this.copyToClipboard(html);
+      console.warn('Rich content copy failed, trying fallback:', error);
+      if (this.copyRichWithFallback(html, plainText || html)) {
+        this.showFeedback(true, successMessage);
+        return true;
+      }
+    }
+
+    // Last resort: the plain text alone
+    return await this.copyToClipboard(plainText || html, 'Copied as plain text (formatting not supported here)');
+  }
+
+  /**
+   * Copy HTML and plain text using the copy event (execCommand)
+   * @param {string} html - HTML content
+   * @param {string} plainText - Plain text content
+   * @returns {boolean} Success status
+   */
+  copyRichWithFallback(html, plainText) {
+    const handleCopy = (event) => {
+      event.clipboardData.setData('text/html', html);
+      event.clipboardData.setData('text/plain', plainText);
+      event.preventDefault();
+    };
+
+    try {
+      document.addEventListener('copy', handleCopy);
+      return document.execCommand('copy');
+    } catch (error) {
+      console.error('Fallback rich copy failed:', error);
+      return false;
+    } finally {
+      document.removeEventListener('copy', handleCopy);
     }
   }
 
@@ -0,0 +1,163 @@
+/**
+ * Diagnostics Panel - Shows conversion problems next to the markdown input
+ *
+ * Draws a marker in the gutter beside each reported line and lists the
+ * problems under the textarea. Choosing a problem moves the caret to it.
+ */
+
+import { Utils } from './utils.js';
+
+// Severity -> marker symbol, most severe first
+const SEVERITY_ICONS = {
+  error: '✖',
+  warning: '⚠',
+  info: 'ℹ'
+};
+
+export class DiagnosticsPanel {
+  /**
+   * @param {Object} options - Panel options
+   * @param {DOMManager} options.domManager - DOM manager
+   * @param {HTMLTextAreaElement} options.textarea - Markdown input
+   * @param {HTMLElement} options.gutter - Gutter beside the textarea
+   * @param {HTMLElement} options.list - Problem list under the textarea
+   */
+  constructor(options = {}) {
+    this.domManager = options.domManager;
+    this.textarea = options.textarea;
+    this.gutter = options.gutter;
+    this.list = options.list;
+    this.diagnostics = [];
+  }
+
+  /**
+   * Wire up the problem list and keep the gutter aligned with the textarea
+   */
+  init() {
+    if (!this.textarea || !this.gutter || !this.list) return;
+
+    this.markers = this.domManager.createElement('div', { class: 'editor-gutter-markers' });
+    this.gutter.appendChild(this.markers);
+
+    this.domManager.addEventListener(this.list, 'click', (event) => {
+      const item = event.target.closest('[data-line]');
+      if (item) {
+        this.reveal(Number(item.dataset.line), Number(item.dataset.column));
+      }
+    });
+
+    this.domManager.addEventListener(this.textarea, 'scroll', () => this.syncScroll());
+    this.domManager.addEventListener(window, 'resize', () => this.renderMarkers());
+  }
+
+  /**
+   * Show a new set of diagnostics, replacing the previous ones
+   * @param {Array} diagnostics - Diagnostics ({ severity, message, line, column })
+   */
+  show(diagnostics = []) {
+    if (!this.list) return;
+
+    this.diagnostics = diagnostics;
+    this.renderList();
+    this.renderMarkers();
+  }
+
+  /**
+   * Remove all markers and problems
+   */
+  clear() {
+    this.show([]);
+  }
+
+  /**
+   * Render the clickable problem list
+   */
+  renderList() {
+    this.list.innerHTML = '';
+    this.list.hidden = this.diagnostics.length === 0;
+
+    for (const diagnostic of this.diagnostics) {
+      const hasPosition = Number.isInteger(diagnostic.line);
+      const item = this.domManager.createElement(hasPosition ? 'button' : 'div', {
+        class: `problem-item problem-${diagnostic.severity}`
+      });
+      if (hasPosition) {
+        item.type = 'button';
+        item.dataset.line = diagnostic.line;
+        item.dataset.column = diagnostic.column || 1;
+      }
+
+      const icon = this.domManager.createElement('span', { class: 'problem-icon', 'aria-hidden': 'true' });
+      icon.textContent = SEVERITY_ICONS[diagnostic.severity] || SEVERITY_ICONS.info;
+      const location = this.domManager.createElement('span', { class: 'problem-location' });
+      location.textContent = hasPosition ? `Ln ${diagnostic.line}, Col ${diagnostic.column || 1}` : 'Input';
+      const message = this.domManager.createElement('span', { class: 'problem-message' });
+      message.textContent = diagnostic.message;
+
+      item.append(icon, location, message);
+      const entry = this.domManager.createElement('li');
+      entry.appendChild(item);
+      this.list.appendChild(entry);
+    }
+  }
+
+  /**
+   * Place one marker per reported line, showing the most severe problem
+   */
+  renderMarkers() {
+    if (!this.markers) return;
+
+    this.markers.innerHTML = '';
+    const byLine = new Map();
+    for (const diagnostic of this.diagnostics) {
+      if (!Number.isInteger(diagnostic.line)) continue;
+      const lineProblems = byLine.get(diagnostic.line) || [];
+      lineProblems.push(diagnostic);
+      byLine.set(diagnostic.line, lineProblems);
+    }
+    if (byLine.size === 0) return;
+
+    const tops = Utils.measureTextareaLines(this.textarea, [...byLine.keys()]);
+    for (const [line, problems] of byLine) {
+      const severity = Object.keys(SEVERITY_ICONS).find(name => problems.some(p => p.severity === name)) || 'info';
+      const marker = this.domManager.createElement('span', {
+        class: `gutter-marker problem-${severity}`,
+        title: problems.map(problem => problem.message).join('\n')
+      });
+      marker.textContent = SEVERITY_ICONS[severity];
+      marker.style.top = `${tops.get(line)}px`;
+      this.markers.appendChild(marker);
+    }
+
+    this.syncScroll();
+  }
+
+  /**
+   * Keep the markers level with their lines as the textarea scrolls
+   */
+  syncScroll() {
+    if (this.markers) {
+      this.markers.style.transform = `translateY(${-this.textarea.scrollTop}px)`;
+    }
+  }
+
+  /**
+   * Move the textarea caret to a line and column and scroll it into view
+   * @param {number} line - 1-based line
+   * @param {number} column - 1-based column
+   */
+  reveal(line, column = 1) {
+    const lines = this.textarea.value.split('\n');
+    const row = Math.min(Math.max(line, 1), lines.length) - 1;
+    const offset = lines.slice(0, row).reduce((total, text) => total + text.length + 1, 0) +
+      Math.min(Math.max(column - 1, 0), lines[row].length);
+
+    this.textarea.focus();
+    this.textarea.setSelectionRange(offset, offset);
+
+    const top = Utils.measureTextareaLines(this.textarea, [row + 1]).get(row + 1);
+    if (top < this.textarea.scrollTop || top > this.textarea.scrollTop + this.textarea.clientHeight - 40) {
+      this.textarea.scrollTop = Math.max(0, top - this.textarea.clientHeight / 3);
+    }
+  }
+}
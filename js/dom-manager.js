@@ -314,20 +314,30 @@ export class DOMManager {
   /**
    * Create loading indicator
    * @param {HTMLElement} container - Container element
+   * @param {Object} options - Indicator options
+   * @param {boolean} options.progress - Add a progress bar (see updateLoadingIndicator)
    * @returns {HTMLElement} Loading element
    */
-  createLoadingIndicator(container) {
+  createLoadingIndicator(container, options = {}) {
     const loading = this.createElement('div', {
       class: 'loading-indicator',
       'aria-label': 'Loading...'
     });
     
     const spinner = this.createElement('div', { class: 'spinner' });
-    const text = this.createElement('span', {}, 'Processing...');
+    const text = this.createElement('span', { class: 'loading-indicator-text' }, 'Processing...');
     
     loading.appendChild(spinner);
     loading.appendChild(text);
     
+    if (options.progress) {
+      const bar = this.createElement('progress', { class: 'loading-progress', max: 100, value: 0 });
+      loading.setAttribute('role', 'progressbar');
+      loading.setAttribute('aria-valuemin', '0');
+      loading.setAttribute('aria-valuemax', '100');
+      loading.appendChild(bar);
+    }
+    
     if (container) {
       container.appendChild(loading);
     }
@@ -335,6 +345,27 @@ export class DOMManager {
     return loading;
   }
 
+  /**
+   * Update a loading indicator's text and progress bar
+   * @param {HTMLElement} loading - Loading element
+   * @param {number} percent - Progress (0-100)
+   * @param {string} text - Status text
+   */
+  updateLoadingIndicator(loading, percent, text) {
+    if (!loading) return;
+    
+    const bar = loading.querySelector('.loading-progress');
+    if (bar) {
+      bar.value = percent;
+      loading.setAttribute('aria-valuenow', String(percent));
+    }
+    
+    const label = loading.querySelector('.loading-indicator-text');
+    if (label && text) {
+      label.textContent = text;
+    }
+  }
+
   /**
    * Remove loading indicator
    * @param {HTMLElement} loading - Loading element to remove
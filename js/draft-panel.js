@@ -0,0 +1,330 @@
+/**
+ * Draft Panel - Named drafts, autosave and version history for the input
+ *
+ * Saves the input shortly after every change and whenever the page is
+ * hidden, lists the drafts in a picker above the textarea, and shows the
+ * open draft's snapshots in the history modal, where any of them can be
+ * restored.
+ */
+
+import { Utils } from './utils.js';
+
+// Quiet time after the last change before the input is saved (ms)
+const AUTOSAVE_DELAY = 1000;
+
+// Characters of a snapshot's first line shown in the history list
+const PREVIEW_LENGTH = 80;
+
+export class DraftPanel {
+  /**
+   * @param {Object} options - Panel options
+   * @param {DOMManager} options.domManager - DOM manager
+   * @param {DraftStore} options.store - Draft storage
+   * @param {Object} options.elements - Draft bar and history modal elements
+   *   ({ select, newButton, renameButton, deleteButton, historyButton, status, historyList })
+   * @param {Function} options.getDraft - Returns the editor's { content, dialect, direction }
+   * @param {Function} options.onLoad - Shows a draft ({ content, dialect, direction }) in the editor
+   * @param {Function} options.showModal - Opens a modal by ID
+   * @param {Function} options.hideModal - Closes a modal by ID
+   */
+  constructor(options = {}) {
+    this.domManager = options.domManager;
+    this.store = options.store;
+    this.elements = options.elements || {};
+    this.getDraft = options.getDraft;
+    this.onLoad = options.onLoad;
+    this.showModal = options.showModal;
+    this.hideModal = options.hideModal;
+
+    this.activeId = null;
+    this.dirty = false;
+    this.loading = false;
+    // Saves run one after another, in order
+    this.saving = Promise.resolve();
+
+    this.debouncedSave = Utils.debounce(() => this.save(), AUTOSAVE_DELAY);
+  }
+
+  /**
+   * Wire up the draft bar, the history list and saving on page hide
+   */
+  init() {
+    const { select, newButton, renameButton, deleteButton, historyButton, historyList } = this.elements;
+    if (!select) return;
+
+    this.domManager.addEventListener(select, 'change', () => this.switchTo(select.value));
+    this.domManager.addEventListener(newButton, 'click', () => this.createDraft());
+    this.domManager.addEventListener(renameButton, 'click', () => this.renameDraft());
+    this.domManager.addEventListener(deleteButton, 'click', () => this.deleteDraft());
+    this.domManager.addEventListener(historyButton, 'click', () => this.showHistory());
+
+    if (historyList) {
+      this.domManager.addEventListener(historyList, 'click', (event) => {
+        const button = event.target.closest('[data-timestamp]');
+        if (button) {
+          this.restoreSnapshot(Number(button.dataset.timestamp));
+        }
+      });
+    }
+
+    // Closing or reloading the tab must not lose the last keystrokes
+    this.domManager.addEventListener(window, 'pagehide', () => this.flush());
+    this.domManager.addEventListener(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    });
+  }
+
+  /**
+   * Open the draft that was open last. On first use the current input
+   * becomes the first draft.
+   * @returns {Promise<void>}
+   */
+  async restore() {
+    await this.store.init();
+
+    this.activeId = this.store.getActiveId();
+    if (this.activeId) {
+      this.load(await this.store.load(this.activeId));
+    } else {
+      const draft = await this.store.create('Draft 1', this.getDraft());
+      this.activeId = draft.id;
+    }
+
+    this.renderPicker();
+  }
+
+  /**
+   * Save the input a moment after the last change
+   */
+  scheduleSave() {
+    if (this.loading || !this.activeId) return;
+
+    this.dirty = true;
+    this.debouncedSave();
+  }
+
+  /**
+   * Save a pending change right away
+   */
+  flush() {
+    if (this.dirty) {
+      this.debouncedSave.cancel();
+      this.save();
+    }
+  }
+
+  /**
+   * Save the input to the open draft
+   * @param {Object} options - { force: boolean } to snapshot it in the history
+   * @returns {Promise<void>} Settles once this and earlier saves finished
+   */
+  save(options = {}) {
+    const id = this.activeId;
+    if (!id) return this.saving;
+
+    const data = this.getDraft();
+    this.dirty = false;
+    this.saving = this.saving
+      .then(() => this.store.save(id, data, options))
+      .then(() => this.showSaveStatus(`Saved ${formatTime(Date.now())}`))
+      .catch((error) => {
+        console.warn('Draft could not be saved:', error);
+        this.showSaveStatus('Not saved', true);
+      });
+    return this.saving;
+  }
+
+  /**
+   * Switch the editor to another draft, snapshotting the one being left
+   * @param {string} id - Draft ID
+   * @returns {Promise<void>}
+   */
+  async switchTo(id) {
+    if (id === this.activeId) return;
+
+    this.debouncedSave.cancel();
+    await this.save({ force: true });
+
+    const draft = await this.store.load(id);
+    if (!draft) return;
+
+    this.activeId = id;
+    this.store.setActive(id);
+    this.load(draft);
+    this.renderPicker();
+  }
+
+  /**
+   * Start a new, empty draft
+   * @returns {Promise<void>}
+   */
+  async createDraft() {
+    const name = window.prompt('Name of the new draft:', `Draft ${this.store.list().length + 1}`);
+    if (name === null) return;
+
+    this.debouncedSave.cancel();
+    await this.save({ force: true });
+
+    const { dialect, direction } = this.getDraft();
+    const draft = await this.store.create(name.trim() || 'Untitled draft', { content: '', dialect, direction });
+    this.activeId = draft.id;
+    this.load(draft);
+    this.renderPicker();
+  }
+
+  /**
+   * Rename the open draft
+   */
+  renameDraft() {
+    const draft = this.store.findDraft(this.activeId);
+    if (!draft) return;
+
+    const name = window.prompt('Rename draft:', draft.name);
+    if (name === null || !name.trim()) return;
+
+    this.store.rename(draft.id, name.trim());
+    this.renderPicker();
+  }
+
+  /**
+   * Delete the open draft and its history, then open another (or a new
+   * empty one when it was the last)
+   * @returns {Promise<void>}
+   */
+  async deleteDraft() {
+    const draft = this.store.findDraft(this.activeId);
+    if (!draft || !window.confirm(`Delete "${draft.name}" and its history?`)) return;
+
+    this.debouncedSave.cancel();
+    this.dirty = false;
+    await this.saving;
+    await this.store.remove(draft.id);
+
+    const nextId = this.store.getActiveId();
+    const next = nextId
+      ? await this.store.load(nextId)
+      : await this.store.create('Draft 1', { ...this.getDraft(), content: '' });
+    this.activeId = next.id;
+    this.store.setActive(next.id);
+    this.load(next);
+    this.renderPicker();
+  }
+
+  /**
+   * Show the open draft's snapshots in the history modal
+   * @returns {Promise<void>}
+   */
+  async showHistory() {
+    if (!this.activeId) return;
+
+    await this.save();
+    const draft = await this.store.load(this.activeId);
+    this.renderHistory(draft ? draft.history : []);
+    this.showModal('history-modal');
+  }
+
+  /**
+   * Put a snapshot back into the editor. The text it replaces becomes a
+   * snapshot itself.
+   * @param {number} timestamp - Snapshot timestamp
+   * @returns {Promise<void>}
+   */
+  async restoreSnapshot(timestamp) {
+    this.debouncedSave.cancel();
+    await this.save();
+
+    const content = await this.store.restore(this.activeId, timestamp);
+    if (content === null) return;
+
+    this.load({ ...this.getDraft(), content });
+    this.hideModal('history-modal');
+    this.showSaveStatus(`Restored version from ${formatTime(timestamp)}`);
+  }
+
+  /**
+   * Show a draft in the editor without saving it straight back
+   * @param {Object} draft - { content, dialect, direction }
+   */
+  load(draft) {
+    this.loading = true;
+    try {
+      this.onLoad(draft);
+    } finally {
+      this.loading = false;
+    }
+  }
+
+  /**
+   * Fill the draft picker
+   */
+  renderPicker() {
+    const { select } = this.elements;
+    if (!select) return;
+
+    select.innerHTML = '';
+    for (const draft of this.store.list()) {
+      const option = this.domManager.createElement('option', { value: draft.id });
+      option.textContent = draft.name;
+      option.selected = draft.id === this.activeId;
+      select.appendChild(option);
+    }
+  }
+
+  /**
+   * Fill the history list, newest snapshot first
+   * @param {Array} history - Snapshots ({ timestamp, content })
+   */
+  renderHistory(history) {
+    const { historyList } = this.elements;
+    if (!historyList) return;
+
+    historyList.innerHTML = '';
+    if (history.length === 0) {
+      const empty = this.domManager.createElement('li', { class: 'history-empty' });
+      empty.textContent = 'No earlier versions yet. A snapshot is kept every few minutes while you type, and whenever you switch drafts.';
+      historyList.appendChild(empty);
+      return;
+    }
+
+    for (const snapshot of [...history].reverse()) {
+      const item = this.domManager.createElement('li', { class: 'history-item' });
+
+      const time = this.domManager.createElement('span', { class: 'history-time' });
+      time.textContent = new Date(snapshot.timestamp).toLocaleString();
+      const size = this.domManager.createElement('span', { class: 'history-size' });
+      size.textContent = `${snapshot.content.length.toLocaleString()} characters`;
+      const preview = this.domManager.createElement('span', { class: 'history-preview' });
+      const firstLine = snapshot.content.split('\n').find(line => line.trim()) || '';
+      preview.textContent = firstLine.length > PREVIEW_LENGTH ? `${firstLine.slice(0, PREVIEW_LENGTH)}…` : firstLine;
+
+      const restore = this.domManager.createElement('button', { type: 'button', class: 'theme-btn' });
+      restore.dataset.timestamp = snapshot.timestamp;
+      restore.textContent = 'Restore';
+
+      item.append(time, size, preview, restore);
+      historyList.appendChild(item);
+    }
+  }
+
+  /**
+   * Show the save state beside the draft picker
+   * @param {string} message - Status text
+   * @param {boolean} isError - Whether saving failed
+   */
+  showSaveStatus(message, isError = false) {
+    const { status } = this.elements;
+    if (!status) return;
+
+    status.textContent = message;
+    status.classList.toggle('draft-status-error', isError);
+  }
+}
+
+/**
+ * Format a timestamp as a short local time
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} Time ("14:05")
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
@@ -0,0 +1,303 @@
+/**
+ * Draft Store - Keeps named drafts and their version history in the browser
+ *
+ * The draft list lives in localStorage. Each draft's text and snapshots are
+ * a separate record, kept in localStorage too until it no longer fits; then
+ * the record moves to IndexedDB. Nothing leaves the device.
+ */
+
+import { Utils } from './utils.js';
+
+// localStorage key of the draft list ({ activeId, drafts: [...] })
+const DRAFT_INDEX_KEY = 'drafts';
+
+// localStorage key prefix / IndexedDB key of a draft record
+const DRAFT_RECORD_PREFIX = 'draft:';
+
+// IndexedDB database and object store for records too large for localStorage
+const DATABASE_NAME = 'jira-markdown-drafts';
+const STORE_NAME = 'records';
+
+export class DraftStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxSnapshots - Snapshots kept per draft
+   * @param {number} options.snapshotInterval - Minimum time between
+   *   automatic snapshots (ms)
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxSnapshots: 50,
+      snapshotInterval: 5 * 60 * 1000,
+      ...options
+    };
+
+    this.index = { activeId: null, drafts: [] };
+    this.database = null;
+  }
+
+  /**
+   * Load the draft list
+   * @returns {Promise<void>}
+   */
+  async init() {
+    const index = Utils.localStorage(DRAFT_INDEX_KEY);
+    if (index && Array.isArray(index.drafts)) {
+      this.index = index;
+    }
+  }
+
+  /**
+   * Drafts in creation order
+   * @returns {Array} Draft summaries ({ id, name, createdAt, updatedAt, storage })
+   */
+  list() {
+    return this.index.drafts.map(draft => ({ ...draft }));
+  }
+
+  /**
+   * ID of the draft open in the editor
+   * @returns {string|null} Draft ID
+   */
+  getActiveId() {
+    const { activeId, drafts } = this.index;
+    return drafts.some(draft => draft.id === activeId) ? activeId : drafts[0]?.id ?? null;
+  }
+
+  /**
+   * Remember which draft is open
+   * @param {string} id - Draft ID
+   */
+  setActive(id) {
+    this.index.activeId = id;
+    this.saveIndex();
+  }
+
+  /**
+   * Create a draft and make it the active one
+   * @param {string} name - Draft name
+   * @param {Object} data - Initial { content, dialect, direction }
+   * @returns {Promise<Object>} The new draft
+   */
+  async create(name, data = {}) {
+    const now = Date.now();
+    const summary = { id: Utils.generateId('draft'), name, createdAt: now, updatedAt: now, storage: 'localStorage' };
+    const record = { content: '', dialect: 'markdown', direction: 'toJira', ...data, history: [] };
+
+    this.index.drafts.push(summary);
+    this.index.activeId = summary.id;
+    await this.writeRecord(summary, record);
+    this.saveIndex();
+
+    return { ...summary, ...record };
+  }
+
+  /**
+   * Load a draft with its history
+   * @param {string} id - Draft ID
+   * @returns {Promise<Object|null>} Draft ({ id, name, content, dialect, direction, history })
+   */
+  async load(id) {
+    const summary = this.findDraft(id);
+    if (!summary) return null;
+
+    const record = await this.readRecord(summary);
+    return { ...summary, content: '', dialect: 'markdown', direction: 'toJira', history: [], ...record };
+  }
+
+  /**
+   * Save a draft's current text. A snapshot of it is added to the history
+   * when the text changed and the last snapshot is older than
+   * snapshotInterval, or always with force.
+   * @param {string} id - Draft ID
+   * @param {Object} data - { content, dialect, direction }
+   * @param {Object} options - { force: boolean } to snapshot regardless of age
+   * @returns {Promise<Object|null>} Saved draft summary
+   */
+  async save(id, data, options = {}) {
+    const summary = this.findDraft(id);
+    if (!summary) return null;
+
+    const record = (await this.readRecord(summary)) || {};
+    record.history = Array.isArray(record.history) ? record.history : [];
+    const now = Date.now();
+    const last = record.history[record.history.length - 1];
+    const changed = !last || last.content !== data.content;
+    const due = !last || now - last.timestamp >= this.options.snapshotInterval;
+
+    Object.assign(record, data);
+    if (data.content.trim() && changed && (due || options.force)) {
+      record.history.push({ timestamp: now, content: data.content });
+      record.history = record.history.slice(-this.options.maxSnapshots);
+    }
+
+    summary.updatedAt = now;
+    await this.writeRecord(summary, record);
+    this.saveIndex();
+
+    return { ...summary };
+  }
+
+  /**
+   * Get a snapshot's text to restore it. The current text is snapshotted
+   * first, so restoring can be undone from the history.
+   * @param {string} id - Draft ID
+   * @param {number} timestamp - Snapshot timestamp
+   * @returns {Promise<string|null>} Snapshot content
+   */
+  async restore(id, timestamp) {
+    const draft = await this.load(id);
+    const snapshot = draft?.history.find(entry => entry.timestamp === timestamp);
+    if (!snapshot) return null;
+
+    const { content, dialect, direction } = draft;
+    await this.save(id, { content, dialect, direction }, { force: true });
+    await this.save(id, { content: snapshot.content, dialect, direction });
+    return snapshot.content;
+  }
+
+  /**
+   * Rename a draft
+   * @param {string} id - Draft ID
+   * @param {string} name - New name
+   */
+  rename(id, name) {
+    const summary = this.findDraft(id);
+    if (!summary) return;
+
+    summary.name = name;
+    this.saveIndex();
+  }
+
+  /**
+   * Delete a draft and its history
+   * @param {string} id - Draft ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const summary = this.findDraft(id);
+    if (!summary) return;
+
+    this.index.drafts = this.index.drafts.filter(draft => draft !== summary);
+    if (this.index.activeId === id) {
+      this.index.activeId = this.index.drafts[0]?.id ?? null;
+    }
+    this.saveIndex();
+    await this.deleteRecord(summary);
+  }
+
+  /**
+   * Find a draft summary by ID
+   * @param {string} id - Draft ID
+   * @returns {Object|undefined} Draft summary (live, not a copy)
+   */
+  findDraft(id) {
+    return this.index.drafts.find(draft => draft.id === id);
+  }
+
+  /**
+   * Persist the draft list
+   */
+  saveIndex() {
+    if (!Utils.localStorage(DRAFT_INDEX_KEY, this.index)) {
+      console.warn('Draft list could not be saved');
+    }
+  }
+
+  // Record storage: localStorage, or IndexedDB once a record outgrows it
+
+  /**
+   * Read a draft record from wherever it is stored
+   * @param {Object} summary - Draft summary
+   * @returns {Promise<Object|null>} Record
+   */
+  async readRecord(summary) {
+    const key = DRAFT_RECORD_PREFIX + summary.id;
+    if (summary.storage === 'indexedDB') {
+      return this.request('readonly', store => store.get(key)).then(record => record ?? null);
+    }
+    return Utils.localStorage(key);
+  }
+
+  /**
+   * Write a draft record. When localStorage refuses it (quota exceeded) it
+   * is written to IndexedDB, where it stays from then on.
+   * @param {Object} summary - Draft summary; its storage is updated
+   * @param {Object} record - Record to write
+   * @returns {Promise<void>}
+   */
+  async writeRecord(summary, record) {
+    const key = DRAFT_RECORD_PREFIX + summary.id;
+    if (summary.storage !== 'indexedDB' && Utils.localStorage(key, record)) return;
+
+    await this.request('readwrite', store => store.put(record, key));
+    if (summary.storage !== 'indexedDB') {
+      removeLocalItem(key);
+      summary.storage = 'indexedDB';
+    }
+  }
+
+  /**
+   * Delete a draft record
+   * @param {Object} summary - Draft summary
+   * @returns {Promise<void>}
+   */
+  async deleteRecord(summary) {
+    const key = DRAFT_RECORD_PREFIX + summary.id;
+    removeLocalItem(key);
+    if (summary.storage === 'indexedDB') {
+      await this.request('readwrite', store => store.delete(key));
+    }
+  }
+
+  /**
+   * Run one request against the IndexedDB record store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async request(mode, operation) {
+    const database = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  /**
+   * Open (and create on first use) the IndexedDB database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  openDatabase() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const request = indexedDB.open(DATABASE_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Allow a later retry after a failure
+      this.database.catch(() => { this.database = null; });
+    }
+    return this.database;
+  }
+}
+
+/**
+ * Remove a localStorage item, ignoring storage errors
+ * @param {string} key - Item key
+ */
+function removeLocalItem(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch (error) {
+    // Storage unavailable - nothing to remove
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Scroll Sync - Links the markdown input to the preview panes
+ *
+ * The worker marks preview blocks with the input lines they came from
+ * (data-source-lines="3-5"). Those blocks are the anchors: scrolling one
+ * side scrolls the others to the same anchor, interpolating between
+ * neighbouring anchors, and clicking a preview block selects its lines.
+ */
+
+import { Utils } from './utils.js';
+
+export class ScrollSync {
+  /**
+   * @param {Object} options - Sync options
+   * @param {DOMManager} options.domManager - DOM manager
+   * @param {HTMLTextAreaElement} options.textarea - Markdown input
+   * @param {HTMLElement[]} options.panes - Preview panes with identical content
+   */
+  constructor(options = {}) {
+    this.domManager = options.domManager;
+    this.textarea = options.textarea;
+    this.panes = (options.panes || []).filter(Boolean);
+    this.anchors = null;
+    this.syncing = null;
+  }
+
+  /**
+   * Listen for scrolling and clicks on the input and every pane
+   */
+  init() {
+    if (!this.textarea || this.panes.length === 0) return;
+
+    this.domManager.addEventListener(this.textarea, 'scroll', () => this.handleScroll(this.textarea));
+    this.domManager.addEventListener(this.textarea, 'input', () => this.invalidate());
+    this.domManager.addEventListener(window, 'resize', () => this.invalidate());
+
+    this.panes.forEach(pane => {
+      this.domManager.addEventListener(pane, 'scroll', () => this.handleScroll(pane));
+      this.domManager.addEventListener(pane, 'click', (event) => this.handlePaneClick(event));
+    });
+  }
+
+  /**
+   * Forget measured anchors; call after the preview or input changed
+   */
+  invalidate() {
+    this.anchors = null;
+  }
+
+  /**
+   * Collect anchors: the first block starting on each source line, with its
+   * offset in the input and in every pane. Measured lazily and cached.
+   * @returns {Array} Anchors ({ line, textTop, paneTops }) in line order
+   */
+  getAnchors() {
+    if (this.anchors) return this.anchors;
+
+    const blocksByPane = this.panes.map(pane => [...pane.querySelectorAll('[data-source-lines]')]);
+    const byLine = new Map();
+    blocksByPane[0].forEach((block, index) => {
+      const line = parseInt(block.dataset.sourceLines, 10);
+      if (!byLine.has(line)) byLine.set(line, index);
+    });
+
+    const lines = [...byLine.keys()].sort((a, b) => a - b);
+    const textTops = Utils.measureTextareaLines(this.textarea, lines);
+    const anchors = lines.map(line => ({
+      line,
+      textTop: textTops.get(line),
+      paneTops: blocksByPane.map((blocks, paneIndex) =>
+        this.getOffsetInPane(blocks[byLine.get(line)], this.panes[paneIndex]))
+    }));
+
+    // The tops and the bottoms of all sides always line up
+    const maxScroll = element => Math.max(0, element.scrollHeight - element.clientHeight);
+    anchors.unshift({ line: 0, textTop: 0, paneTops: this.panes.map(() => 0) });
+    anchors.push({
+      line: Infinity,
+      textTop: maxScroll(this.textarea),
+      paneTops: this.panes.map(maxScroll)
+    });
+
+    this.anchors = anchors.filter((anchor, index) =>
+      index === 0 || anchor.textTop > anchors[index - 1].textTop);
+    return this.anchors;
+  }
+
+  /**
+   * Get the scroll offset at which an element sits at the top of its pane
+   * @param {HTMLElement} element - Element inside the pane
+   * @param {HTMLElement} pane - Scrolling pane
+   * @returns {number} Offset in pixels
+   */
+  getOffsetInPane(element, pane) {
+    if (!element) return 0;
+    return element.getBoundingClientRect().top - pane.getBoundingClientRect().top + pane.scrollTop;
+  }
+
+  /**
+   * Mirror a scroll on one side to all other sides
+   * @param {HTMLElement} source - The textarea or a pane
+   */
+  handleScroll(source) {
+    // Ignore the scroll events our own updates cause
+    if (this.syncing && this.syncing !== source) return;
+
+    const anchors = this.getAnchors();
+    if (anchors.length < 3) return;
+
+    const positionOf = target => target === this.textarea
+      ? anchor => anchor.textTop
+      : anchor => anchor.paneTops[this.panes.indexOf(target)];
+
+    const targets = [this.textarea, ...this.panes].filter(target => target !== source);
+    const sourcePosition = positionOf(source);
+
+    this.syncing = source;
+    targets.forEach(target => {
+      target.scrollTop = this.mapOffset(source.scrollTop, anchors, sourcePosition, positionOf(target));
+    });
+    requestAnimationFrame(() => { this.syncing = null; });
+  }
+
+  /**
+   * Map a scroll offset between two sides by interpolating between the
+   * anchors around it
+   * @param {number} offset - Scroll offset on the source side
+   * @param {Array} anchors - Anchors in order
+   * @param {Function} from - Anchor -> offset on the source side
+   * @param {Function} to - Anchor -> offset on the target side
+   * @returns {number} Scroll offset on the target side
+   */
+  mapOffset(offset, anchors, from, to) {
+    let index = 0;
+    while (index < anchors.length - 1 && from(anchors[index + 1]) <= offset) index++;
+
+    const current = anchors[index];
+    const next = anchors[index + 1];
+    if (!next || offset <= from(current)) {
+      return to(current) + Math.max(0, offset - from(current));
+    }
+
+    const ratio = (offset - from(current)) / (from(next) - from(current));
+    return to(current) + ratio * (to(next) - to(current));
+  }
+
+  /**
+   * Select the source lines of a clicked preview block. Clicks that end a
+   * text selection in the preview are left alone.
+   * @param {MouseEvent} event - Click event
+   */
+  handlePaneClick(event) {
+    const block = event.target.closest('[data-source-lines]');
+    if (!block || !window.getSelection().isCollapsed) return;
+
+    const [start, end] = block.dataset.sourceLines.split('-').map(Number);
+    const text = this.textarea.value;
+    const lineEnd = text.indexOf('\n', Utils.lineOffset(text, end));
+
+    // Keep the preview where it is while the input scrolls to the selection
+    this.syncing = event.currentTarget;
+    requestAnimationFrame(() => { this.syncing = null; });
+
+    this.textarea.focus();
+    this.textarea.setSelectionRange(Utils.lineOffset(text, start), lineEnd === -1 ? text.length : lineEnd);
+
+    const top = Utils.measureTextareaLines(this.textarea, [start]).get(start);
+    this.textarea.scrollTop = Math.max(0, top - this.textarea.clientHeight / 3);
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * Template Panel - Comment template picker for the input
+ *
+ * Lists the built-in and saved templates in a menu beside the input. A
+ * template with {{variables}} opens a form for their values first; the
+ * filled-in text is inserted at the cursor. The menu also saves the input
+ * as a template and imports/exports the saved ones as JSON.
+ */
+
+import { findTemplateVariables, fillTemplate } from './template-store.js';
+
+// File name offered when exporting templates
+const EXPORT_FILE_NAME = 'jira-comment-templates.json';
+
+export class TemplatePanel {
+  /**
+   * @param {Object} options - Panel options
+   * @param {DOMManager} options.domManager - DOM manager
+   * @param {TemplateStore} options.store - Template storage
+   * @param {Object} options.elements - Menu and form elements
+   *   ({ button, menu, list, importInput, form, fields, title })
+   * @param {Function} options.getInput - Returns the input text
+   * @param {Function} options.insert - Inserts text at the input cursor
+   * @param {Function} options.showModal - Opens a modal by ID
+   * @param {Function} options.hideModal - Closes a modal by ID
+   * @param {Function} options.showStatus - Shows a status message (message, type)
+   */
+  constructor(options = {}) {
+    this.domManager = options.domManager;
+    this.store = options.store;
+    this.elements = options.elements || {};
+    this.getInput = options.getInput;
+    this.insert = options.insert;
+    this.showModal = options.showModal;
+    this.hideModal = options.hideModal;
+    this.showStatus = options.showStatus;
+
+    // Template whose variables the form is asking for
+    this.pendingTemplate = null;
+  }
+
+  /**
+   * Load the saved templates and wire up the menu and the form
+   */
+  init() {
+    const { button, menu, importInput, form } = this.elements;
+    if (!button || !menu) return;
+
+    this.store.init();
+    this.renderMenu();
+
+    this.domManager.addEventListener(button, 'click', () => this.toggleMenu());
+    this.domManager.addEventListener(menu, 'click', this.handleMenuClick.bind(this));
+    this.domManager.addEventListener(menu, 'keydown', (event) => {
+      if (event.key === 'Escape') {
+        this.toggleMenu(false);
+        button.focus();
+      }
+    });
+
+    // Close when clicking anywhere else
+    this.domManager.addEventListener(document, 'click', (event) => {
+      if (!event.target.closest('.template-picker-container')) {
+        this.toggleMenu(false);
+      }
+    });
+
+    if (importInput) {
+      this.domManager.addEventListener(importInput, 'change', () => this.importFile(importInput));
+    }
+    if (form) {
+      this.domManager.addEventListener(form, 'submit', this.handleFormSubmit.bind(this));
+    }
+  }
+
+  /**
+   * Show or hide the template menu
+   * @param {boolean} [open] - Force open or closed; toggles when omitted
+   */
+  toggleMenu(open) {
+    const { button, menu } = this.elements;
+    const show = open ?? menu.hidden;
+    menu.hidden = !show;
+    button.setAttribute('aria-expanded', String(show));
+
+    if (show) {
+      menu.querySelector('[role="menuitem"]')?.focus();
+    }
+  }
+
+  /**
+   * Handle a choice in the template menu
+   * @param {Event} event - Click event from the menu
+   */
+  handleMenuClick(event) {
+    const remove = event.target.closest('[data-template-delete]');
+    if (remove) {
+      this.deleteTemplate(remove.dataset.templateDelete);
+      return;
+    }
+
+    const item = event.target.closest('[data-template-id]');
+    if (item) {
+      this.toggleMenu(false);
+      this.useTemplate(item.dataset.templateId);
+      return;
+    }
+
+    const action = event.target.closest('[data-template-action]')?.dataset.templateAction;
+    if (!action) return;
+
+    this.toggleMenu(false);
+    if (action === 'save') {
+      this.saveInputAsTemplate();
+    } else if (action === 'import') {
+      this.elements.importInput?.click();
+    } else if (action === 'export') {
+      this.exportTemplates();
+    }
+  }
+
+  /**
+   * Insert a template, asking for its variables first when it has any
+   * @param {string} id - Template ID
+   */
+  useTemplate(id) {
+    const template = this.store.get(id);
+    if (!template) return;
+
+    const variables = findTemplateVariables(template.content);
+    if (variables.length === 0 || !this.elements.form) {
+      this.insert(fillTemplate(template.content));
+      return;
+    }
+
+    this.pendingTemplate = template;
+    this.renderForm(template, variables);
+    this.showModal('template-modal');
+  }
+
+  /**
+   * Insert the pending template with the values from the form
+   * @param {Event} event - Form submit event
+   */
+  handleFormSubmit(event) {
+    event.preventDefault();
+    if (!this.pendingTemplate) return;
+
+    const values = {};
+    for (const field of this.elements.fields.querySelectorAll('[data-variable]')) {
+      values[field.dataset.variable] = field.value.trim();
+    }
+
+    const template = this.pendingTemplate;
+    this.pendingTemplate = null;
+    this.hideModal('template-modal');
+    this.insert(fillTemplate(template.content, values));
+  }
+
+  /**
+   * Save the input as a new template (replacing a saved one of that name)
+   */
+  saveInputAsTemplate() {
+    const content = this.getInput();
+    if (!content.trim()) {
+      this.showStatus('Type the template into the input first', 'warning');
+      return;
+    }
+
+    const name = window.prompt('Template name:');
+    if (name === null || !name.trim()) return;
+
+    this.store.add(name.trim(), content);
+    this.renderMenu();
+    this.showStatus(`Template "${name.trim()}" saved`, 'success');
+  }
+
+  /**
+   * Delete a saved template
+   * @param {string} id - Template ID
+   */
+  deleteTemplate(id) {
+    const template = this.store.get(id);
+    if (!template || template.builtIn || !window.confirm(`Delete the template "${template.name}"?`)) return;
+
+    this.store.remove(id);
+    this.renderMenu();
+    this.showStatus(`Template "${template.name}" deleted`, 'success');
+  }
+
+  /**
+   * Import templates from the chosen JSON file
+   * @param {HTMLInputElement} input - File input
+   * @returns {Promise<void>}
+   */
+  async importFile(input) {
+    const file = input.files?.[0];
+    if (!file) return;
+
+    try {
+      const count = this.store.import(await file.text());
+      this.renderMenu();
+      this.showStatus(`${count} template${count === 1 ? '' : 's'} imported`, count > 0 ? 'success' : 'warning');
+    } catch (error) {
+      this.showStatus(`Could not import templates: ${error.message}`, 'error');
+    } finally {
+      // Choosing the same file again must fire another change event
+      input.value = '';
+    }
+  }
+
+  /**
+   * Download the saved templates as a JSON file
+   */
+  exportTemplates() {
+    if (!this.store.list().some(template => !template.builtIn)) {
+      this.showStatus('No saved templates to export', 'warning');
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([this.store.export()], { type: 'application/json' }));
+    const link = this.domManager.createElement('a', { href: url, download: EXPORT_FILE_NAME });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Fill the template menu: built-in templates, then saved ones (with a
+   * delete button each)
+   */
+  renderMenu() {
+    const { list } = this.elements;
+    if (!list) return;
+
+    list.innerHTML = '';
+    const templates = this.store.list();
+    const groups = [
+      ['Built-in', templates.filter(template => template.builtIn)],
+      ['My templates', templates.filter(template => !template.builtIn)]
+    ];
+
+    for (const [label, group] of groups) {
+      if (group.length === 0) continue;
+
+      const heading = this.domManager.createElement('div', { class: 'template-menu-heading', role: 'presentation' });
+      heading.textContent = label;
+      list.appendChild(heading);
+
+      for (const template of group) {
+        const row = this.domManager.createElement('div', { class: 'template-menu-row', role: 'none' });
+        const item = this.domManager.createElement('button', { type: 'button', class: 'template-menu-item', role: 'menuitem' });
+        item.dataset.templateId = template.id;
+        item.textContent = template.name;
+        row.appendChild(item);
+
+        if (!template.builtIn) {
+          const remove = this.domManager.createElement('button', {
+            type: 'button',
+            class: 'template-menu-delete',
+            title: `Delete "${template.name}"`,
+            'aria-label': `Delete template ${template.name}`
+          });
+          remove.dataset.templateDelete = template.id;
+          remove.textContent = '×';
+          row.appendChild(remove);
+        }
+        list.appendChild(row);
+      }
+    }
+  }
+
+  /**
+   * Build the variables form for a template
+   * @param {Object} template - Template
+   * @param {Array} variables - Variables ({ name, defaultValue })
+   */
+  renderForm(template, variables) {
+    const { fields, title } = this.elements;
+    if (title) title.textContent = template.name;
+
+    fields.innerHTML = '';
+    for (const variable of variables) {
+      const field = this.domManager.createElement('label', { class: 'settings-field' });
+      const label = this.domManager.createElement('span', { class: 'settings-label' });
+      label.textContent = variable.name.charAt(0).toUpperCase() + variable.name.slice(1);
+      const input = this.domManager.createElement('input', { type: 'text', value: variable.defaultValue, autocomplete: 'off' });
+      input.dataset.variable = variable.name;
+
+      field.append(label, input);
+      fields.appendChild(field);
+    }
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Template Store - Built-in and user-defined comment templates
+ *
+ * Templates are Markdown with {{variable}} placeholders. A placeholder may
+ * carry a default ({{environment|Production}}); date, time and datetime
+ * default to the current date and time. User templates are kept in
+ * localStorage and move between browsers as JSON files.
+ */
+
+import { Utils } from './utils.js';
+
+// localStorage key of the user's templates
+const TEMPLATES_KEY = 'commentTemplates';
+
+// Version of the exported JSON format
+const EXPORT_VERSION = 1;
+
+// {{name}} or {{name|default}}
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z][\w .-]*?)\s*(?:\|([^}]*))?\}\}/g;
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin-bug-report',
+    name: 'Bug reproduction',
+    content: `## Bug: {{summary}}
+
+**Environment:** {{environment|Production}}
+**Version:** {{version}}
+**Found on:** {{date}}
+
+### Steps to reproduce
+1. {{first step}}
+2.
+3.
+
+### Expected result
+{{expected result}}
+
+### Actual result
+{{actual result}}
+`
+  },
+  {
+    id: 'builtin-incident-update',
+    name: 'Incident status update',
+    content: `## Incident update: {{incident}}
+
+**Status:** {status:yellow|{{status|INVESTIGATING}}}
+**Severity:** {{severity|SEV-2}}
+**As of:** {{datetime}}
+**Impact:** {{impact}}
+
+### What we know
+{{summary}}
+
+### Next steps
+- [ ] {{next step}}
+
+Next update by {{next update|in 1 hour}}.
+`
+  },
+  {
+    id: 'builtin-release-signoff',
+    name: 'Release sign-off',
+    content: `## Release sign-off: {{version}}
+
+**Environment:** {{environment|Production}}
+**Date:** {{date}}
+**Release ticket:** {{release ticket}}
+
+| Check | Result |
+| --- | --- |
+| Automated tests | {status:green\\|PASSED} |
+| QA verification | {status:green\\|PASSED} |
+| Release notes | {status:green\\|DONE} |
+
+Signed off by @{{approver}}.
+`
+  },
+  {
+    id: 'builtin-code-review',
+    name: 'Code review summary',
+    content: `## Code review: {{pull request}}
+
+**Reviewer:** @{{reviewer}}
+**Verdict:** {status:green|{{verdict|APPROVED}}}
+
+### Summary
+{{summary}}
+
+### Must fix
+- [ ]
+
+### Suggestions
+-
+
+### Looks good
+-
+`
+  }
+];
+
+export class TemplateStore {
+  constructor() {
+    this.templates = [];
+  }
+
+  /**
+   * Load the user's templates
+   */
+  init() {
+    const saved = Utils.localStorage(TEMPLATES_KEY);
+    this.templates = Array.isArray(saved) ? saved.filter(isTemplate) : [];
+  }
+
+  /**
+   * Built-in templates, then the user's
+   * @returns {Array} Templates ({ id, name, content, builtIn })
+   */
+  list() {
+    return [
+      ...BUILT_IN_TEMPLATES.map(template => ({ ...template, builtIn: true })),
+      ...this.templates.map(template => ({ ...template, builtIn: false }))
+    ];
+  }
+
+  /**
+   * Find a template by ID
+   * @param {string} id - Template ID
+   * @returns {Object|undefined} Template
+   */
+  get(id) {
+    return this.list().find(template => template.id === id);
+  }
+
+  /**
+   * Add a user template. A user template with the same name is replaced.
+   * @param {string} name - Template name
+   * @param {string} content - Template Markdown
+   * @returns {Object} The saved template
+   */
+  add(name, content) {
+    const template = { id: Utils.generateId('template'), name, content };
+    const existing = this.templates.findIndex(saved => saved.name === name);
+    if (existing === -1) {
+      this.templates.push(template);
+    } else {
+      this.templates[existing] = template;
+    }
+    this.save();
+    return template;
+  }
+
+  /**
+   * Delete a user template
+   * @param {string} id - Template ID
+   */
+  remove(id) {
+    this.templates = this.templates.filter(template => template.id !== id);
+    this.save();
+  }
+
+  /**
+   * Export the user's templates
+   * @returns {string} JSON ({ version, templates: [{ name, content }] })
+   */
+  export() {
+    return JSON.stringify({
+      version: EXPORT_VERSION,
+      templates: this.templates.map(({ name, content }) => ({ name, content }))
+    }, null, 2);
+  }
+
+  /**
+   * Import templates from exported JSON (or a bare array of templates).
+   * Templates whose name is taken replace the existing ones.
+   * @param {string} json - Exported JSON
+   * @returns {number} Number of templates imported
+   * @throws {Error} When the JSON is not a template export
+   */
+  import(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Not a JSON file');
+    }
+
+    const templates = Array.isArray(data) ? data : data?.templates;
+    if (!Array.isArray(templates)) {
+      throw new Error('No templates found in the file');
+    }
+
+    const valid = templates.filter(isTemplate);
+    for (const template of valid) {
+      const name = template.name.trim();
+      const existing = this.templates.findIndex(saved => saved.name === name);
+      const imported = { id: Utils.generateId('template'), name, content: template.content };
+      if (existing === -1) {
+        this.templates.push(imported);
+      } else {
+        this.templates[existing] = imported;
+      }
+    }
+    this.save();
+    return valid.length;
+  }
+
+  /**
+   * Persist the user's templates
+   */
+  save() {
+    if (!Utils.localStorage(TEMPLATES_KEY, this.templates)) {
+      console.warn('Templates could not be saved');
+    }
+  }
+}
+
+/**
+ * List a template's variables in order of first use
+ * @param {string} content - Template Markdown
+ * @returns {Array} Variables ({ name, defaultValue })
+ */
+export function findTemplateVariables(content) {
+  const variables = new Map();
+  for (const [, name, defaultValue] of content.matchAll(VARIABLE_PATTERN)) {
+    const variable = variables.get(name);
+    if (!variable) {
+      variables.set(name, { name, defaultValue: defaultValue ?? builtInValue(name) });
+    } else if (defaultValue !== undefined && !variable.defaultValue) {
+      variable.defaultValue = defaultValue;
+    }
+  }
+  return [...variables.values()];
+}
+
+/**
+ * Replace a template's variables with values
+ * @param {string} content - Template Markdown
+ * @param {Object} values - Variable name -> value
+ * @returns {string} Filled-in Markdown
+ */
+export function fillTemplate(content, values = {}) {
+  return content.replace(VARIABLE_PATTERN, (match, name, defaultValue) =>
+    values[name] ?? defaultValue ?? builtInValue(name));
+}
+
+/**
+ * Default value of the date and time variables
+ * @param {string} name - Variable name
+ * @returns {string} Value, or '' for other variables
+ */
+function builtInValue(name) {
+  const now = new Date();
+  const pad = number => String(number).padStart(2, '0');
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+
+  switch (name.toLowerCase()) {
+    case 'date': return date;
+    case 'time': return time;
+    case 'datetime': return `${date} ${time}`;
+    default: return '';
+  }
+}
+
+/**
+ * Check the shape of a stored or imported template
+ * @param {*} template - Candidate
+ * @returns {boolean} True for { name, content } with a non-empty name
+ */
+function isTemplate(template) {
+  return Boolean(template) && typeof template.name === 'string' && template.name.trim() !== '' &&
+    typeof template.content === 'string';
+}
@@ -3,23 +3,72 @@
  */
 
 import { Utils } from './utils.js';
+import { DiagnosticsPanel } from './diagnostics-panel.js';
+import { ScrollSync } from './scroll-sync.js';
+import { DraftPanel } from './draft-panel.js';
+import { TemplatePanel } from './template-panel.js';
+
+// localStorage key for the Jira auto-link settings
+const JIRA_LINK_SETTINGS_KEY = 'jiraLinkSettings';
+
+// localStorage key for the plain paste setting
+const PLAIN_PASTE_KEY = 'plainPaste';
+
+// localStorage key for the Jira fidelity preview setting
+const JIRA_FIDELITY_KEY = 'jiraFidelity';
+
+// localStorage key for the last chosen copy format
+const COPY_FORMAT_KEY = 'copyFormat';
+
+// Copy format -> copy button label and success message
+const COPY_FORMATS = {
+  rich: { label: 'Copy', name: 'rich text', message: 'Formatted text copied to clipboard!' },
+  html: { label: 'Copy HTML', name: 'HTML', message: 'HTML copied to clipboard!' },
+  adf: { label: 'Copy ADF', name: 'ADF JSON', message: 'ADF JSON copied to clipboard!' },
+  wiki: { label: 'Copy Wiki', name: 'wiki markup', message: 'Wiki markup copied to clipboard!' },
+  text: { label: 'Copy Text', name: 'plain text', message: 'Plain text copied to clipboard!' }
+};
+
+// Worker progress phase -> label in the progress indicator
+const PROGRESS_LABELS = {
+  parse: 'Parsing',
+  render: 'Rendering'
+};
 
 export class UIController {
   constructor(options = {}) {
     this.domManager = options.domManager;
     this.clipboardManager = options.clipboardManager;
     this.workerComm = options.workerComm;
+    this.draftStore = options.draftStore;
+    this.templateStore = options.templateStore;
     this.config = options.config || {};
     
     // UI elements (cached)
     this.elements = {};
     
+    // Preview pane -> DOM nodes of each block, the base for the next patch
+    this.previewBlocks = new Map();
+    
     // State
+    const savedCopyFormat = Utils.localStorage(COPY_FORMAT_KEY);
     this.state = {
       isProcessing: false,
+      latestRequest: 0,
       currentInput: '',
       currentOutput: '',
-      lastProcessingTime: 0
+      currentAdf: null,
+      currentWiki: null,
+      currentText: null,
+      copyFormat: COPY_FORMATS[savedCopyFormat] ? savedCopyFormat : 'rich',
+      previewRevision: null,
+      lastProcessingTime: 0,
+      dialect: 'markdown',
+      direction: 'toJira',
+      plainPaste: Utils.localStorage(PLAIN_PASTE_KEY) === true,
+      jiraFidelity: Utils.localStorage(JIRA_FIDELITY_KEY) === true,
+      removedContentWarning: null,
+      jiraLinks: Utils.localStorage(JIRA_LINK_SETTINGS_KEY) || { siteUrl: '', projectKeys: [], mentions: {}, attachmentUrl: '' }
     };
     
     // Debounced functions
@@ -42,6 +91,72 @@ export class UIController {
       // Cache DOM elements
       this.cacheElements();
       
+      // Conversion problems beside the input
+      this.diagnosticsPanel = new DiagnosticsPanel({
+        domManager: this.domManager,
+        textarea: this.elements.markdownInput,
+        gutter: this.elements.inputGutter,
+        list: this.elements.problemList
+      });
+      this.diagnosticsPanel.init();
+      
+      // Synced scrolling between the input and the previews
+      this.scrollSync = new ScrollSync({
+        domManager: this.domManager,
+        textarea: this.elements.markdownInput,
+        panes: [this.elements.jiraPreviewLight, this.elements.jiraPreviewDark]
+      });
+      this.scrollSync.init();
+      
+      // Named drafts, autosave and version history
+      if (this.draftStore) {
+        this.draftPanel = new DraftPanel({
+          domManager: this.domManager,
+          store: this.draftStore,
+          elements: {
+            select: this.elements.draftSelect,
+            newButton: this.elements.draftNewButton,
+            renameButton: this.elements.draftRenameButton,
+            deleteButton: this.elements.draftDeleteButton,
+            historyButton: this.elements.draftHistoryButton,
+            status: this.elements.draftStatus,
+            historyList: this.elements.historyList
+          },
+          getDraft: () => ({
+            content: this.elements.markdownInput.value,
+            dialect: this.state.dialect,
+            direction: this.state.direction
+          }),
+          onLoad: draft => this.loadDraft(draft),
+          showModal: modalId => this.showModal(modalId),
+          hideModal: modalId => this.hideModal(modalId)
+        });
+        this.draftPanel.init();
+      }
+      
+      // Comment templates with fill-in variables
+      if (this.templateStore) {
+        this.templatePanel = new TemplatePanel({
+          domManager: this.domManager,
+          store: this.templateStore,
+          elements: {
+            button: this.elements.templateButton,
+            menu: this.elements.templateMenu,
+            list: this.elements.templateList,
+            importInput: this.elements.templateImportInput,
+            form: this.elements.templateForm,
+            fields: this.elements.templateFields,
+            title: this.elements.templateModalTitle
+          },
+          getInput: () => this.elements.markdownInput.value,
+          insert: text => this.insertTemplate(text),
+          showModal: modalId => this.showModal(modalId),
+          hideModal: modalId => this.hideModal(modalId),
+          showStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.templatePanel.init();
+      }
+      
       // Set up event listeners
       this.setupEventListeners();
       
@@ -63,11 +178,40 @@ export class UIController {
       // Input elements
       markdownInput: this.domManager.getElementById('markdown-input'),
       charCount: this.domManager.querySelector('.char-count'),
+      dialectToggle: this.domManager.getElementById('dialect-toggle'),
+      directionToggle: this.domManager.getElementById('direction-toggle'),
+      inputTitle: this.domManager.getElementById('input-title'),
+      emojiButton: this.domManager.getElementById('emoji-button'),
+      emojiPicker: this.domManager.getElementById('emoji-picker'),
+      inputGutter: this.domManager.getElementById('input-gutter'),
+      problemList: this.domManager.getElementById('problem-list'),
+      
+      // Draft elements
+      draftSelect: this.domManager.getElementById('draft-select'),
+      draftNewButton: this.domManager.getElementById('draft-new-button'),
+      draftRenameButton: this.domManager.getElementById('draft-rename-button'),
+      draftDeleteButton: this.domManager.getElementById('draft-delete-button'),
+      draftHistoryButton: this.domManager.getElementById('draft-history-button'),
+      draftStatus: this.domManager.getElementById('draft-status'),
+      historyList: this.domManager.getElementById('history-list'),
+      
+      // Template elements
+      templateButton: this.domManager.getElementById('template-button'),
+      templateMenu: this.domManager.getElementById('template-menu'),
+      templateList: this.domManager.getElementById('template-list'),
+      templateImportInput: this.domManager.getElementById('template-import-input'),
+      templateForm: this.domManager.getElementById('template-form'),
+      templateFields: this.domManager.getElementById('template-fields'),
+      templateModalTitle: this.domManager.getElementById('template-modal-title'),
       
       // Preview elements
       jiraPreviewLight: this.domManager.getElementById('jira-preview-light'),
       jiraPreviewDark: this.domManager.getElementById('jira-preview-dark'),
+      outputContent: this.domManager.querySelector('.output-panel .panel-content'),
+      fidelityButton: this.domManager.getElementById('fidelity-button'),
       copyButton: this.domManager.getElementById('copy-button'),
+      copyFormatButton: this.domManager.getElementById('copy-format-button'),
+      copyMenu: this.domManager.getElementById('copy-menu'),
       
       // Status elements
       processingTime: this.domManager.getElementById('processing-time'),
@@ -77,8 +221,10 @@ export class UIController {
       // Modal elements
       helpButton: this.domManager.getElementById('help-button'),
       aboutButton: this.domManager.getElementById('about-button'),
+      settingsButton: this.domManager.getElementById('settings-button'),
       helpModal: this.domManager.getElementById('help-modal'),
       aboutModal: this.domManager.getElementById('about-modal'),
+      settingsForm: this.domManager.getElementById('settings-form'),
       
       // Loading overlay
       loadingOverlay: this.domManager.getElementById('loading-overlay')
@@ -113,6 +259,61 @@ export class UIController {
       );
     }
 
+    // Input dialect toggle
+    if (this.elements.dialectToggle) {
+      this.domManager.addEventListener(
+        this.elements.dialectToggle, 
+        'click', 
+        this.handleDialectClick.bind(this)
+      );
+    }
+
+    // Conversion direction toggle
+    if (this.elements.directionToggle) {
+      this.domManager.addEventListener(
+        this.elements.directionToggle, 
+        'click', 
+        this.handleDirectionClick.bind(this)
+      );
+    }
+
+    // Emoji picker
+    if (this.elements.emojiButton && this.elements.emojiPicker) {
+      this.domManager.addEventListener(
+        this.elements.emojiButton, 
+        'click', 
+        () => this.toggleEmojiPicker()
+      );
+      
+      this.domManager.addEventListener(
+        this.elements.emojiPicker, 
+        'click', 
+        this.handleEmojiClick.bind(this)
+      );
+      
+      this.domManager.addEventListener(
+        this.elements.emojiPicker, 
+        'keydown', 
+        (event) => {
+          if (event.key === 'Escape') {
+            this.toggleEmojiPicker(false);
+            this.elements.emojiButton.focus();
+          }
+        }
+      );
+      
+      // Close when clicking anywhere else
+      this.domManager.addEventListener(
+        document, 
+        'click', 
+        (event) => {
+          if (!event.target.closest('.emoji-picker-container')) {
+            this.toggleEmojiPicker(false);
+          }
+        }
+      );
+    }
+
     // Copy button
     if (this.elements.copyButton) {
       this.domManager.addEventListener(
@@ -122,6 +323,52 @@ export class UIController {
       );
     }
 
+    // Jira fidelity preview
+    if (this.elements.fidelityButton) {
+      this.domManager.addEventListener(
+        this.elements.fidelityButton, 
+        'click', 
+        () => this.setJiraFidelity(!this.state.jiraFidelity)
+      );
+    }
+
+    // Copy format menu
+    if (this.elements.copyFormatButton && this.elements.copyMenu) {
+      this.domManager.addEventListener(
+        this.elements.copyFormatButton, 
+        'click', 
+        () => this.toggleCopyMenu()
+      );
+      
+      this.domManager.addEventListener(
+        this.elements.copyMenu, 
+        'click', 
+        this.handleCopyMenuClick.bind(this)
+      );
+      
+      this.domManager.addEventListener(
+        this.elements.copyMenu, 
+        'keydown', 
+        (event) => {
+          if (event.key === 'Escape') {
+            this.toggleCopyMenu(false);
+            this.elements.copyFormatButton.focus();
+          }
+        }
+      );
+      
+      // Close when clicking anywhere else
+      this.domManager.addEventListener(
+        document, 
+        'click', 
+        (event) => {
+          if (!event.target.closest('.copy-menu-container')) {
+            this.toggleCopyMenu(false);
+          }
+        }
+      );
+    }
+
     // Modal buttons
     if (this.elements.helpButton) {
       this.domManager.addEventListener(
@@ -139,6 +386,22 @@ export class UIController {
       );
     }
 
+    if (this.elements.settingsButton) {
+      this.domManager.addEventListener(
+        this.elements.settingsButton, 
+        'click', 
+        this.handleSettingsClick.bind(this)
+      );
+    }
+
+    if (this.elements.settingsForm) {
+      this.domManager.addEventListener(
+        this.elements.settingsForm, 
+        'submit', 
+        this.handleSettingsSubmit.bind(this)
+      );
+    }
+
     // Modal close handlers
     this.setupModalEventListeners();
 
@@ -154,7 +417,7 @@ export class UIController {
    * Set up modal event listeners
    */
   setupModalEventListeners() {
-    const modals = ['help-modal', 'about-modal'];
+    const modals = ['help-modal', 'about-modal', 'settings-modal', 'history-modal', 'template-modal'];
     
     modals.forEach(modalId => {
       const modal = this.domManager.getElementById(modalId);
@@ -192,10 +455,10 @@ export class UIController {
     // Set initial character count
     this.updateCharacterCount();
     
-    // Disable copy button initially
-    if (this.elements.copyButton) {
-      this.elements.copyButton.disabled = true;
-    }
+    // Disable copy buttons initially
+    this.disableCopyButton();
+    this.setCopyFormat(this.state.copyFormat);
+    this.updateFidelityButton();
     
     // Hide status items initially
     this.hideStatusItems();
@@ -213,6 +476,7 @@ export class UIController {
     
     // Update character count immediately
     this.debouncedUpdateCharCount();
+    this.draftPanel?.scheduleSave();
     
     // Process input with debouncing
     if (input.trim().length > 0) {
@@ -223,9 +487,46 @@ export class UIController {
   }
 
   /**
-   * Handle paste events
+   * Open the draft that was open last (called once on startup)
+   * @returns {Promise<void>}
+   */
+  async restoreDraft() {
+    await this.draftPanel?.restore();
+  }
+
+  /**
+   * Show a draft in the editor: its text, direction and input dialect
+   * @param {Object} draft - { content, dialect, direction }
+   */
+  loadDraft(draft) {
+    const textarea = this.elements.markdownInput;
+    textarea.value = draft.content;
+    this.setDirection(draft.direction || 'toJira');
+    this.setDialect(draft.dialect || 'markdown');
+    this.handleInput({ target: textarea });
+  }
+
+  /**
+   * Handle paste events. Rich text (text/html on the clipboard) is converted
+   * to Markdown unless plain paste is turned on in the settings.
    */
   handlePaste(event) {
+    // Reverse mode: paste the HTML source rather than its plain text
+    const html = event.clipboardData?.getData('text/html');
+    if (this.state.direction === 'toMarkdown' && html) {
+      event.preventDefault();
+      this.insertAtCursor(this.elements.markdownInput, html);
+      this.handleInput({ target: this.elements.markdownInput });
+      return;
+    }
+    
+    if (html && !this.state.plainPaste && this.state.dialect === 'markdown' &&
+        this.workerComm && this.workerComm.isAvailable()) {
+      event.preventDefault();
+      this.pasteRichText(html, event.clipboardData.getData('text/plain'));
+      return;
+    }
+    
     // Let the paste happen, then process
     setTimeout(() => {
       this.handleInput(event);
@@ -233,10 +534,289 @@ export class UIController {
   }
 
   /**
-   * Process markdown input
+   * Convert pasted rich text to Markdown and insert it at the cursor. The
+   * plain text is pasted instead when the conversion fails, and for code
+   * copied from an editor, which converts to nothing but a code block.
+   * @param {string} html - Clipboard HTML
+   * @param {string} text - Clipboard plain text
+   */
+  async pasteRichText(html, text) {
+    const textarea = this.elements.markdownInput;
+    let markdown = text;
+    
+    try {
+      const result = await this.workerComm.sendMessage('CONVERT_TO_MARKDOWN', {
+        input: html,
+        format: 'html',
+        options: { cleanPaste: true }
+      }, {
+        timeout: this.config.workerTimeout
+      });
+      if (result.markdown.trim() && !this.isSingleCodeBlock(result.markdown)) {
+        markdown = result.markdown;
+      }
+    } catch (error) {
+      console.warn('Rich text paste failed, pasting plain text:', error);
+    }
+    
+    this.insertAtCursor(textarea, markdown);
+    this.handleInput({ target: textarea });
+  }
+
+  /**
+   * Check whether Markdown is a single fenced code block
+   * @param {string} markdown - Markdown text
+   * @returns {boolean} True when the first and last lines fence everything
+   */
+  isSingleCodeBlock(markdown) {
+    const lines = markdown.trim().split('\n');
+    const fence = lines[0].match(/^(`{3,}|~{3,})/)?.[1];
+    return Boolean(fence) && lines.length > 1 && lines.indexOf(fence, 1) === lines.length - 1;
+  }
+
+  /**
+   * Insert text at the textarea cursor, replacing the selection
+   * @param {HTMLTextAreaElement} textarea - Target textarea
+   * @param {string} text - Text to insert
+   */
+  insertAtCursor(textarea, text) {
+    const { selectionStart, selectionEnd, value } = textarea;
+    textarea.value = value.slice(0, selectionStart) + text + value.slice(selectionEnd);
+    textarea.selectionStart = textarea.selectionEnd = selectionStart + text.length;
+  }
+
+  /**
+   * Show or hide the emoji picker
+   * @param {boolean} [open] - Force open or closed; toggles when omitted
+   */
+  toggleEmojiPicker(open) {
+    const { emojiButton, emojiPicker } = this.elements;
+    if (!emojiButton || !emojiPicker) return;
+    
+    const show = open ?? emojiPicker.hidden;
+    emojiPicker.hidden = !show;
+    emojiButton.setAttribute('aria-expanded', String(show));
+    
+    if (show) {
+      emojiPicker.querySelector('[data-shortcode]')?.focus();
+    }
+  }
+
+  /**
+   * Insert the chosen emoji shortcode at the input cursor
+   * @param {Event} event - Click event from the picker
+   */
+  handleEmojiClick(event) {
+    const button = event.target.closest('[data-shortcode]');
+    if (!button) return;
+    
+    const textarea = this.elements.markdownInput;
+    this.insertAtCursor(textarea, button.dataset.shortcode);
+    this.toggleEmojiPicker(false);
+    textarea.focus();
+    this.handleInput({ target: textarea });
+  }
+
+  /**
+   * Insert a filled-in comment template at the input cursor
+   * @param {string} text - Template text
+   */
+  insertTemplate(text) {
+    const textarea = this.elements.markdownInput;
+    this.insertAtCursor(textarea, text);
+    textarea.focus();
+    this.handleInput({ target: textarea });
+  }
+
+  /**
+   * Handle clicks on the conversion direction toggle
+   */
+  handleDirectionClick(event) {
+    const button = event.target.closest('[data-direction]');
+    if (!button) return;
+    
+    this.setDirection(button.dataset.direction);
+  }
+
+  /**
+   * Switch between Markdown -> Jira and Jira (HTML/ADF) -> Markdown
+   * @param {string} direction - 'toJira' or 'toMarkdown'
+   */
+  setDirection(direction) {
+    if (direction === this.state.direction) return;
+    
+    this.state.direction = direction;
+    this.draftPanel?.scheduleSave();
+    const toMarkdown = direction === 'toMarkdown';
+    
+    // Update toggle state
+    const buttons = this.elements.directionToggle?.querySelectorAll('[data-direction]') || [];
+    buttons.forEach(button => {
+      const isActive = button.dataset.direction === direction;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+    });
+    
+    // The input dialect only applies to Markdown -> Jira
+    if (this.elements.dialectToggle) {
+      this.elements.dialectToggle.hidden = toMarkdown;
+    }
+    
+    if (this.elements.inputTitle) {
+      this.elements.inputTitle.textContent = toMarkdown ? 'Jira HTML / ADF Input' : 'Markdown Input';
+    }
+    this.elements.markdownInput.placeholder = toMarkdown
+      ? 'Paste a Jira comment (rich text, HTML or ADF JSON) here...'
+      : 'Paste your Jira markdown here...';
+    
+    // Markdown output has a single format, and no Jira preview
+    if (this.elements.copyFormatButton) {
+      this.elements.copyFormatButton.hidden = toMarkdown;
+    }
+    if (this.elements.fidelityButton) {
+      this.elements.fidelityButton.hidden = toMarkdown;
+    }
+    this.toggleCopyMenu(false);
+    this.updateCopyButtonLabel();
+    
+    const input = this.elements.markdownInput.value;
+    if (input.trim().length > 0) {
+      this.processInput(input);
+    } else {
+      this.clearOutput();
+    }
+  }
+
+  /**
+   * Handle clicks on the input dialect toggle
+   */
+  handleDialectClick(event) {
+    const button = event.target.closest('[data-dialect]');
+    if (!button) return;
+    
+    this.setDialect(button.dataset.dialect);
+  }
+
+  /**
+   * Switch the input dialect and re-convert the current input
+   * @param {string} dialect - 'markdown' or 'wiki'
+   */
+  setDialect(dialect) {
+    if (dialect === this.state.dialect) return;
+    
+    this.state.dialect = dialect;
+    this.draftPanel?.scheduleSave();
+    
+    // Update toggle state
+    const buttons = this.elements.dialectToggle?.querySelectorAll('[data-dialect]') || [];
+    buttons.forEach(button => {
+      const isActive = button.dataset.dialect === dialect;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+    });
+    
+    const input = this.elements.markdownInput.value;
+    if (input.trim().length > 0) {
+      this.processInput(input);
+    }
+  }
+
+  /**
+   * Turn the Jira fidelity preview on or off and re-convert the input. In
+   * fidelity mode the previews show what Jira keeps when the comment is
+   * pasted, with the elements it changes highlighted; copied output is the
+   * same either way.
+   * @param {boolean} enabled - Whether to preview through the Jira model
+   */
+  setJiraFidelity(enabled) {
+    this.state.jiraFidelity = enabled;
+    Utils.localStorage(JIRA_FIDELITY_KEY, enabled);
+    this.updateFidelityButton();
+    this.reprocessInput();
+  }
+
+  /**
+   * Show the Jira fidelity setting on its toggle button
+   */
+  updateFidelityButton() {
+    const { fidelityButton } = this.elements;
+    if (!fidelityButton) return;
+    
+    fidelityButton.classList.toggle('active', this.state.jiraFidelity);
+    fidelityButton.setAttribute('aria-pressed', String(this.state.jiraFidelity));
+  }
+
+  /**
+   * Open the settings modal with the saved settings filled in
+   */
+  handleSettingsClick() {
+    const form = this.elements.settingsForm;
+    if (form) {
+      const { siteUrl, projectKeys, mentions, attachmentUrl } = this.state.jiraLinks;
+      form.elements.siteUrl.value = siteUrl || '';
+      form.elements.attachmentUrl.value = attachmentUrl || '';
+      form.elements.projectKeys.value = (projectKeys || []).join(', ');
+      form.elements.mentions.value = Object.entries(mentions || {})
+        .map(([username, accountId]) => `${username}=${accountId}`)
+        .join('\n');
+      form.elements.plainPaste.checked = this.state.plainPaste;
+    }
+    
+    this.showModal('settings-modal');
+  }
+
+  /**
+   * Save the Jira link and paste settings and re-convert the current input
+   * @param {Event} event - Form submit event
+   */
+  handleSettingsSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    
+    const siteUrl = form.elements.siteUrl.value.trim();
+    if (siteUrl && !/^(https?:\/\/)?[\w.-]+(:\d+)?(\/[\w./-]*)?$/i.test(siteUrl)) {
+      this.showError('Invalid Jira site URL: ' + siteUrl);
+      return;
+    }
+    
+    const attachmentUrl = form.elements.attachmentUrl.value.trim();
+    if (attachmentUrl && !/^https?:\/\/\S+$/i.test(attachmentUrl)) {
+      this.showError('Invalid attachment URL: ' + attachmentUrl);
+      return;
+    }
+    
+    const projectKeys = form.elements.projectKeys.value
+      .split(/[\s,]+/)
+      .map(key => key.trim().toUpperCase())
+      .filter(Boolean);
+    
+    const mentions = {};
+    form.elements.mentions.value.split('\n').forEach(line => {
+      const [username, accountId] = line.split('=').map(part => part.trim());
+      if (username && accountId) {
+        mentions[username.replace(/^@/, '')] = accountId;
+      }
+    });
+    
+    this.state.jiraLinks = { siteUrl, projectKeys, mentions, attachmentUrl };
+    Utils.localStorage(JIRA_LINK_SETTINGS_KEY, this.state.jiraLinks);
+    this.state.plainPaste = form.elements.plainPaste.checked;
+    Utils.localStorage(PLAIN_PASTE_KEY, this.state.plainPaste);
+    this.hideModal('settings-modal');
+    this.showStatus('Settings saved', 'success');
+    
+    const input = this.elements.markdownInput.value;
+    if (input.trim() && this.state.direction === 'toJira') {
+      this.processInput(input);
+    }
+  }
+
+  /**
+   * Process markdown input. A conversion still running for older input is
+   * superseded, so the preview always ends up showing the latest input.
    */
   async processInput(markdown) {
-    if (this.state.isProcessing) return;
+    const request = ++this.state.latestRequest;
     
     try {
       this.state.isProcessing = true;
@@ -244,17 +824,33 @@ export class UIController {
       
       const startTime = performance.now();
       
-      // If we have a web worker, use it
-      if (this.workerComm) {
+      if (this.state.direction === 'toMarkdown') {
+        await this.processReverseInput(markdown, startTime, request);
+      } else if (this.workerComm && this.workerComm.isAvailable()) {
+        // If we have a web worker, use it (while a crashed one restarts,
+        // the main thread fills in)
         const result = await this.workerComm.sendMessage('CONVERT_MARKDOWN', {
           markdown: markdown,
           options: {
             preserveJiraLinks: true,
-            sanitizeHtml: true
+            sanitizeHtml: true,
+            dialect: this.state.dialect,
+            outputs: ['html', 'adf', 'wiki', 'text'],
+            sourceMap: true,
+            incremental: true,
+            jiraFidelity: this.state.jiraFidelity,
+            previewRevision: this.state.previewRevision,
+            jiraLinks: this.state.jiraLinks
           }
+        }, {
+          timeout: this.config.workerTimeout,
+          onProgress: progress => this.showProgress(progress),
+          supersede: 'convert'
         });
         
-        this.handleProcessingResult(result, startTime);
+        if (request === this.state.latestRequest) {
+          this.handleProcessingResult(result, startTime);
+        }
       } else {
         // Fallback to simple processing on main thread
         const html = this.simpleMarkdownToHtml(markdown);
@@ -262,19 +858,61 @@ export class UIController {
       }
       
     } catch (error) {
+      // Superseded by newer input, whose result is on its way
+      if (error.name === 'AbortError') return;
+      
       console.error('Processing error:', error);
       this.showError('Failed to process markdown: ' + error.message);
     } finally {
-      this.state.isProcessing = false;
-      this.hideProcessingState();
+      if (request === this.state.latestRequest) {
+        this.state.isProcessing = false;
+        this.hideProcessingState();
+      }
+    }
+  }
+
+  /**
+   * Convert Jira HTML or ADF input back to markdown (worker only)
+   * @param {string} input - HTML or ADF JSON
+   * @param {number} startTime - Processing start time
+   * @param {number} request - Request number; the result is dropped if a
+   *   newer request was made meanwhile
+   */
+  async processReverseInput(input, startTime, request) {
+    if (!this.workerComm) {
+      throw new Error('Converting to Markdown requires the background worker');
     }
+    
+    const result = await this.workerComm.sendMessage('CONVERT_TO_MARKDOWN', {
+      input,
+      format: 'auto'
+    }, {
+      timeout: this.config.workerTimeout,
+      supersede: 'convert'
+    });
+    if (request !== this.state.latestRequest) return;
+    
+    const processingTime = performance.now() - startTime;
+    this.state.lastProcessingTime = processingTime;
+    this.state.currentAdf = null;
+    this.state.currentWiki = null;
+    this.state.currentText = null;
+    
+    const markdownHtml = `<pre class="markdown-output">${Utils.escapeHtml(result.markdown)}</pre>`;
+    this.diagnosticsPanel.clear();
+    this.updateOutput(markdownHtml);
+    this.state.currentOutput = result.markdown;
+    this.updateStats(result.stats || {}, processingTime);
+    this.enableCopyButton();
+    this.reportRemovedContent(result.removed);
   }
 
   /**
    * Simple markdown to HTML conversion (fallback)
    */
   simpleMarkdownToHtml(markdown) {
-    let html = markdown;
+    // Escape first: the result is injected into the preview panes
+    let html = Utils.escapeHtml(markdown);
     
     // Basic conversions
     html = html.replace(/^# (.*$)/gim, '<h1>$1</h1>');
@@ -283,7 +921,11 @@ export class UIController {
     html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
     html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
     html = html.replace(/`(.*?)`/g, '<code>$1</code>');
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
+    // Images before links, or "![alt](src)" becomes "!<a ...>"
+    html = html.replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (match, alt, src) =>
+      /^(https?:|\/)[^"'\s]*$/i.test(src) ? `<img src="${src}" alt="${alt}">` : alt);
+    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, text, url) =>
+      /^(https?:|mailto:|#|\/)[^"'\s]*$/i.test(url) ? `<a href="${url}">${text}</a>` : text);
     
     // Convert line breaks to paragraphs
     const paragraphs = html.split('\n\n').filter(p => p.trim());
@@ -300,13 +942,46 @@ export class UIController {
     this.state.lastProcessingTime = processingTime;
     
     if (result.html) {
+      // The preview keeps its source-line annotations; copies use the clean HTML
+      this.updateOutput(result.previewHtml || result.html, result.patch);
       this.state.currentOutput = result.html;
-      this.updateOutput(result.html);
+      this.state.currentAdf = result.adf || null;
+      this.state.currentWiki = result.wiki ?? null;
+      this.state.currentText = result.text ?? null;
       this.updateStats(result.stats || {}, processingTime);
       this.enableCopyButton();
+      this.reportRemovedContent(result.removed);
     } else if (result.error) {
       this.showError(result.error);
     }
+    
+    this.diagnosticsPanel.show(result.diagnostics || []);
+  }
+
+  /**
+   * Warn about content the worker's sanitizer removed, or clear an
+   * earlier warning when the output is clean again
+   * @param {Array} removed - Removed items ({ type, name, value })
+   */
+  reportRemovedContent(removed = []) {
+    if (removed.length === 0) {
+      // Leave any other status that replaced the warning alone
+      const statusText = this.elements.statusMessage?.querySelector('.status-text');
+      if (this.state.removedContentWarning && statusText?.textContent === this.state.removedContentWarning) {
+        this.hideStatus();
+      }
+      this.state.removedContentWarning = null;
+      return;
+    }
+    
+    const labels = [...new Set(removed.map(item => {
+      if (item.type === 'url') return `${String(item.value).split(':')[0]}: link`;
+      if (item.type === 'element') return `<${item.name}>`;
+      return item.name;
+    }))];
+    
+    this.state.removedContentWarning = `Removed unsafe content: ${labels.join(', ')}`;
+    this.showStatus(this.state.removedContentWarning, 'warning');
   }
 
   /**
@@ -316,44 +991,125 @@ export class UIController {
     if (!this.elements.charCount || !this.elements.markdownInput) return;
     
     const count = this.elements.markdownInput.value.length;
-    const maxLength = this.config.maxInputSize || 10000;
-    
-    this.elements.charCount.textContent = `${count} characters`;
+    const softLimit = this.config.maxInputSize || 10000;
     
-    // Add warning if approaching limit
-    if (count > maxLength * 0.9) {
+    // Larger input still converts, in chunks with a progress indicator
+    if (count > softLimit) {
+      this.elements.charCount.textContent = `${count} characters (large input, may take a moment)`;
       this.elements.charCount.style.color = 'var(--warning-color)';
-    } else if (count > maxLength) {
-      this.elements.charCount.style.color = 'var(--error-color)';
     } else {
+      this.elements.charCount.textContent = `${count} characters`;
       this.elements.charCount.style.color = '';
     }
   }
 
   /**
-   * Update output with converted HTML
+   * Update output with converted HTML. With a patch from the worker only
+   * the changed blocks are replaced, so the previews keep their scroll
+   * position and loaded images.
+   * @param {string} html - Full preview HTML
+   * @param {Object} patch - Block patch ({ base, revision, blocks }), if any
    */
-  updateOutput(html) {
+  updateOutput(html, patch = null) {
     if (!this.elements.jiraPreviewLight || !this.elements.jiraPreviewDark) return;
     
     // Clear placeholders
     this.hidePlaceholderMessage();
     
-    // Update both preview containers with the same HTML content
-    this.domManager.updateContent(this.elements.jiraPreviewLight, html, true);
-    this.domManager.updateContent(this.elements.jiraPreviewDark, html, true);
+    const panes = [this.elements.jiraPreviewLight, this.elements.jiraPreviewDark];
+    if (patch && (patch.base === null || patch.base === this.state.previewRevision)) {
+      panes.forEach(pane => this.applyPreviewPatch(pane, patch));
+      this.state.previewRevision = patch.revision;
+    } else {
+      // Update both preview containers with the same HTML content
+      panes.forEach(pane => this.domManager.updateContent(pane, html, true));
+      this.previewBlocks.clear();
+      this.state.previewRevision = null;
+    }
+    this.scrollSync.invalidate();
     
     // Store current output for copying
     this.state.currentOutput = html;
   }
 
+  /**
+   * Apply a block patch to a preview pane. Reused blocks keep their DOM
+   * nodes (moved to their new line numbers); only nodes that are not
+   * already in place are inserted.
+   * @param {HTMLElement} pane - Preview pane
+   * @param {Object} patch - Block patch ({ blocks: [{ html } | { reuse, shift }] })
+   */
+  applyPreviewPatch(pane, patch) {
+    const previous = this.previewBlocks.get(pane) || [];
+    const blocks = patch.blocks.map(entry => {
+      if (entry.html === undefined) {
+        const nodes = previous[entry.reuse];
+        if (entry.shift) this.shiftSourceLines(nodes, entry.shift);
+        return nodes;
+      }
+      const template = document.createElement('template');
+      template.innerHTML = entry.html;
+      return [...template.content.childNodes];
+    });
+    
+    const nodes = blocks.flat();
+    const kept = new Set(nodes);
+    [...pane.childNodes].forEach(node => {
+      if (!kept.has(node)) node.remove();
+    });
+    
+    let cursor = pane.firstChild;
+    for (const node of nodes) {
+      if (node === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        pane.insertBefore(node, cursor);
+      }
+    }
+    
+    this.previewBlocks.set(pane, blocks);
+  }
+
+  /**
+   * Move the source line annotations of reused preview nodes
+   * @param {Node[]} nodes - Nodes of one block
+   * @param {number} shift - Lines to move by
+   */
+  shiftSourceLines(nodes, shift) {
+    nodes.filter(node => node.nodeType === Node.ELEMENT_NODE).forEach(element => {
+      [element, ...element.querySelectorAll('[data-source-lines]')].forEach(mapped => {
+        if (!mapped.dataset.sourceLines) return;
+        const [start, end] = mapped.dataset.sourceLines.split('-').map(Number);
+        mapped.dataset.sourceLines = `${start + shift}-${end + shift}`;
+      });
+    });
+  }
+
+  /**
+   * Drop the pending (debounced) conversion and cancel a running one, so
+   * its result never reaches the preview
+   */
+  cancelProcessing() {
+    this.debouncedProcess.cancel();
+    this.state.latestRequest++;
+    this.workerComm?.cancelByKey('convert');
+    this.state.isProcessing = false;
+    this.hideProcessingState();
+  }
+
   /**
    * Clear output and show placeholder
    */
   clearOutput() {
+    this.cancelProcessing();
     this.state.currentOutput = '';
+    this.state.currentAdf = null;
+    this.state.currentWiki = null;
+    this.state.currentText = null;
+    this.state.previewRevision = null;
     this.disableCopyButton();
     this.hideStatusItems();
+    this.diagnosticsPanel.clear();
     this.showPlaceholderMessage();
   }
 
@@ -423,34 +1179,154 @@ export class UIController {
   }
 
   /**
-   * Enable copy button
+   * Enable copy buttons. Formats the output lacks (ADF, wiki markup and
+   * plain text without the worker) are disabled in the menu.
    */
   enableCopyButton() {
     if (this.elements.copyButton) {
-      this.elements.copyButton.disabled = false;
+      this.elements.copyButton.disabled = this.state.direction === 'toMarkdown'
+        ? !this.state.currentOutput
+        : !this.getCopyContent(this.state.copyFormat);
+    }
+    
+    if (this.elements.copyFormatButton) {
+      this.elements.copyFormatButton.disabled = false;
     }
+    
+    this.elements.copyMenu?.querySelectorAll('[data-copy-format]').forEach(item => {
+      item.disabled = !this.getCopyContent(item.dataset.copyFormat);
+    });
   }
 
   /**
-   * Disable copy button
+   * Disable copy buttons
    */
   disableCopyButton() {
-    if (this.elements.copyButton) {
-      this.elements.copyButton.disabled = true;
+    [this.elements.copyButton, this.elements.copyFormatButton].forEach(button => {
+      if (button) button.disabled = true;
+    });
+    this.toggleCopyMenu(false);
+  }
+
+  /**
+   * Get the current output in a copy format
+   * @param {string} format - Copy format (a COPY_FORMATS key)
+   * @returns {string|null} Content, or null if the output lacks the format
+   */
+  getCopyContent(format) {
+    const { currentOutput, currentAdf, currentWiki, currentText } = this.state;
+    if (!currentOutput) return null;
+    
+    switch (format) {
+      case 'rich':
+      case 'html':
+        return currentOutput;
+      case 'adf':
+        return currentAdf ? JSON.stringify(currentAdf, null, 2) : null;
+      case 'wiki':
+        return currentWiki || null;
+      case 'text':
+        return currentText || null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Choose the format the copy button (and Ctrl+Enter) copies. The choice
+   * is remembered across sessions.
+   * @param {string} format - Copy format (a COPY_FORMATS key)
+   */
+  setCopyFormat(format) {
+    if (!COPY_FORMATS[format]) return;
+    
+    this.state.copyFormat = format;
+    Utils.localStorage(COPY_FORMAT_KEY, format);
+    
+    this.elements.copyMenu?.querySelectorAll('[data-copy-format]').forEach(item => {
+      item.setAttribute('aria-checked', String(item.dataset.copyFormat === format));
+    });
+    this.updateCopyButtonLabel();
+    
+    if (this.state.currentOutput) {
+      this.enableCopyButton();
     }
   }
 
   /**
-   * Handle copy button click
+   * Label the copy button with what it copies
+   */
+  updateCopyButtonLabel() {
+    const toMarkdown = this.state.direction === 'toMarkdown';
+    const format = COPY_FORMATS[this.state.copyFormat];
+    
+    const copyText = this.elements.copyButton?.querySelector('.button-text');
+    if (copyText) {
+      copyText.textContent = toMarkdown ? 'Copy Markdown' : format.label;
+    }
+    this.elements.copyButton?.setAttribute(
+      'aria-label',
+      `Copy ${toMarkdown ? 'Markdown' : format.name} to clipboard`
+    );
+  }
+
+  /**
+   * Show or hide the copy format menu
+   * @param {boolean} [open] - Force open or closed; toggles when omitted
+   */
+  toggleCopyMenu(open) {
+    const { copyFormatButton, copyMenu } = this.elements;
+    if (!copyFormatButton || !copyMenu) return;
+    
+    const show = open ?? copyMenu.hidden;
+    copyMenu.hidden = !show;
+    copyFormatButton.setAttribute('aria-expanded', String(show));
+    
+    if (show) {
+      (copyMenu.querySelector('[aria-checked="true"]:not(:disabled)') ||
+        copyMenu.querySelector('[data-copy-format]:not(:disabled)'))?.focus();
+    }
+  }
+
+  /**
+   * Copy in the chosen format and make it the default
+   * @param {Event} event - Click event from the menu
+   */
+  async handleCopyMenuClick(event) {
+    const item = event.target.closest('[data-copy-format]');
+    if (!item || item.disabled) return;
+    
+    this.setCopyFormat(item.dataset.copyFormat);
+    this.toggleCopyMenu(false);
+    this.elements.copyButton?.focus();
+    await this.handleCopyClick();
+  }
+
+  /**
+   * Handle copy button click: copy the output in the chosen format
    */
   async handleCopyClick() {
     if (!this.state.currentOutput || !this.clipboardManager) return;
     
-    await this.clipboardManager.copyToClipboard(this.state.currentOutput);
+    if (this.state.direction === 'toMarkdown') {
+      await this.clipboardManager.copyToClipboard(this.state.currentOutput, 'Markdown copied to clipboard!');
+      return;
+    }
+    
+    const format = this.state.copyFormat;
+    const { message } = COPY_FORMATS[format];
+    if (format === 'rich') {
+      // Without the worker there is no text rendering; the preview has one
+      const plainText = this.state.currentText || this.elements.jiraPreviewLight?.innerText || '';
+      await this.clipboardManager.copyRichContent(this.state.currentOutput, plainText, message);
+    } else {
+      await this.clipboardManager.copyToClipboard(this.getCopyContent(format), message);
+    }
   }
 
   /**
-   * Handle copy request (can be called from keyboard shortcut)
+   * Handle copy request (can be called from keyboard shortcut). Copies in
+   * the last chosen format.
    */
   async handleCopyRequest() {
     return this.handleCopyClick();
@@ -476,6 +1352,23 @@ export class UIController {
     if (inputPanel) {
       inputPanel.classList.remove('processing');
     }
+    
+    this.domManager.removeLoadingIndicator(this.progressIndicator);
+    this.progressIndicator = null;
+  }
+
+  /**
+   * Show worker progress on a large conversion. The indicator appears with
+   * the first PROGRESS message, so small inputs never show it.
+   * @param {Object} progress - Progress payload ({ phase, percent })
+   */
+  showProgress(progress) {
+    if (!this.progressIndicator) {
+      this.progressIndicator = this.domManager.createLoadingIndicator(this.elements.outputContent, { progress: true });
+    }
+    
+    const label = PROGRESS_LABELS[progress.phase] || 'Converting';
+    this.domManager.updateLoadingIndicator(this.progressIndicator, progress.percent, `${label}… ${progress.percent}%`);
   }
 
   /**
@@ -496,7 +1389,7 @@ export class UIController {
    * Close all modals
    */
   closeAllModals() {
-    ['help-modal', 'about-modal'].forEach(modalId => {
+    ['help-modal', 'about-modal', 'settings-modal', 'history-modal', 'template-modal'].forEach(modalId => {
       this.hideModal(modalId);
     });
   }
@@ -541,6 +1434,25 @@ export class UIController {
     }
   }
 
+  /**
+   * Hide status message
+   */
+  hideStatus() {
+    if (this.elements.statusMessage) {
+      this.elements.statusMessage.style.display = 'none';
+    }
+  }
+
+  /**
+   * Convert the current input again, e.g. after the worker restarted
+   */
+  reprocessInput() {
+    const input = this.elements.markdownInput.value;
+    if (input.trim().length > 0) {
+      this.processInput(input);
+    }
+  }
+
   /**
    * Update worker communication reference
    */
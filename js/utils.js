@@ -2,17 +2,25 @@
  * Utility functions for the Jira Markdown to HTML Converter
  */
 
+// Textarea styles copied to the mirror used to measure line positions
+const MIRROR_STYLES = [
+  'boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+  'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize',
+  'whiteSpace', 'wordWrap', 'wordBreak', 'overflowWrap'
+];
+
 export class Utils {
   /**
    * Debounce function calls
    * @param {Function} func - Function to debounce
    * @param {number} wait - Wait time in milliseconds
    * @param {boolean} immediate - Execute immediately on first call
-   * @returns {Function} Debounced function
+   * @returns {Function} Debounced function, with cancel() to drop a pending call
    */
   static debounce(func, wait, immediate = false) {
     let timeout;
-    return function executedFunction(...args) {
+    const executedFunction = function(...args) {
       const later = () => {
         timeout = null;
         if (!immediate) func.apply(this, args);
@@ -22,6 +30,11 @@ export class Utils {
       timeout = setTimeout(later, wait);
       if (callNow) func.apply(this, args);
     };
+    executedFunction.cancel = () => {
+      clearTimeout(timeout);
+      timeout = null;
+    };
+    return executedFunction;
   }
 
   /**
@@ -88,7 +101,7 @@ export class Utils {
   /**
    * Validate markdown input
    * @param {string} markdown - Markdown string to validate
-   * @param {number} maxLength - Maximum allowed length
+   * @param {number} maxLength - Length above which a warning is given
    * @returns {Object} Validation result
    */
   static validateMarkdown(markdown, maxLength = 10000) {
@@ -99,10 +112,9 @@ export class Utils {
       length: markdown.length
     };
 
-    // Check length
+    // Check length (a soft limit: large input is converted in chunks)
     if (markdown.length > maxLength) {
-      result.isValid = false;
-      result.errors.push(`Input exceeds maximum length of ${maxLength} characters`);
+      result.warnings.push(`Input is longer than ${maxLength} characters - conversion may take a moment`);
     }
 
     // Check for potentially problematic content
@@ -296,6 +308,66 @@ export class Utils {
     }
   }
 
+  /**
+   * Measure the top offset of source lines inside a textarea. Lines can
+   * wrap, so a hidden mirror with the same text metrics is laid out and the
+   * position of a probe at the start of each line is read back.
+   * @param {HTMLTextAreaElement} textarea - Textarea to measure
+   * @param {number[]} lines - 1-based line numbers
+   * @returns {Map<number, number>} Line -> top offset in pixels (scrollTop 0)
+   */
+  static measureTextareaLines(textarea, lines) {
+    const style = window.getComputedStyle(textarea);
+    const mirror = document.createElement('div');
+    MIRROR_STYLES.forEach(property => { mirror.style[property] = style[property]; });
+    Object.assign(mirror.style, {
+      position: 'absolute',
+      visibility: 'hidden',
+      top: '0',
+      left: '-9999px',
+      whiteSpace: 'pre-wrap',
+      overflowWrap: 'break-word',
+      width: `${textarea.clientWidth}px`
+    });
+
+    const sourceLines = textarea.value.split('\n');
+    const wanted = new Set(lines);
+    const probes = new Map();
+    sourceLines.forEach((text, index) => {
+      if (wanted.has(index + 1)) {
+        const probe = document.createElement('span');
+        probe.textContent = '\u200b';
+        probes.set(index + 1, probe);
+        mirror.appendChild(probe);
+      }
+      mirror.appendChild(document.createTextNode(index < sourceLines.length - 1 ? `${text}\n` : text));
+    });
+
+    document.body.appendChild(mirror);
+    const tops = new Map();
+    for (const line of lines) {
+      tops.set(line, probes.has(line) ? probes.get(line).offsetTop : 0);
+    }
+    mirror.remove();
+    return tops;
+  }
+
+  /**
+   * Get the character offset where a 1-based line starts in a text
+   * @param {string} text - Text
+   * @param {number} line - 1-based line (clamped to the text)
+   * @returns {number} Offset
+   */
+  static lineOffset(text, line) {
+    let offset = 0;
+    for (let current = 1; current < line; current++) {
+      const next = text.indexOf('\n', offset);
+      if (next === -1) break;
+      offset = next + 1;
+    }
+    return offset;
+  }
+
   /**
    * Create a Promise that resolves after specified delay
    * @param {number} ms - Delay in milliseconds
@@ -1,67 +1,128 @@
 /**
  * Worker Communication - Handles Web Worker messaging for markdown processing
+ *
+ * Runs a pool of workers (one by default). A worker that crashes or stops
+ * responding is restarted with exponential backoff; only when every worker
+ * has used up its restarts does onError fire.
  */
 
 import { Utils } from './utils.js';
 
+/**
+ * Create the error a cancelled request rejects with (as fetch() does)
+ * @returns {DOMException} AbortError
+ */
+function createAbortError() {
+  return new DOMException('Request cancelled', 'AbortError');
+}
+
 export class WorkerComm {
-  constructor(workerPath) {
+  /**
+   * @param {string} workerPath - Worker script URL
+   * @param {Object} options - Pool options
+   * @param {number} options.poolSize - Number of workers
+   * @param {number} options.maxRestarts - Restarts in a row before a worker is given up
+   * @param {number} options.restartDelay - First restart delay (ms), doubled on each retry
+   * @param {number} options.maxRestartDelay - Longest restart delay (ms)
+   */
+  constructor(workerPath, options = {}) {
     this.workerPath = workerPath;
-    this.worker = null;
+    this.options = {
+      poolSize: 1,
+      maxRestarts: 5,
+      restartDelay: 500,
+      maxRestartDelay: 30000,
+      ...options
+    };
+    this.workers = Array.from({ length: Math.max(1, this.options.poolSize) }, (_, index) => ({
+      index,
+      worker: null,
+      status: 'stopped',
+      pending: new Set(),
+      failures: 0,
+      restarts: 0,
+      restartTimer: null,
+      lastError: null
+    }));
     this.messageQueue = new Map();
+    this.supersedable = new Map();
+    this.affinity = new Map();
     this.messageId = 0;
-    this.isReady = false;
     this.onError = null;
+    this.onRestart = null;
   }
 
   /**
-   * Initialize Web Worker
+   * Initialize the Web Workers
    * @returns {Promise<void>}
    */
   async init() {
-    try {
-      // Create worker
-      this.worker = new Worker(this.workerPath, { type: 'module' });
-      
-      // Set up message handler
-      this.worker.onmessage = this.handleWorkerMessage.bind(this);
-      
-      // Set up error handler
-      this.worker.onerror = this.handleWorkerError.bind(this);
-      
-      // Wait for worker to be ready
-      await this.waitForWorkerReady();
-      
-      console.log('✅ Web Worker initialized');
-    } catch (error) {
-      console.warn('⚠️ Web Worker initialization failed:', error);
-      // Don't throw - app should work without worker
-      if (this.onError) {
-        this.onError(error);
+    await Promise.all(this.workers.map(async (slot) => {
+      try {
+        await this.startWorker(slot);
+      } catch (error) {
+        console.warn(`⚠️ Web Worker ${slot.index} initialization failed:`, error);
+        // Don't throw - retry in the background, the app works without workers
+        this.restartWorker(slot, error);
       }
+    }));
+
+    if (this.isAvailable()) {
+      console.log(`✅ Web Worker pool initialized (${this.workers.length})`);
+    }
+  }
+
+  /**
+   * Create a slot's worker and wait until it is ready
+   * @param {Object} slot - Pool slot
+   * @returns {Promise<void>}
+   */
+  async startWorker(slot) {
+    slot.status = 'starting';
+    const worker = new Worker(this.workerPath, { type: 'module' });
+    slot.worker = worker;
+
+    // Set up message and error handlers
+    worker.onmessage = (event) => this.handleWorkerMessage(slot, event);
+    worker.onerror = (event) => this.handleWorkerError(slot, event);
+
+    // Wait for worker to be ready
+    await this.waitForWorkerReady(worker);
+    if (slot.worker === worker) {
+      slot.status = 'ready';
     }
   }
 
   /**
    * Wait for worker ready signal
+   * @param {Worker} worker - Starting worker
    * @returns {Promise<void>}
    */
-  waitForWorkerReady() {
+  waitForWorkerReady(worker) {
     return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timeout);
+        worker.removeEventListener('message', checkReady);
+        worker.removeEventListener('error', fail);
+      };
       const timeout = setTimeout(() => {
+        cleanup();
         reject(new Error('Worker initialization timeout'));
       }, 5000);
 
       const checkReady = (event) => {
         if (event.data.type === 'WORKER_READY') {
-          clearTimeout(timeout);
-          this.worker.removeEventListener('message', checkReady);
-          this.isReady = true;
+          cleanup();
           resolve();
         }
       };
+      const fail = (event) => {
+        cleanup();
+        reject(new Error(event.message || 'Worker failed to load'));
+      };
 
-      this.worker.addEventListener('message', checkReady);
+      worker.addEventListener('message', checkReady);
+      worker.addEventListener('error', fail);
     });
   }
 
@@ -69,33 +130,63 @@ export class WorkerComm {
    * Send message to worker with response handling
    * @param {string} type - Message type
    * @param {Object} payload - Message payload
-   * @param {number} timeout - Response timeout (ms)
-   * @returns {Promise<Object>} Worker response
+   * @param {Object} options - Request options
+   * @param {number} options.timeout - Response timeout (ms), restarted by every
+   *   message from the worker, so long conversions only fail when it stalls
+   * @param {Function} options.onProgress - Called with each PROGRESS payload
+   * @param {AbortSignal} options.signal - Aborting it cancels the request
+   * @param {string} options.supersede - Key; a later request with the same
+   *   key cancels this one if it is still pending. Requests with the same
+   *   key go to the same worker, which keeps its parse cache warm.
+   * @returns {Promise<Object>} Worker response. Cancelled requests reject
+   *   with an AbortError.
    */
-  async sendMessage(type, payload, timeout = 5000) {
-    if (!this.worker || !this.isReady) {
+  async sendMessage(type, payload, options = {}) {
+    const { timeout = 5000, onProgress = null, signal = null, supersede = null } = options;
+
+    const slot = this.pickWorker(supersede);
+    if (!slot) {
       throw new Error('Worker not available');
     }
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
 
     return new Promise((resolve, reject) => {
       const messageId = this.generateMessageId();
-      
-      // Set up timeout
-      const timeoutId = setTimeout(() => {
-        this.messageQueue.delete(messageId);
-        reject(new Error('Worker response timeout'));
-      }, timeout);
 
       // Store message handler
-      this.messageQueue.set(messageId, {
+      const messageHandler = {
         resolve,
         reject,
-        timeoutId,
+        slot,
+        timeout,
+        onProgress,
+        supersede,
         timestamp: Date.now()
-      });
+      };
+      this.messageQueue.set(messageId, messageHandler);
+      slot.pending.add(messageId);
+
+      // Set up timeout
+      this.startTimeout(messageId, messageHandler);
+
+      // Cancel on abort, or when a newer request takes this one's place
+      if (signal) {
+        const onAbort = () => this.cancel(messageId);
+        signal.addEventListener('abort', onAbort, { once: true });
+        messageHandler.removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+      }
+      if (supersede) {
+        const previousId = this.supersedable.get(supersede);
+        if (previousId) {
+          this.cancel(previousId);
+        }
+        this.supersedable.set(supersede, messageId);
+      }
 
       // Send message to worker
-      this.worker.postMessage({
+      slot.worker.postMessage({
         id: messageId,
         type,
         payload,
@@ -105,23 +196,128 @@ export class WorkerComm {
   }
 
   /**
-   * Handle incoming messages from worker
+   * Choose the worker for a request: the one already used for its
+   * supersede key, otherwise the ready worker with the fewest pending
+   * requests
+   * @param {string|null} key - Supersede key
+   * @returns {Object|null} Pool slot, or null when no worker is ready
+   */
+  pickWorker(key = null) {
+    const ready = this.workers.filter(slot => slot.status === 'ready');
+    if (ready.length === 0) return null;
+
+    const preferred = key && this.affinity.get(key);
+    if (preferred && preferred.status === 'ready') {
+      return preferred;
+    }
+
+    const slot = ready.reduce((best, candidate) =>
+      candidate.pending.size < best.pending.size ? candidate : best);
+    if (key) {
+      this.affinity.set(key, slot);
+    }
+    return slot;
+  }
+
+  /**
+   * Start (or restart) the response timeout of a pending message. A
+   * timeout means the worker stopped responding, so it is restarted.
+   * @param {string} messageId - Message ID
+   * @param {Object} messageHandler - Pending message handler
+   */
+  startTimeout(messageId, messageHandler) {
+    clearTimeout(messageHandler.timeoutId);
+    messageHandler.timeoutId = setTimeout(() => {
+      this.settle(messageId);
+      messageHandler.reject(new Error('Worker response timeout'));
+      this.restartWorker(messageHandler.slot, new Error('Worker stopped responding'));
+    }, messageHandler.timeout);
+  }
+
+  /**
+   * Cancel a pending request. Its promise rejects with an AbortError and
+   * the worker is sent CANCEL, so it stops working on it.
+   * @param {string} messageId - Message ID
+   * @returns {boolean} True if the request was still pending
+   */
+  cancel(messageId) {
+    const messageHandler = this.settle(messageId);
+    if (!messageHandler) return false;
+
+    messageHandler.reject(createAbortError());
+    const { worker } = messageHandler.slot;
+    if (worker) {
+      worker.postMessage({
+        id: messageId,
+        type: 'CANCEL',
+        timestamp: Date.now()
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Cancel the pending request sent with a supersede key, if there is one
+   * @param {string} key - Supersede key
+   * @returns {boolean} True if a request was cancelled
+   */
+  cancelByKey(key) {
+    const messageId = this.supersedable.get(key);
+    return messageId ? this.cancel(messageId) : false;
+  }
+
+  /**
+   * Stop tracking a pending request: clear its timeout and abort listener
+   * @param {string} messageId - Message ID
+   * @returns {Object|undefined} The request's handler, if it was pending
+   */
+  settle(messageId) {
+    const messageHandler = this.messageQueue.get(messageId);
+    if (!messageHandler) return undefined;
+
+    clearTimeout(messageHandler.timeoutId);
+    this.messageQueue.delete(messageId);
+    messageHandler.slot.pending.delete(messageId);
+    if (messageHandler.removeAbortListener) {
+      messageHandler.removeAbortListener();
+    }
+    if (messageHandler.supersede && this.supersedable.get(messageHandler.supersede) === messageId) {
+      this.supersedable.delete(messageHandler.supersede);
+    }
+    return messageHandler;
+  }
+
+  /**
+   * Handle incoming messages from a worker
+   * @param {Object} slot - Pool slot the message came from
    * @param {MessageEvent} event - Worker message event
    */
-  handleWorkerMessage(event) {
+  handleWorkerMessage(slot, event) {
     const { id, type, payload, error } = event.data;
 
     // Handle worker ready signal
     if (type === 'WORKER_READY') {
-      this.isReady = true;
       return;
     }
 
-    // Handle response messages
+    // The worker is alive: give everything queued on it more time
+    for (const pendingId of slot.pending) {
+      this.startTimeout(pendingId, this.messageQueue.get(pendingId));
+    }
+
+    // Progress on a long conversion: the worker is still busy
     const messageHandler = this.messageQueue.get(id);
+    if (messageHandler && type === 'PROGRESS') {
+      if (messageHandler.onProgress) {
+        messageHandler.onProgress(payload);
+      }
+      return;
+    }
+
+    // Handle response messages
     if (messageHandler) {
-      clearTimeout(messageHandler.timeoutId);
-      this.messageQueue.delete(id);
+      this.settle(id);
+      slot.failures = 0;
 
       if (error) {
         messageHandler.reject(new Error(error));
@@ -132,23 +328,67 @@ export class WorkerComm {
   }
 
   /**
-   * Handle worker errors
+   * Handle worker errors: the worker is restarted
+   * @param {Object} slot - Pool slot of the failed worker
    * @param {ErrorEvent} event - Error event
    */
-  handleWorkerError(event) {
-    console.error('Web Worker error:', event);
-    
-    // Reject all pending messages
-    for (const [id, handler] of this.messageQueue) {
-      clearTimeout(handler.timeoutId);
-      handler.reject(new Error('Worker error: ' + event.message));
+  handleWorkerError(slot, event) {
+    console.error(`Web Worker ${slot.index} error:`, event);
+
+    // A worker that fails while starting is handled by startWorker
+    if (slot.status === 'ready') {
+      this.restartWorker(slot, event.error || new Error(event.message));
+    }
+  }
+
+  /**
+   * Stop a slot's worker, reject its pending requests and start a new one
+   * after a delay that doubles with each failure in a row. After
+   * maxRestarts failures in a row the slot is given up; when every slot is,
+   * onError is called.
+   * @param {Object} slot - Pool slot
+   * @param {Error} error - Why the worker is restarted
+   */
+  restartWorker(slot, error) {
+    if (slot.restartTimer || slot.status === 'failed' || slot.status === 'stopped') return;
+
+    if (slot.worker) {
+      slot.worker.terminate();
+      slot.worker = null;
     }
-    this.messageQueue.clear();
+    for (const id of [...slot.pending]) {
+      this.settle(id).reject(new Error('Worker restarted: ' + error.message));
+    }
+    slot.lastError = error;
+    slot.failures++;
 
-    // Call error handler if set
-    if (this.onError) {
-      this.onError(event.error || new Error(event.message));
+    if (slot.failures > this.options.maxRestarts) {
+      slot.status = 'failed';
+      if (this.workers.every(candidate => candidate.status === 'failed') && this.onError) {
+        this.onError(error);
+      }
+      return;
     }
+
+    slot.status = 'restarting';
+    const delay = Math.min(
+      this.options.restartDelay * 2 ** (slot.failures - 1),
+      this.options.maxRestartDelay
+    );
+    slot.restartTimer = setTimeout(async () => {
+      slot.restartTimer = null;
+      try {
+        await this.startWorker(slot);
+        if (slot.status !== 'ready') return;
+        slot.restarts++;
+        console.log(`✅ Web Worker ${slot.index} restarted`);
+        if (this.onRestart) {
+          this.onRestart(slot.index);
+        }
+      } catch (restartError) {
+        this.restartWorker(slot, restartError);
+      }
+    }, delay);
   }
 
   /**
@@ -160,41 +400,54 @@ export class WorkerComm {
   }
 
   /**
-   * Check if worker is available
+   * Check if a worker is available
    * @returns {boolean} Worker availability
    */
   isAvailable() {
-    return !!(this.worker && this.isReady);
+    return this.workers.some(slot => slot.status === 'ready');
   }
 
   /**
    * Get worker statistics
-   * @returns {Object} Worker stats
+   * @returns {Object} Worker stats, with health and restart counts per worker
    */
   getStats() {
     return {
-      isReady: this.isReady,
+      isReady: this.isAvailable(),
       pendingMessages: this.messageQueue.size,
-      workerPath: this.workerPath
+      workerPath: this.workerPath,
+      poolSize: this.workers.length,
+      healthyWorkers: this.workers.filter(slot => slot.status === 'ready').length,
+      restarts: this.workers.reduce((total, slot) => total + slot.restarts, 0),
+      workers: this.workers.map(slot => ({
+        index: slot.index,
+        status: slot.status,
+        pendingMessages: slot.pending.size,
+        restarts: slot.restarts,
+        failures: slot.failures,
+        lastError: slot.lastError ? slot.lastError.message : null
+      }))
     };
   }
 
   /**
-   * Terminate worker and cleanup
+   * Terminate workers and cleanup
    */
   terminate() {
-    if (this.worker) {
-      // Reject all pending messages
-      for (const [id, handler] of this.messageQueue) {
-        clearTimeout(handler.timeoutId);
-        handler.reject(new Error('Worker terminated'));
-      }
-      this.messageQueue.clear();
+    // Reject all pending messages
+    for (const id of [...this.messageQueue.keys()]) {
+      this.settle(id).reject(new Error('Worker terminated'));
+    }
 
-      // Terminate worker
-      this.worker.terminate();
-      this.worker = null;
-      this.isReady = false;
+    // Terminate workers
+    for (const slot of this.workers) {
+      clearTimeout(slot.restartTimer);
+      slot.restartTimer = null;
+      if (slot.worker) {
+        slot.worker.terminate();
+        slot.worker = null;
+      }
+      slot.status = 'stopped';
     }
   }
-} 
\ No newline at end of file
+}
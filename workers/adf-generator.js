@@ -0,0 +1,464 @@
+/**
+ * ADF Generator - Renders the parser AST as Atlassian Document Format JSON
+ *
+ * ADF is what Jira Cloud stores for comments and what the REST API accepts,
+ * so unlike the HTML output it round-trips without loss. The API rejects
+ * documents that break the schema's nesting rules, so a block that is not
+ * allowed in its container (a heading in a list item, a table in a quote)
+ * is unwrapped into paragraphs, following the same rules as JiraPasteFilter.
+ */
+
+import { NODE_TYPES, isTaskList } from './parser-engine.js';
+import { BLOCK_CONTAINERS } from './jira-paste-filter.js';
+
+// Inline AST node type -> ADF mark
+const MARKS = {
+  [NODE_TYPES.STRONG]: () => ({ type: 'strong' }),
+  [NODE_TYPES.EMPHASIS]: () => ({ type: 'em' }),
+  [NODE_TYPES.STRIKETHROUGH]: () => ({ type: 'strike' }),
+  [NODE_TYPES.UNDERLINE]: () => ({ type: 'underline' })
+};
+
+// Blocks a listItem may start with
+const LIST_ITEM_FIRST_BLOCKS = new Set(['paragraph', 'codeBlock', 'mediaSingle']);
+
+// Table cell alignment -> ADF alignment mark value (left is the default)
+const ADF_ALIGNMENT = {
+  center: 'center',
+  right: 'end'
+};
+
+export class ADFGenerator {
+  constructor(options = {}) {
+    this.options = { ...options };
+
+    this.renderers = {
+      [NODE_TYPES.PARAGRAPH]: node => this.renderParagraph(node),
+      [NODE_TYPES.HEADING]: node => this.createBlock('heading', this.renderInline(node.children), { level: node.level }),
+      [NODE_TYPES.THEMATIC_BREAK]: () => ({ type: 'rule' }),
+      [NODE_TYPES.BLOCKQUOTE]: node => this.createBlock('blockquote', this.renderBlocksIn('quote', node.children)),
+      [NODE_TYPES.CODE_BLOCK]: node => this.renderCodeBlock(node),
+      [NODE_TYPES.LIST]: node => this.renderList(node),
+      [NODE_TYPES.TABLE]: node => this.renderTable(node),
+      [NODE_TYPES.PANEL]: node => this.createBlock('panel', this.renderBlocksIn('panel', node.children), { panelType: node.panelType }),
+      [NODE_TYPES.EXPAND]: node => this.renderExpand(node),
+      [NODE_TYPES.DEFINITION_LIST]: node => this.renderDefinitionList(node),
+      [NODE_TYPES.FOOTNOTES]: node => this.renderFootnotes(node)
+    };
+  }
+
+  /**
+   * Generate an ADF document from parsed AST
+   * @param {Object} ast - Abstract syntax tree
+   * @returns {Object} ADF document
+   */
+  generate(ast) {
+    this.taskCounter = 0;
+    this.statusCounter = 0;
+    this.container = 'root';
+    return {
+      version: 1,
+      type: 'doc',
+      content: this.renderBlocks(ast.children)
+    };
+  }
+
+  /**
+   * Render block nodes
+   * @param {Array} nodes - Block AST nodes
+   * @returns {Array} ADF block nodes
+   */
+  renderBlocks(nodes = []) {
+    return nodes.flatMap(node => this.renderNode(node)).filter(Boolean);
+  }
+
+  /**
+   * Render block nodes as the content of a container
+   * @param {string} container - BLOCK_CONTAINERS container name
+   * @param {Array} nodes - Block AST nodes
+   * @returns {Array} ADF block nodes
+   */
+  renderBlocksIn(container, nodes) {
+    const outer = this.container;
+    this.container = container;
+    try {
+      return this.renderBlocks(nodes);
+    } finally {
+      this.container = outer;
+    }
+  }
+
+  /**
+   * Render individual block node
+   * @param {Object} node - AST node
+   * @returns {Object|Array} ADF node (or nodes, for split paragraphs)
+   */
+  renderNode(node) {
+    const kind = getBlockKind(node);
+    if (kind && !BLOCK_CONTAINERS[kind].includes(this.container)) {
+      return this.flatten(node, kind);
+    }
+
+    const renderer = this.renderers[node.type];
+    if (!renderer) {
+      throw new Error(`No ADF renderer for node type: ${node.type}`);
+    }
+    return renderer(node);
+  }
+
+  /**
+   * Unwrap a block that is not allowed in the current container into
+   * blocks that are
+   * @param {Object} node - Block AST node
+   * @param {string} kind - BLOCK_CONTAINERS block kind
+   * @returns {Array} ADF blocks
+   */
+  flatten(node, kind) {
+    switch (kind) {
+      case 'heading':
+        return [this.createBlock('paragraph', this.renderInline(node.children))];
+      case 'expand':
+        return [
+          ...(node.title ? [this.createBlock('paragraph', [this.createText(node.title, [{ type: 'strong' }])])] : []),
+          ...this.renderBlocks(node.children)
+        ];
+      case 'table':
+        return node.children.flatMap(row => row.children.map(cell =>
+          this.createBlock('paragraph', this.renderInline(cell.children))));
+      case 'taskList':
+        // A plain list with checkbox characters is allowed everywhere
+        return [this.renderList(node, false)];
+      case 'rule':
+        return [];
+      default:
+        // Quotes and panels: the content stays where the block was
+        return this.renderBlocks(node.children);
+    }
+  }
+
+  /**
+   * Create a block node, omitting empty content and attrs
+   * @param {string} type - ADF node type
+   * @param {Array} content - Child nodes
+   * @param {Object} attrs - Node attributes
+   * @returns {Object} ADF node
+   */
+  createBlock(type, content = [], attrs = null) {
+    const block = { type };
+    if (attrs) block.attrs = attrs;
+    if (content.length > 0) block.content = content;
+    return block;
+  }
+
+  /**
+   * Render a paragraph. ADF has no inline external images, so images split
+   * the paragraph and become mediaSingle blocks between the text around them.
+   * @param {Object} node - Paragraph node
+   * @returns {Object|Array} ADF paragraph, or paragraphs and media blocks
+   */
+  renderParagraph(node) {
+    if (!node.children.some(child => child.type === NODE_TYPES.IMAGE)) {
+      return this.createBlock('paragraph', this.renderInline(node.children));
+    }
+
+    const blocks = [];
+    let run = [];
+    const flush = () => {
+      let content = this.renderInline(run);
+      while (content[0]?.type === 'hardBreak') content.shift();
+      while (content[content.length - 1]?.type === 'hardBreak') content.pop();
+      if (content[0]?.type === 'text') content[0].text = content[0].text.trimStart();
+      const last = content[content.length - 1];
+      if (last?.type === 'text') last.text = last.text.trimEnd();
+      // ADF rejects empty text nodes, e.g. the space left between a mention and an image
+      content = content.filter(child => child.type !== 'text' || child.text);
+      if (content.length > 0) {
+        blocks.push(this.createBlock('paragraph', content));
+      }
+      run = [];
+    };
+
+    for (const child of node.children) {
+      if (child.type === NODE_TYPES.IMAGE) {
+        flush();
+        blocks.push(this.renderMediaSingle(child));
+      } else {
+        run.push(child);
+      }
+    }
+    flush();
+
+    return blocks;
+  }
+
+  /**
+   * Render an image as an external media block
+   * @param {Object} node - Image node
+   * @returns {Object} ADF mediaSingle
+   */
+  renderMediaSingle(node) {
+    const attrs = { type: 'external', url: node.url };
+    if (node.alt) attrs.alt = node.alt;
+    if (node.width) attrs.width = node.width;
+    if (node.height) attrs.height = node.height;
+    return this.createBlock('mediaSingle', [{ type: 'media', attrs }], { layout: 'center' });
+  }
+
+  /**
+   * Render a code block
+   * @param {Object} node - Code block node
+   * @returns {Object} ADF codeBlock
+   */
+  renderCodeBlock(node) {
+    const content = node.content ? [{ type: 'text', text: node.content }] : [];
+    return this.createBlock('codeBlock', content, node.language ? { language: node.language } : null);
+  }
+
+  /**
+   * Render a list. ADF list items always hold block content.
+   * @param {Object} node - List node
+   * @param {boolean} [tasks=true] - Render a checklist as a taskList
+   * @returns {Object} ADF bulletList/orderedList/taskList
+   */
+  renderList(node, tasks = true) {
+    if (tasks && isTaskList(node)) {
+      return this.renderTaskList(node);
+    }
+
+    const items = node.children.map(item => {
+      const content = this.renderBlocksIn('listItem', item.children);
+      if (typeof item.checked === 'boolean') {
+        this.prependCheckbox(content, item.checked);
+      }
+      return this.createListItem(content);
+    });
+
+    return node.ordered
+      ? this.createBlock('orderedList', items, { order: node.start ?? 1 })
+      : this.createBlock('bulletList', items);
+  }
+
+  /**
+   * Create a listItem. Its first block must be a paragraph, code block or
+   * image, so an item that starts with anything else gets an empty
+   * paragraph first.
+   * @param {Array} content - Rendered ADF blocks of the item
+   * @returns {Object} ADF listItem
+   */
+  createListItem(content) {
+    if (!LIST_ITEM_FIRST_BLOCKS.has(content[0]?.type)) {
+      content.unshift({ type: 'paragraph' });
+    }
+    return this.createBlock('listItem', content);
+  }
+
+  /**
+   * Render a checklist as an ADF taskList. Task items only hold inline
+   * content; nested checklists follow their item inside the taskList.
+   * @param {Object} node - Task list node
+   * @returns {Object} ADF taskList
+   */
+  renderTaskList(node) {
+    const localId = `task-list-${++this.taskCounter}`;
+    const content = node.children.flatMap(item => {
+      const [paragraph, ...nested] = item.children;
+      const taskItem = this.createBlock(
+        'taskItem',
+        paragraph ? this.renderInline(paragraph.children) : [],
+        { localId: `task-${++this.taskCounter}`, state: item.checked ? 'DONE' : 'TODO' }
+      );
+      return [taskItem, ...nested.map(child => this.renderTaskList(child))];
+    });
+
+    return this.createBlock('taskList', content, { localId });
+  }
+
+  /**
+   * Mark a task item that cannot be a taskItem (e.g. it holds a code block)
+   * with a checkbox character at the start of its first paragraph
+   * @param {Array} content - Rendered ADF blocks of the item
+   * @param {boolean} checked - Task state
+   */
+  prependCheckbox(content, checked) {
+    const marker = this.createText(checked ? '☑ ' : '☐ ', []);
+    if (content[0]?.type === 'paragraph') {
+      content[0].content = [marker, ...(content[0].content || [])];
+    } else {
+      content.unshift(this.createBlock('paragraph', [marker]));
+    }
+  }
+
+  /**
+   * Render an expand. ADF only allows top-level expands; one inside another
+   * container becomes a nestedExpand.
+   * @param {Object} node - Expand node
+   * @returns {Object} ADF expand/nestedExpand
+   */
+  renderExpand(node) {
+    const type = this.container === 'root' ? 'expand' : 'nestedExpand';
+    const content = this.renderBlocksIn(type, node.children);
+    return this.createBlock(type, content.length ? content : [{ type: 'paragraph' }], { title: node.title });
+  }
+
+  /**
+   * Render a definition list. ADF has none: terms become bold paragraphs
+   * followed by their definitions.
+   * @param {Object} node - Definition list node
+   * @returns {Array} ADF blocks
+   */
+  renderDefinitionList(node) {
+    return node.children.flatMap(child => child.type === NODE_TYPES.DEFINITION_TERM
+      ? [this.createBlock('paragraph', this.renderInline(child.children, [{ type: 'strong' }]))]
+      : this.renderBlocks(child.children));
+  }
+
+  /**
+   * Render the footnotes as a numbered list after a rule. References are
+   * superscript numbers, as ADF has no in-document anchors.
+   * @param {Object} node - Footnotes node
+   * @returns {Array} ADF blocks
+   */
+  renderFootnotes(node) {
+    const items = node.children.map(footnote => this.createListItem(this.renderBlocksIn('listItem', footnote.children)));
+    return [{ type: 'rule' }, this.createBlock('orderedList', items, { order: 1 })];
+  }
+
+  /**
+   * Render a table
+   * @param {Object} node - Table node
+   * @returns {Object} ADF table
+   */
+  renderTable(node) {
+    const rows = node.children.map(row => this.createBlock(
+      'tableRow',
+      row.children.map(cell => this.createBlock(
+        cell.header ? 'tableHeader' : 'tableCell',
+        [this.renderCellParagraph(cell)],
+        {}
+      ))
+    ));
+
+    return this.createBlock('table', rows, { isNumberColumnEnabled: false, layout: 'default' });
+  }
+
+  /**
+   * Render the paragraph of a table cell. ADF has no cell alignment, so
+   * center/right alignment becomes an alignment mark on the paragraph.
+   * @param {Object} cell - Table cell node
+   * @returns {Object} ADF paragraph
+   */
+  renderCellParagraph(cell) {
+    const paragraph = this.createBlock('paragraph', this.renderInline(cell.children));
+    if (ADF_ALIGNMENT[cell.align]) {
+      paragraph.marks = [{ type: 'alignment', attrs: { align: ADF_ALIGNMENT[cell.align] } }];
+    }
+    return paragraph;
+  }
+
+  /**
+   * Flatten inline nodes into ADF text nodes with marks
+   * @param {Array} nodes - Inline AST nodes
+   * @param {Array} marks - Marks inherited from parent nodes
+   * @returns {Array} ADF inline nodes
+   */
+  renderInline(nodes = [], marks = []) {
+    const result = [];
+
+    for (const node of nodes) {
+      switch (node.type) {
+        case NODE_TYPES.TEXT:
+          if (node.content) result.push(this.createText(node.content, marks));
+          break;
+
+        case NODE_TYPES.CODE:
+          // The code mark may only be combined with link
+          if (node.content) {
+            result.push(this.createText(
+              node.content,
+              [...marks.filter(mark => mark.type === 'link'), { type: 'code' }]
+            ));
+          }
+          break;
+
+        case NODE_TYPES.LINE_BREAK:
+          result.push({ type: 'hardBreak' });
+          break;
+
+        case NODE_TYPES.MENTION:
+          // Only users with a known account ID can be real mentions
+          result.push(node.accountId
+            ? { type: 'mention', attrs: { id: node.accountId, text: `@${node.username}` } }
+            : this.createText(`@${node.username}`, [...marks, { type: 'link', attrs: { href: node.url } }]));
+          break;
+
+        case NODE_TYPES.IMAGE: {
+          // Images in inline-only content (headings, cells, tasks) become links
+          const link = marks.some(mark => mark.type === 'link') ? [] : [{ type: 'link', attrs: { href: node.url } }];
+          result.push(this.createText(node.alt || node.attachment || node.url, [...marks, ...link]));
+          break;
+        }
+
+        case NODE_TYPES.FOOTNOTE_REFERENCE:
+          result.push(this.createText(String(node.number), [...marks, { type: 'subsup', attrs: { type: 'sup' } }]));
+          break;
+
+        case NODE_TYPES.STATUS:
+          result.push({
+            type: 'status',
+            attrs: { text: node.text, color: node.color, localId: `status-${++this.statusCounter}` }
+          });
+          break;
+
+        case NODE_TYPES.EMOJI:
+          result.push({ type: 'emoji', attrs: { shortName: node.shortName, text: node.text } });
+          break;
+
+        case NODE_TYPES.LINK: {
+          const attrs = { href: node.url };
+          if (node.title) attrs.title = node.title;
+          result.push(...this.renderInline(node.children, [...marks, { type: 'link', attrs }]));
+          break;
+        }
+
+        default:
+          if (MARKS[node.type]) {
+            result.push(...this.renderInline(node.children, [...marks, MARKS[node.type]()]));
+          } else {
+            throw new Error(`No ADF renderer for inline node type: ${node.type}`);
+          }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Create an ADF text node
+   * @param {string} text - Text content
+   * @param {Array} marks - Marks to apply
+   * @returns {Object} ADF text node
+   */
+  createText(text, marks) {
+    const node = { type: 'text', text };
+    if (marks.length > 0) node.marks = marks.map(mark => ({ ...mark }));
+    return node;
+  }
+}
+
+/**
+ * The BLOCK_CONTAINERS kind of a block node
+ * @param {Object} node - Block AST node
+ * @returns {string|null} Block kind, or null for blocks allowed everywhere
+ */
+function getBlockKind(node) {
+  switch (node.type) {
+    case NODE_TYPES.HEADING: return 'heading';
+    case NODE_TYPES.BLOCKQUOTE: return 'quote';
+    case NODE_TYPES.PANEL: return 'panel';
+    case NODE_TYPES.EXPAND: return 'expand';
+    case NODE_TYPES.TABLE: return 'table';
+    case NODE_TYPES.THEMATIC_BREAK: return 'rule';
+    case NODE_TYPES.LIST: return isTaskList(node) ? 'taskList' : null;
+    default: return null;
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * ADF Reader - Converts Atlassian Document Format JSON into the parser AST
+ */
+
+import { NODE_TYPES, PANEL_TYPES, STATUS_COLORS, flattenToInline } from './parser-engine.js';
+
+// ADF mark -> AST node type (link and code are handled separately)
+const MARK_TYPES = {
+  strong: NODE_TYPES.STRONG,
+  em: NODE_TYPES.EMPHASIS,
+  strike: NODE_TYPES.STRIKETHROUGH,
+  underline: NODE_TYPES.UNDERLINE
+};
+
+export class ADFReader {
+  constructor(options = {}) {
+    this.options = { ...options };
+
+    this.blockReaders = {
+      paragraph: node => [{ type: NODE_TYPES.PARAGRAPH, children: this.readInline(node.content) }],
+      heading: node => [{
+        type: NODE_TYPES.HEADING,
+        level: Math.min(Math.max(node.attrs?.level || 1, 1), 6),
+        children: this.readInline(node.content)
+      }],
+      rule: () => [{ type: NODE_TYPES.THEMATIC_BREAK }],
+      blockquote: node => [{ type: NODE_TYPES.BLOCKQUOTE, children: this.readBlocks(node.content) }],
+      codeBlock: node => [{
+        type: NODE_TYPES.CODE_BLOCK,
+        language: node.attrs?.language || null,
+        fenced: true,
+        content: asNodeList(node.content).map(child => child.text || '').join('')
+      }],
+      bulletList: node => [this.readList(node, false)],
+      orderedList: node => [this.readList(node, true)],
+      table: node => [this.readTable(node)],
+      taskList: node => [this.readTaskList(node)],
+      panel: node => [{
+        type: NODE_TYPES.PANEL,
+        panelType: PANEL_TYPES.includes(node.attrs?.panelType) ? node.attrs.panelType : 'info',
+        children: this.readBlocks(node.content)
+      }],
+      expand: node => [this.readExpand(node)],
+      nestedExpand: node => [this.readExpand(node)],
+      mediaSingle: node => this.readMedia(node),
+      mediaGroup: node => this.readMedia(node)
+    };
+  }
+
+  /**
+   * Read an ADF document (object or JSON string) into an AST
+   * @param {Object|string} adf - ADF document
+   * @returns {Object} Abstract syntax tree
+   * @throws {Error} If the input is not a "doc" node with a content array
+   */
+  read(adf) {
+    const doc = typeof adf === 'string' ? JSON.parse(adf) : adf;
+    if (!doc || doc.type !== 'doc') {
+      throw new Error('Invalid ADF input: expected a "doc" node');
+    }
+    if (!Array.isArray(doc.content)) {
+      throw new Error('Invalid ADF input: the "doc" node has no content array');
+    }
+
+    return {
+      type: NODE_TYPES.DOCUMENT,
+      children: this.readBlocks(doc.content)
+    };
+  }
+
+  /**
+   * Read block nodes. Unknown containers (layouts, extensions) are
+   * unwrapped so their content is not lost; malformed nodes are skipped.
+   * @param {Array} nodes - ADF block nodes
+   * @returns {Array} Block AST nodes
+   */
+  readBlocks(nodes) {
+    return asNodeList(nodes).flatMap(node => {
+      const reader = this.blockReaders[node.type];
+      if (reader) return reader(node);
+      if (Array.isArray(node.content)) return this.readBlocks(node.content);
+      return [];
+    });
+  }
+
+  /**
+   * Read a bullet or ordered list
+   * @param {Object} node - ADF list node
+   * @param {boolean} ordered - Numbered list
+   * @returns {Object} List node
+   */
+  readList(node, ordered) {
+    const list = {
+      type: NODE_TYPES.LIST,
+      ordered,
+      tight: true,
+      children: asNodeList(node.content).map(item => ({
+        type: NODE_TYPES.LIST_ITEM,
+        children: this.readBlocks(item.content)
+      }))
+    };
+    if (ordered) {
+      list.start = node.attrs?.order ?? 1;
+    }
+    return list;
+  }
+
+  /**
+   * Read a taskList. Nested taskLists belong to the task item before them.
+   * @param {Object} node - ADF taskList node
+   * @returns {Object} List node with task items
+   */
+  readTaskList(node) {
+    const children = [];
+
+    for (const child of asNodeList(node.content)) {
+      if (child.type === 'taskList' && children.length > 0) {
+        children[children.length - 1].children.push(this.readTaskList(child));
+      } else if (child.type === 'taskItem') {
+        const inline = this.readInline(child.content);
+        children.push({
+          type: NODE_TYPES.LIST_ITEM,
+          checked: child.attrs?.state === 'DONE',
+          children: inline.length > 0 ? [{ type: NODE_TYPES.PARAGRAPH, children: inline }] : []
+        });
+      }
+    }
+
+    return { type: NODE_TYPES.LIST, ordered: false, tight: true, children };
+  }
+
+  /**
+   * Read a media block as a paragraph of images
+   * @param {Object} node - ADF mediaSingle or mediaGroup node
+   * @returns {Array} Paragraph node, if it holds any image
+   */
+  readMedia(node) {
+    const images = asNodeList(node.content).map(media => this.readInlineNode(media)).filter(Boolean);
+    return images.length > 0 ? [{ type: NODE_TYPES.PARAGRAPH, children: images }] : [];
+  }
+
+  /**
+   * Read an expand or nestedExpand
+   * @param {Object} node - ADF expand node
+   * @returns {Object} Expand node
+   */
+  readExpand(node) {
+    return {
+      type: NODE_TYPES.EXPAND,
+      title: node.attrs?.title || '',
+      children: this.readBlocks(node.content)
+    };
+  }
+
+  /**
+   * Read a table. Cell paragraphs are joined with line breaks.
+   * @param {Object} node - ADF table node
+   * @returns {Object} Table node
+   */
+  readTable(node) {
+    return {
+      type: NODE_TYPES.TABLE,
+      children: asNodeList(node.content).map(row => ({
+        type: NODE_TYPES.TABLE_ROW,
+        children: asNodeList(row.content).map(cell => ({
+          type: NODE_TYPES.TABLE_CELL,
+          header: cell.type === 'tableHeader',
+          align: this.readAlignment(cell.content?.[0]),
+          children: flattenToInline(this.readBlocks(cell.content))
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Read the alignment mark of a block ("end" is right alignment)
+   * @param {Object} node - ADF block node
+   * @returns {string|null} 'center', 'right' or null
+   */
+  readAlignment(node) {
+    const mark = (node?.marks || []).find(item => item.type === 'alignment');
+    if (!mark) return null;
+    return mark.attrs?.align === 'end' ? 'right' : mark.attrs?.align === 'center' ? 'center' : null;
+  }
+
+  /**
+   * Read inline nodes. Marks become nested AST nodes; adjacent text sharing
+   * a mark or link is merged back into one node.
+   * @param {Array} nodes - ADF inline nodes
+   * @returns {Array} Inline AST nodes
+   */
+  readInline(nodes) {
+    return this.mergeMarks(asNodeList(nodes).map(node => this.readInlineNode(node)).filter(Boolean));
+  }
+
+  /**
+   * Merge adjacent nodes of the same mark ("**a** ***b*** **c**" becomes
+   * "**a *b* c**")
+   * @param {Array} nodes - Inline AST nodes
+   * @returns {Array} Merged nodes
+   */
+  mergeMarks(nodes) {
+    const result = [];
+
+    for (const node of nodes) {
+      const previous = result[result.length - 1];
+      const sameMark = previous && previous.type === node.type && previous.children &&
+        (node.type !== NODE_TYPES.LINK || previous.url === node.url);
+
+      if (sameMark) {
+        previous.children = this.mergeMarks([...previous.children, ...node.children]);
+      } else {
+        result.push(node);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Read a single inline node
+   * @param {Object} node - ADF inline node
+   * @returns {Object|null} Inline AST node
+   */
+  readInlineNode(node) {
+    switch (node.type) {
+      case 'text':
+        return this.applyMarks(node.text || '', node.marks || []);
+
+      case 'hardBreak':
+        return { type: NODE_TYPES.LINE_BREAK };
+
+      case 'mention':
+        return { type: NODE_TYPES.TEXT, content: node.attrs?.text || `@${node.attrs?.id || ''}` };
+
+      case 'media':
+      case 'mediaInline': {
+        // Uploaded files only have a media ID; use their name as attachment reference
+        const attrs = node.attrs || {};
+        const attachment = attrs.type === 'external' ? null : attrs.alt || attrs.id || null;
+        if (!attrs.url && !attachment) return null;
+        return {
+          type: NODE_TYPES.IMAGE,
+          url: attrs.url || null,
+          alt: attrs.alt || '',
+          title: null,
+          width: attrs.width || null,
+          height: attrs.height || null,
+          attachment
+        };
+      }
+
+      case 'status':
+        return node.attrs?.text
+          ? {
+            type: NODE_TYPES.STATUS,
+            color: STATUS_COLORS.includes(node.attrs.color) ? node.attrs.color : 'neutral',
+            text: node.attrs.text
+          }
+          : null;
+
+      case 'emoji': {
+        const shortName = /^:[\w+-]+:$/.test(node.attrs?.shortName || '') ? node.attrs.shortName : null;
+        const text = node.attrs?.text || shortName;
+        return text ? { type: NODE_TYPES.EMOJI, shortName, text } : null;
+      }
+
+      case 'inlineCard':
+      case 'blockCard':
+        return node.attrs?.url
+          ? {
+            type: NODE_TYPES.LINK,
+            url: node.attrs.url,
+            title: null,
+            autolink: true,
+            children: [{ type: NODE_TYPES.TEXT, content: node.attrs.url }]
+          }
+          : null;
+
+      default:
+        return node.text ? { type: NODE_TYPES.TEXT, content: node.text } : null;
+    }
+  }
+
+  /**
+   * Wrap text in nodes for its marks. Link is outermost, code innermost.
+   * @param {string} text - Text content
+   * @param {Array} marks - ADF marks
+   * @returns {Object} Inline AST node
+   */
+  applyMarks(text, marks) {
+    const isCode = marks.some(mark => mark.type === 'code');
+    let node = isCode
+      ? { type: NODE_TYPES.CODE, content: text }
+      : { type: NODE_TYPES.TEXT, content: text };
+
+    // The first mark becomes the outermost node, so runs that share it can merge
+    for (const mark of [...marks].reverse()) {
+      if (MARK_TYPES[mark.type]) {
+        node = { type: MARK_TYPES[mark.type], children: [node] };
+      }
+    }
+
+    const link = marks.find(mark => mark.type === 'link');
+    if (link && link.attrs?.href) {
+      node = {
+        type: NODE_TYPES.LINK,
+        url: link.attrs.href,
+        title: link.attrs.title || null,
+        children: [node]
+      };
+    }
+
+    return node;
+  }
+}
+
+/**
+ * The node objects of an ADF content array. Missing or malformed content
+ * (null, an object, null entries) reads as no nodes.
+ * @param {*} nodes - ADF content value
+ * @returns {Array} ADF nodes
+ */
+function asNodeList(nodes) {
+  return Array.isArray(nodes) ? nodes.filter(node => node && typeof node === 'object') : [];
+}
@@ -0,0 +1,157 @@
+/**
+ * Auto Linker - Links Jira issue keys and @mentions in the AST
+ *
+ * Runs after parsing, over text nodes only. Code spans, code blocks and the
+ * text of existing links are never touched.
+ */
+
+import { NODE_TYPES } from './parser-engine.js';
+
+const PATTERNS = {
+  // PROJ-123, not inside a longer word or key ("XPROJ-1", "PROJ-1-2")
+  issueKey: /(^|[^\w-])([A-Z][A-Z0-9_]+-[1-9]\d*)(?![\w-])/g,
+  // @jsmith, but not the domain part of an email address
+  mention: /(^|[^\w@.])@([a-zA-Z0-9_](?:[a-zA-Z0-9._-]*[a-zA-Z0-9_])?)/g
+};
+
+export class AutoLinker {
+  /**
+   * @param {Object} settings - Jira link settings
+   * @param {string} settings.siteUrl - e.g. https://example.atlassian.net
+   * @param {string[]} settings.projectKeys - Keys to link (empty: any key)
+   * @param {Object} settings.mentions - Username -> Atlassian account ID
+   */
+  constructor(settings = {}) {
+    this.siteUrl = normalizeSiteUrl(settings.siteUrl);
+    this.projectKeys = new Set((settings.projectKeys || []).map(key => key.toUpperCase()));
+    this.mentions = settings.mentions || {};
+  }
+
+  /**
+   * Check whether linking is possible (a valid site URL is configured)
+   * @returns {boolean} True when enabled
+   */
+  isEnabled() {
+    return !!this.siteUrl;
+  }
+
+  /**
+   * Link issue keys and mentions in an AST
+   * @param {Object} node - AST node
+   * @returns {Object} New AST with links
+   */
+  link(node) {
+    if (!this.isEnabled() || !Array.isArray(node.children) || node.type === NODE_TYPES.LINK) {
+      return node;
+    }
+
+    const children = node.children.flatMap(child => child.type === NODE_TYPES.TEXT
+      ? this.linkText(child.content)
+      : [this.link(child)]);
+
+    return { ...node, children };
+  }
+
+  /**
+   * Split a text node around issue keys and mentions
+   * @param {string} text - Text content
+   * @returns {Array} Inline nodes
+   */
+  linkText(text) {
+    const matches = [
+      ...this.findMatches(text, PATTERNS.issueKey, key => this.createIssueLink(key)),
+      ...this.findMatches(text, PATTERNS.mention, username => this.createMention(username))
+    ].sort((a, b) => a.index - b.index);
+
+    const nodes = [];
+    let position = 0;
+    for (const match of matches) {
+      if (match.index < position) continue;
+      if (match.index > position) {
+        nodes.push({ type: NODE_TYPES.TEXT, content: text.slice(position, match.index) });
+      }
+      nodes.push(match.node);
+      position = match.index + match.length;
+    }
+    if (position < text.length) {
+      nodes.push({ type: NODE_TYPES.TEXT, content: text.slice(position) });
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Collect matches of a pattern whose factory returns a node
+   * @param {string} text - Text content
+   * @param {RegExp} pattern - Global pattern with (prefix)(value) groups
+   * @param {Function} createNode - value -> node or null
+   * @returns {Array} Matches ({ index, length, node })
+   */
+  findMatches(text, pattern, createNode) {
+    const matches = [];
+    for (const match of text.matchAll(pattern)) {
+      const node = createNode(match[2]);
+      if (!node) continue;
+
+      const offset = match[1].length;
+      matches.push({
+        index: match.index + offset,
+        length: match[0].length - offset,
+        node
+      });
+    }
+    return matches;
+  }
+
+  /**
+   * Create a link to an issue, if its project key is configured
+   * @param {string} key - Issue key (PROJ-123)
+   * @returns {Object|null} Link node
+   */
+  createIssueLink(key) {
+    const project = key.slice(0, key.lastIndexOf('-'));
+    if (this.projectKeys.size > 0 && !this.projectKeys.has(project)) {
+      return null;
+    }
+
+    return {
+      type: NODE_TYPES.LINK,
+      url: `${this.siteUrl}/browse/${key}`,
+      title: null,
+      autolink: true,
+      children: [{ type: NODE_TYPES.TEXT, content: key }]
+    };
+  }
+
+  /**
+   * Create a mention. Users with a known account ID become real mentions;
+   * others link to a people search on the site.
+   * @param {string} username - Username without "@"
+   * @returns {Object} Mention node
+   */
+  createMention(username) {
+    const accountId = this.mentions[username] || this.mentions[username.toLowerCase()] || null;
+    const url = accountId
+      ? `${this.siteUrl}/jira/people/${encodeURIComponent(accountId)}`
+      : `${this.siteUrl}/jira/people/search?q=${encodeURIComponent(username)}`;
+
+    return {
+      type: NODE_TYPES.MENTION,
+      username,
+      accountId,
+      url
+    };
+  }
+}
+
+/**
+ * Validate and normalize the configured site URL
+ * @param {string} siteUrl - Site URL from settings
+ * @returns {string|null} URL without trailing slash, or null if invalid
+ */
+function normalizeSiteUrl(siteUrl) {
+  if (!siteUrl) return null;
+
+  const url = /^https?:\/\//i.test(siteUrl) ? siteUrl : `https://${siteUrl}`;
+  return /^https?:\/\/[\w.-]+(:\d+)?(\/[\w./-]*)?$/i.test(url) ? url.replace(/\/+$/, '') : null;
+}
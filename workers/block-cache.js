@@ -0,0 +1,100 @@
+/**
+ * Block Cache - Reuses the parse of unchanged top-level blocks
+ *
+ * Typing changes one block at a time, so most of a document parses to the
+ * same nodes as before. Entries are keyed by a hash of the block's source
+ * and checked against the source itself, so a hash collision only costs a
+ * re-parse. Entries not used by the latest parse are dropped.
+ */
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {string} Hash (hex)
+ */
+export function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Deep-copy a node, moving every position by a number of lines
+ * @param {Object} node - AST node
+ * @param {number} delta - Lines to move by
+ * @returns {Object} Copy
+ */
+function shiftNode(node, delta) {
+  const copy = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'position') {
+      copy.position = {
+        start: { ...value.start, line: value.start.line + delta },
+        end: { ...value.end, line: value.end.line + delta }
+      };
+    } else if (Array.isArray(value)) {
+      copy[key] = value.map(item => item && typeof item === 'object' ? shiftNode(item, delta) : item);
+    } else if (value && typeof value === 'object') {
+      copy[key] = shiftNode(value, delta);
+    } else {
+      copy[key] = value;
+    }
+  }
+  return copy;
+}
+
+export class BlockCache {
+  constructor() {
+    this.context = null;
+    this.current = new Map();
+    this.previous = new Map();
+    this.hits = 0;
+  }
+
+  /**
+   * Start a parse. Blocks cached under a different context (parser options,
+   * defined footnotes) are discarded.
+   * @param {string} context - Context key
+   */
+  begin(context) {
+    this.previous = context === this.context ? this.current : new Map();
+    this.current = new Map();
+    this.context = context;
+    this.hits = 0;
+  }
+
+  /**
+   * Look up a block. The result is a copy moved to the block's new line,
+   * so callers may change it freely.
+   * @param {string} source - Block source
+   * @param {number} line - First line of the block (1-based)
+   * @returns {Object|null} Cached result ({ node, diagnostics }), or null
+   */
+  get(source, line) {
+    const key = hashText(source);
+    const entry = this.current.get(key) || this.previous.get(key);
+    if (!entry || entry.source !== source) return null;
+
+    this.current.set(key, entry);
+    this.hits++;
+    const delta = line - entry.line;
+    return {
+      node: shiftNode(entry.node, delta),
+      diagnostics: entry.diagnostics.map(diagnostic => ({ ...diagnostic, line: diagnostic.line + delta }))
+    };
+  }
+
+  /**
+   * Remember the parse of a block
+   * @param {string} source - Block source
+   * @param {number} line - First line of the block (1-based)
+   * @param {Object} node - Parsed node (copied)
+   * @param {Array} diagnostics - Diagnostics reported while parsing it
+   */
+  set(source, line, node, diagnostics) {
+    this.current.set(hashText(source), { source, line, node: shiftNode(node, 0), diagnostics });
+  }
+}
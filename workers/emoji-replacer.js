@@ -0,0 +1,167 @@
+/**
+ * Emoji Replacer - Turns :shortcodes: and Jira emoticons into emoji
+ *
+ * Runs after parsing, over text nodes only, so code spans and code blocks
+ * keep their literal text. Auto-linked URLs are skipped as well: "(x)" in a
+ * URL is not an emoticon.
+ */
+
+import { NODE_TYPES } from './parser-engine.js';
+
+// GitHub shortcode name -> emoji
+export const EMOJI_SHORTCODES = {
+  // Smileys
+  smile: '😄', smiley: '😃', grinning: '😀', grin: '😁', laughing: '😆', satisfied: '😆',
+  sweat_smile: '😅', joy: '😂', rofl: '🤣', slightly_smiling_face: '🙂', upside_down_face: '🙃',
+  wink: '😉', blush: '😊', innocent: '😇', heart_eyes: '😍', kissing_heart: '😘',
+  yum: '😋', stuck_out_tongue: '😛', stuck_out_tongue_winking_eye: '😜', thinking: '🤔',
+  neutral_face: '😐', expressionless: '😑', no_mouth: '😶', smirk: '😏', unamused: '😒',
+  roll_eyes: '🙄', grimacing: '😬', relieved: '😌', pensive: '😔', sleepy: '😪',
+  sleeping: '😴', mask: '😷', nerd_face: '🤓', sunglasses: '😎', confused: '😕',
+  slightly_frowning_face: '🙁', frowning_face: '☹️', open_mouth: '😮', astonished: '😲',
+  flushed: '😳', worried: '😟', cry: '😢', sob: '😭', scream: '😱', tired_face: '😫',
+  angry: '😠', rage: '😡', exploding_head: '🤯', skull: '💀', see_no_evil: '🙈',
+  facepalm: '🤦', shrug: '🤷',
+
+  // Hands and people
+  '+1': '👍', thumbsup: '👍', '-1': '👎', thumbsdown: '👎', ok_hand: '👌', clap: '👏',
+  wave: '👋', raised_hands: '🙌', pray: '🙏', muscle: '💪', point_up: '☝️',
+  point_right: '👉', point_left: '👈', v: '✌️', crossed_fingers: '🤞', handshake: '🤝',
+  eyes: '👀', brain: '🧠',
+
+  // Hearts and symbols
+  heart: '❤️', broken_heart: '💔', yellow_heart: '💛', green_heart: '💚', blue_heart: '💙',
+  purple_heart: '💜', sparkles: '✨', star: '⭐', star2: '🌟', fire: '🔥', boom: '💥',
+  zap: '⚡', tada: '🎉', confetti_ball: '🎊', trophy: '🏆', medal_sports: '🏅', 100: '💯',
+  white_check_mark: '✅', heavy_check_mark: '✔️', ballot_box_with_check: '☑️', x: '❌',
+  negative_squared_cross_mark: '❎', heavy_plus_sign: '➕', heavy_minus_sign: '➖',
+  warning: '⚠️', no_entry: '⛔', no_entry_sign: '🚫', question: '❓', grey_question: '❔',
+  exclamation: '❗', heavy_exclamation_mark: '❗', bangbang: '‼️', information_source: 'ℹ️',
+  red_circle: '🔴', large_blue_circle: '🔵', green_circle: '🟢', yellow_circle: '🟡',
+  white_circle: '⚪', black_circle: '⚫', arrow_right: '➡️', arrow_left: '⬅️',
+  arrow_up: '⬆️', arrow_down: '⬇️', recycle: '♻️', triangular_flag_on_post: '🚩',
+  checkered_flag: '🏁', lock: '🔒', unlock: '🔓', key: '🔑', link: '🔗', pushpin: '📌',
+  round_pushpin: '📍', paperclip: '📎', mag: '🔍', bell: '🔔', no_bell: '🔕',
+
+  // Objects and work
+  bulb: '💡', rocket: '🚀', bug: '🐛', beetle: '🐞', construction: '🚧', hammer: '🔨',
+  wrench: '🔧', gear: '⚙️', hammer_and_wrench: '🛠️', package: '📦', memo: '📝',
+  pencil2: '✏️', book: '📖', books: '📚', bookmark: '🔖', clipboard: '📋',
+  calendar: '📆', date: '📅', chart_with_upwards_trend: '📈',
+  chart_with_downwards_trend: '📉', bar_chart: '📊', email: '📧', envelope: '✉️',
+  inbox_tray: '📥', outbox_tray: '📤', computer: '💻', iphone: '📱', floppy_disk: '💾',
+  hourglass: '⌛', hourglass_flowing_sand: '⏳', stopwatch: '⏱️', alarm_clock: '⏰',
+  watch: '⌚', moneybag: '💰', dollar: '💵', gift: '🎁', lipstick: '💄', art: '🎨',
+  speech_balloon: '💬', thought_balloon: '💭', loudspeaker: '📢', mega: '📣',
+  coffee: '☕', beer: '🍺', beers: '🍻', pizza: '🍕', cake: '🍰', birthday: '🎂',
+  sunny: '☀️', cloud: '☁️', umbrella: '☔', snowflake: '❄️', rainbow: '🌈',
+  earth_americas: '🌎', globe_with_meridians: '🌐', seedling: '🌱', four_leaf_clover: '🍀',
+  ghost: '👻', robot: '🤖', unicorn: '🦄', dog: '🐶', cat: '🐱', turtle: '🐢', snail: '🐌'
+};
+
+// Jira's classic emoticon tokens -> shortcode name
+export const JIRA_EMOTICONS = {
+  ':)': 'slightly_smiling_face',
+  ':-)': 'slightly_smiling_face',
+  ':(': 'slightly_frowning_face',
+  ':-(': 'slightly_frowning_face',
+  ':P': 'stuck_out_tongue',
+  ':-P': 'stuck_out_tongue',
+  ':p': 'stuck_out_tongue',
+  ':D': 'smiley',
+  ':-D': 'smiley',
+  ';)': 'wink',
+  ';-)': 'wink',
+  '(y)': 'thumbsup',
+  '(n)': 'thumbsdown',
+  '(i)': 'information_source',
+  '(/)': 'white_check_mark',
+  '(x)': 'x',
+  '(!)': 'warning',
+  '(+)': 'heavy_plus_sign',
+  '(-)': 'heavy_minus_sign',
+  '(?)': 'question',
+  '(on)': 'bulb',
+  '(*)': 'star',
+  '(flag)': 'triangular_flag_on_post',
+  '<3': 'heart',
+  '</3': 'broken_heart'
+};
+
+// Escape a literal for use in a RegExp
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// A token must not touch a word character on either side ("f(x)", "C:Data")
+const EMOJI_PATTERN = new RegExp(
+  '(?<!\\w)(?::[a-z0-9_+-]+:|' +
+  Object.keys(JIRA_EMOTICONS)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|') +
+  ')(?!\\w)',
+  'g'
+);
+
+export class EmojiReplacer {
+  /**
+   * @param {Object} options - Conversion options
+   * @param {boolean} options.emoji - Set to false to keep shortcodes as text
+   */
+  constructor(options = {}) {
+    this.enabled = options.emoji !== false;
+  }
+
+  /**
+   * Replace shortcodes and emoticons in an AST
+   * @param {Object} node - AST node
+   * @returns {Object} New AST with emoji nodes
+   */
+  replace(node) {
+    if (!this.enabled || !Array.isArray(node.children) || (node.type === NODE_TYPES.LINK && node.autolink)) {
+      return node;
+    }
+
+    const children = node.children.flatMap(child => child.type === NODE_TYPES.TEXT
+      ? this.replaceText(child.content)
+      : [this.replace(child)]);
+
+    return { ...node, children };
+  }
+
+  /**
+   * Split a text node around shortcodes and emoticons
+   * @param {string} text - Text content
+   * @returns {Array} Inline nodes
+   */
+  replaceText(text) {
+    const nodes = [];
+    let position = 0;
+
+    for (const match of text.matchAll(EMOJI_PATTERN)) {
+      const node = this.createEmoji(match[0]);
+      if (!node) continue;
+
+      if (match.index > position) {
+        nodes.push({ type: NODE_TYPES.TEXT, content: text.slice(position, match.index) });
+      }
+      nodes.push(node);
+      position = match.index + match[0].length;
+    }
+    if (position < text.length) {
+      nodes.push({ type: NODE_TYPES.TEXT, content: text.slice(position) });
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Create an emoji node for a shortcode or emoticon
+   * @param {string} token - ":name:" or an emoticon such as "(/)"
+   * @returns {Object|null} Emoji node, or null for unknown shortcodes
+   */
+  createEmoji(token) {
+    const name = JIRA_EMOTICONS[token] || token.slice(1, -1);
+    const text = EMOJI_SHORTCODES[name];
+    return text ? { type: NODE_TYPES.EMOJI, shortName: `:${name}:`, text } : null;
+  }
+}
@@ -0,0 +1,322 @@
+/**
+ * HTML Generator - Renders the parser AST as Jira-friendly HTML
+ *
+ * With the sourceMap option, block elements carry a data-source-lines
+ * attribute ("3-5") with the input lines they came from.
+ */
+
+import { NODE_TYPES, isTaskList } from './parser-engine.js';
+import { SyntaxHighlighter } from './syntax-highlighter.js';
+
+export class HTMLGenerator {
+  constructor(options = {}) {
+    this.options = {
+      highlightCode: true,
+      sourceMap: false,
+      ...options
+    };
+    this.highlighter = new SyntaxHighlighter();
+
+    this.renderers = {
+      [NODE_TYPES.DOCUMENT]: node => this.renderBlocks(node.children),
+      [NODE_TYPES.PARAGRAPH]: node => `<p>${this.renderInline(node.children)}</p>`,
+      [NODE_TYPES.HEADING]: node => this.renderHeading(node),
+      [NODE_TYPES.THEMATIC_BREAK]: () => '<hr>',
+      [NODE_TYPES.BLOCKQUOTE]: node => `<blockquote>\n${this.renderBlocks(node.children)}\n</blockquote>`,
+      [NODE_TYPES.CODE_BLOCK]: node => this.renderCodeBlock(node),
+      [NODE_TYPES.LIST]: node => this.renderList(node),
+      [NODE_TYPES.TABLE]: node => this.renderTable(node),
+      [NODE_TYPES.PANEL]: node => `<div data-panel-type="${node.panelType}">\n${this.renderBlocks(node.children)}\n</div>`,
+      [NODE_TYPES.EXPAND]: node => this.renderExpand(node),
+      [NODE_TYPES.DEFINITION_LIST]: node => this.renderDefinitionList(node),
+      [NODE_TYPES.FOOTNOTES]: node => this.renderFootnotes(node),
+      [NODE_TYPES.TEXT]: node => escapeHtml(node.content),
+      [NODE_TYPES.STRONG]: node => `<strong>${this.renderInline(node.children)}</strong>`,
+      [NODE_TYPES.EMPHASIS]: node => `<em>${this.renderInline(node.children)}</em>`,
+      [NODE_TYPES.STRIKETHROUGH]: node => `<del>${this.renderInline(node.children)}</del>`,
+      [NODE_TYPES.UNDERLINE]: node => `<u>${this.renderInline(node.children)}</u>`,
+      [NODE_TYPES.CODE]: node => `<code>${escapeHtml(node.content)}</code>`,
+      [NODE_TYPES.LINK]: node => this.renderLink(node),
+      [NODE_TYPES.MENTION]: node => `<a href="${escapeHtml(node.url)}">@${escapeHtml(node.username)}</a>`,
+      [NODE_TYPES.IMAGE]: node => this.renderImage(node),
+      [NODE_TYPES.FOOTNOTE_REFERENCE]: node => this.renderFootnoteReference(node),
+      [NODE_TYPES.STATUS]: node => `<span data-node-type="status" data-color="${node.color}">${escapeHtml(node.text)}</span>`,
+      [NODE_TYPES.EMOJI]: node => `<span data-emoji-short-name="${escapeHtml(node.shortName)}">${escapeHtml(node.text)}</span>`,
+      [NODE_TYPES.LINE_BREAK]: () => '<br>'
+    };
+  }
+
+  /**
+   * Generate HTML from parsed AST
+   * @param {Object} ast - Abstract syntax tree
+   * @returns {string} Generated HTML
+   */
+  generate(ast) {
+    this.taskCounter = 0;
+    return this.renderNode(ast).trim();
+  }
+
+  /**
+   * Generate HTML for each top-level block separately. Joined with newlines
+   * the blocks are the same HTML generate() returns.
+   * @param {Object} ast - Abstract syntax tree
+   * @returns {string[]} HTML per block
+   */
+  generateBlocks(ast) {
+    this.taskCounter = 0;
+    return ast.children.map(node => this.renderNode(node));
+  }
+
+  /**
+   * Render individual AST node to HTML
+   * @param {Object} node - AST node
+   * @returns {string} HTML representation
+   */
+  renderNode(node) {
+    const renderer = this.renderers[node.type];
+    if (!renderer) {
+      throw new Error(`No HTML renderer for node type: ${node.type}`);
+    }
+    const html = renderer(node);
+    return this.options.sourceMap && node.position ? html.replace(/^<[a-z][a-z0-9]*/, tag => tag + this.renderSourceLines(node)) : html;
+  }
+
+  /**
+   * Render the source line range of a block (source map mode only), so the
+   * preview can be matched to the input. Stripped before copying.
+   * @param {Object} node - Block node
+   * @returns {string} Attribute HTML, or an empty string
+   */
+  renderSourceLines(node) {
+    if (!this.options.sourceMap || !node.position) return '';
+    return ` data-source-lines="${node.position.start.line}-${node.position.end.line}"`;
+  }
+
+  /**
+   * Render a list of block nodes, one per line
+   * @param {Array} nodes - Block nodes
+   * @returns {string} HTML
+   */
+  renderBlocks(nodes = []) {
+    return nodes.map(node => this.renderNode(node)).join('\n');
+  }
+
+  /**
+   * Render a list of inline nodes
+   * @param {Array} nodes - Inline nodes
+   * @returns {string} HTML
+   */
+  renderInline(nodes = []) {
+    return nodes.map(node => this.renderNode(node)).join('');
+  }
+
+  /**
+   * Render a heading with its slug ID (the target of [TOC] links)
+   * @param {Object} node - Heading node
+   * @returns {string} HTML
+   */
+  renderHeading(node) {
+    const id = node.id ? ` id="${escapeHtml(node.id)}"` : '';
+    return `<h${node.level}${id}>${this.renderInline(node.children)}</h${node.level}>`;
+  }
+
+  /**
+   * Render a code block. Content is escaped exactly once, here (or by the
+   * highlighter for supported languages).
+   * @param {Object} node - Code block node
+   * @returns {string} HTML
+   */
+  renderCodeBlock(node) {
+    const className = node.language ? ` class="language-${escapeHtml(node.language)}"` : '';
+    const code = this.options.highlightCode
+      ? this.highlighter.highlight(node.content, node.language)
+      : escapeHtml(node.content);
+    return `<pre><code${className}>${code}</code></pre>`;
+  }
+
+  /**
+   * Render a list. Paragraphs in tight lists are unwrapped.
+   * @param {Object} node - List node
+   * @returns {string} HTML
+   */
+  renderList(node) {
+    if (isTaskList(node)) {
+      return this.renderTaskList(node);
+    }
+
+    const tag = node.ordered ? 'ol' : 'ul';
+    const items = node.children.map(item => {
+      const content = item.children.map(child => {
+        if (node.tight && child.type === NODE_TYPES.PARAGRAPH) {
+          return this.renderInline(child.children);
+        }
+        return this.renderNode(child);
+      });
+      const checkbox = typeof item.checked === 'boolean' ? this.renderCheckbox(item.checked) : '';
+      return `<li${this.renderSourceLines(item)}>${checkbox}${content.join('\n')}</li>`;
+    });
+
+    const start = node.ordered && node.start != null && node.start !== 1 ? ` start="${node.start}"` : '';
+    return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+  }
+
+  /**
+   * Render a checklist in the markup Jira's editor turns into an action
+   * list when pasted. The checkbox input is only for the preview.
+   * @param {Object} node - Task list node
+   * @returns {string} HTML
+   */
+  renderTaskList(node) {
+    const listId = `task-list-${++this.taskCounter}`;
+    const items = node.children.map(item => {
+      const [paragraph, ...nested] = item.children;
+      const state = item.checked ? 'DONE' : 'TODO';
+      const text = paragraph ? this.renderInline(paragraph.children) : '';
+      const taskItem = `<div${this.renderSourceLines(item)} class="task-item" data-task-local-id="task-${++this.taskCounter}" ` +
+        `data-task-state="${state}">${this.renderCheckbox(item.checked)}${text}</div>`;
+      return [taskItem, ...nested.map(child => this.renderNode(child))].join('\n');
+    });
+
+    return `<div class="task-list" data-node-type="actionList" data-task-list-local-id="${listId}">\n` +
+      `${items.join('\n')}\n</div>`;
+  }
+
+  /**
+   * Render a read-only checkbox
+   * @param {boolean} checked - Task state
+   * @returns {string} HTML
+   */
+  renderCheckbox(checked) {
+    return `<input type="checkbox" disabled${checked ? ' checked' : ''}> `;
+  }
+
+  /**
+   * Render a table. A leading row of header cells becomes the thead.
+   * @param {Object} node - Table node
+   * @returns {string} HTML
+   */
+  renderTable(node) {
+    const renderRow = row => {
+      const cells = row.children.map(cell => {
+        const tag = cell.header ? 'th' : 'td';
+        const style = cell.align ? ` style="text-align: ${cell.align}"` : '';
+        return `<${tag}${style}>${this.renderInline(cell.children)}</${tag}>`;
+      });
+      return `<tr${this.renderSourceLines(row)}>\n${cells.join('\n')}\n</tr>`;
+    };
+
+    const hasHeader = node.children[0].children.every(cell => cell.header);
+    const [header, ...body] = hasHeader ? node.children : [null, ...node.children];
+    let html = '<table>\n';
+    if (header) {
+      html += `<thead>\n${renderRow(header)}\n</thead>\n`;
+    }
+    if (body.length > 0) {
+      html += `<tbody>\n${body.map(renderRow).join('\n')}\n</tbody>\n`;
+    }
+    html += '</table>';
+
+    return html;
+  }
+
+  /**
+   * Render an expand section. <details> keeps it collapsible in the preview;
+   * the data attributes are what Jira's editor reads on paste.
+   * @param {Object} node - Expand node
+   * @returns {string} HTML
+   */
+  renderExpand(node) {
+    const title = escapeHtml(node.title);
+    return `<details data-node-type="expand" data-title="${title}">\n<summary>${title}</summary>\n` +
+      `${this.renderBlocks(node.children)}\n</details>`;
+  }
+
+  /**
+   * Render a definition list. Paragraphs in tight lists are unwrapped.
+   * @param {Object} node - Definition list node
+   * @returns {string} HTML
+   */
+  renderDefinitionList(node) {
+    const entries = node.children.map(child => {
+      if (child.type === NODE_TYPES.DEFINITION_TERM) {
+        return `<dt>${this.renderInline(child.children)}</dt>`;
+      }
+      const content = child.children.map(block => node.tight && block.type === NODE_TYPES.PARAGRAPH
+        ? this.renderInline(block.children)
+        : this.renderNode(block));
+      return `<dd>${content.join('\n')}</dd>`;
+    });
+
+    return `<dl>\n${entries.join('\n')}\n</dl>`;
+  }
+
+  /**
+   * Render a footnote reference. Repeated references to one footnote get
+   * their own IDs; the footnote links back to the first.
+   * @param {Object} node - Footnote reference node
+   * @returns {string} HTML
+   */
+  renderFootnoteReference(node) {
+    const id = node.occurrence > 1 ? `fnref-${node.number}-${node.occurrence}` : `fnref-${node.number}`;
+    return `<sup><a href="#fn-${node.number}" id="${id}">${node.number}</a></sup>`;
+  }
+
+  /**
+   * Render the footnotes section at the end of the document
+   * @param {Object} node - Footnotes node
+   * @returns {string} HTML
+   */
+  renderFootnotes(node) {
+    const items = node.children.map(footnote => {
+      const backReference = `<a href="#fnref-${footnote.number}">↩</a>`;
+      const blocks = [...footnote.children];
+      const last = blocks[blocks.length - 1];
+      if (last?.type === NODE_TYPES.PARAGRAPH) {
+        blocks[blocks.length - 1] = { ...last, children: [...last.children, { type: NODE_TYPES.TEXT, content: ' ' }] };
+      }
+      let html = this.renderBlocks(blocks);
+      html = last?.type === NODE_TYPES.PARAGRAPH
+        ? html.replace(/<\/p>$/, `${backReference}</p>`)
+        : `${html}\n<p>${backReference}</p>`;
+      return `<li id="fn-${footnote.number}">\n${html}\n</li>`;
+    });
+
+    return `<div class="footnotes">\n<hr>\n<ol>\n${items.join('\n')}\n</ol>\n</div>`;
+  }
+
+  /**
+   * Render an image
+   * @param {Object} node - Image node
+   * @returns {string} HTML
+   */
+  renderImage(node) {
+    const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+    const width = node.width ? ` width="${node.width}"` : '';
+    const height = node.height ? ` height="${node.height}"` : '';
+    return `<img src="${escapeHtml(node.url)}" alt="${escapeHtml(node.alt)}"${title}${width}${height}>`;
+  }
+
+  /**
+   * Render a link
+   * @param {Object} node - Link node
+   * @returns {string} HTML
+   */
+  renderLink(node) {
+    const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+    return `<a href="${escapeHtml(node.url)}"${title}>${this.renderInline(node.children)}</a>`;
+  }
+}
+
+/**
+ * Escape HTML entities
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
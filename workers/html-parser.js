@@ -0,0 +1,235 @@
+/**
+ * HTML Parser - Tolerant HTML tokenizer for the worker (no DOM available)
+ *
+ * Builds a light element tree: { type: 'element', tag, attrs, children } and
+ * { type: 'text', content }. Handles void elements, implied end tags for
+ * p/li/td/th/tr, comments, doctypes and raw-text elements. Good enough for
+ * clipboard HTML from Jira, Confluence and office suites; it is not a spec
+ * compliant HTML5 parser.
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Opening one of these closes an open <p>
+const CLOSES_PARAGRAPH = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'footer',
+  'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav',
+  'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+// tag -> [tags it implicitly closes, tags that bound the search]
+const IMPLIED_END_TAGS = {
+  li: [['li'], ['ul', 'ol']],
+  dt: [['dt', 'dd'], ['dl']],
+  dd: [['dt', 'dd'], ['dl']],
+  td: [['td', 'th'], ['tr', 'table']],
+  th: [['td', 'th'], ['tr', 'table']],
+  tr: [['tr', 'td', 'th'], ['thead', 'tbody', 'tfoot', 'table']],
+  thead: [['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], ['table']],
+  tbody: [['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], ['table']],
+  tfoot: [['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], ['table']]
+};
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·',
+  times: '×', divide: '÷', laquo: '«', raquo: '»', euro: '€', pound: '£',
+  deg: '°', para: '¶', sect: '§', larr: '←', rarr: '→', uarr: '↑', darr: '↓',
+  zwj: '\u200d', zwnj: '\u200c', shy: '\u00ad',
+  ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009'
+};
+
+const TAG_PATTERNS = {
+  open: /<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y,
+  close: /<\/([a-zA-Z][\w:-]*)\s*>/y,
+  attribute: /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+};
+
+export class HTMLParser {
+  /**
+   * Parse an HTML string into an element tree
+   * @param {string} html - HTML source
+   * @returns {Object} Root element ({ tag: '#root' })
+   */
+  parse(html) {
+    const root = this.createElement('#root');
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    let index = 0;
+
+    const pushText = (text) => {
+      if (!text) return;
+      const children = current().children;
+      const last = children[children.length - 1];
+      const content = decodeEntities(text);
+      if (last && last.type === 'text') {
+        last.content += content;
+      } else {
+        children.push({ type: 'text', content });
+      }
+    };
+
+    while (index < html.length) {
+      const lt = html.indexOf('<', index);
+      if (lt === -1) {
+        pushText(html.slice(index));
+        break;
+      }
+      pushText(html.slice(index, lt));
+
+      // Comments, doctypes and processing instructions
+      if (html.startsWith('<!--', lt)) {
+        const end = html.indexOf('-->', lt + 4);
+        index = end === -1 ? html.length : end + 3;
+        continue;
+      }
+      if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+        const end = html.indexOf('>', lt);
+        index = end === -1 ? html.length : end + 1;
+        continue;
+      }
+
+      // Closing tag
+      TAG_PATTERNS.close.lastIndex = lt;
+      const close = TAG_PATTERNS.close.exec(html);
+      if (close) {
+        this.closeElement(stack, close[1].toLowerCase());
+        index = lt + close[0].length;
+        continue;
+      }
+
+      // Opening tag
+      TAG_PATTERNS.open.lastIndex = lt;
+      const open = TAG_PATTERNS.open.exec(html);
+      if (!open) {
+        pushText('<');
+        index = lt + 1;
+        continue;
+      }
+
+      const tag = open[1].toLowerCase();
+      const element = this.createElement(tag, this.parseAttributes(open[2]));
+      index = lt + open[0].length;
+
+      this.closeImplied(stack, tag);
+      current().children.push(element);
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        const end = html.toLowerCase().indexOf(`</${tag}`, index);
+        const raw = html.slice(index, end === -1 ? html.length : end);
+        if (raw) element.children.push({ type: 'text', content: decodeEntities(raw) });
+        const gt = end === -1 ? -1 : html.indexOf('>', end);
+        index = gt === -1 ? html.length : gt + 1;
+        continue;
+      }
+
+      if (!VOID_ELEMENTS.has(tag) && !open[3]) {
+        stack.push(element);
+      }
+    }
+
+    return root;
+  }
+
+  /**
+   * Create an element node
+   * @param {string} tag - Tag name
+   * @param {Object} attrs - Attributes
+   * @returns {Object} Element node
+   */
+  createElement(tag, attrs = {}) {
+    return { type: 'element', tag, attrs, children: [] };
+  }
+
+  /**
+   * Parse an attribute string
+   * @param {string} source - Raw attribute source
+   * @returns {Object} Attributes keyed by lower-case name
+   */
+  parseAttributes(source) {
+    const attrs = {};
+    if (!source) return attrs;
+
+    TAG_PATTERNS.attribute.lastIndex = 0;
+    let match;
+    while ((match = TAG_PATTERNS.attribute.exec(source))) {
+      const value = match[2] ?? match[3] ?? match[4] ?? '';
+      attrs[match[1].toLowerCase()] = decodeEntities(value);
+    }
+    return attrs;
+  }
+
+  /**
+   * Close the nearest open element with the given tag
+   * @param {Array} stack - Open element stack
+   * @param {string} tag - Tag name
+   */
+  closeElement(stack, tag) {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) {
+        stack.length = i;
+        return;
+      }
+    }
+    // Stray closing tag - ignore it
+  }
+
+  /**
+   * Apply implied end tags before opening a new element
+   * @param {Array} stack - Open element stack
+   * @param {string} tag - Tag being opened
+   */
+  closeImplied(stack, tag) {
+    if (CLOSES_PARAGRAPH.has(tag) && stack[stack.length - 1].tag === 'p') {
+      stack.pop();
+    }
+
+    const rule = IMPLIED_END_TAGS[tag];
+    if (!rule) return;
+
+    const [closes, boundaries] = rule;
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (boundaries.includes(stack[i].tag)) return;
+      if (closes.includes(stack[i].tag)) {
+        stack.length = i;
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  if (!text.includes('&')) return text;
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Get the concatenated text of an element tree
+ * @param {Object} node - Element or text node
+ * @returns {string} Text content
+ */
+export function getTextContent(node) {
+  if (node.type === 'text') return node.content;
+  if (node.tag === 'br') return '\n';
+  return node.children.map(getTextContent).join('');
+}
@@ -0,0 +1,531 @@
+/**
+ * HTML Reader - Converts HTML (e.g. copied Jira comments) into the parser AST
+ */
+
+import { NODE_TYPES, PANEL_TYPES, STATUS_COLORS, flattenToInline } from './parser-engine.js';
+import { HTMLParser, getTextContent } from './html-parser.js';
+import { PasteCleaner } from './paste-cleaner.js';
+
+// Elements that start a new block
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'div',
+  'dl', 'dt', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'html', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+  'summary', 'table', 'ul'
+]);
+
+// Elements whose content is never part of the document
+const IGNORED_ELEMENTS = new Set([
+  'head', 'meta', 'link', 'script', 'style', 'title', 'template', 'noscript',
+  'button', 'input', 'select', 'textarea', 'colgroup', 'col'
+]);
+
+// Inline element -> AST node type
+const INLINE_MARKS = {
+  strong: NODE_TYPES.STRONG,
+  b: NODE_TYPES.STRONG,
+  em: NODE_TYPES.EMPHASIS,
+  i: NODE_TYPES.EMPHASIS,
+  cite: NODE_TYPES.EMPHASIS,
+  del: NODE_TYPES.STRIKETHROUGH,
+  s: NODE_TYPES.STRIKETHROUGH,
+  strike: NODE_TYPES.STRIKETHROUGH,
+  u: NODE_TYPES.UNDERLINE,
+  ins: NODE_TYPES.UNDERLINE
+};
+
+const CODE_ELEMENTS = new Set(['code', 'tt', 'kbd', 'samp']);
+
+export class HTMLReader {
+  /**
+   * @param {Object} options - Reader options
+   * @param {Sanitizer|null} sanitizer - Removes (and reports) scripts before reading
+   */
+  constructor(options = {}, sanitizer = null) {
+    this.options = { ...options };
+    this.parser = new HTMLParser();
+    this.sanitizer = sanitizer;
+  }
+
+  /**
+   * Read an HTML string into an AST. With options.cleanPaste, clipboard
+   * markup from office suites and chat apps is normalized first.
+   * @param {string} html - HTML source
+   * @returns {Object} Abstract syntax tree
+   */
+  read(html) {
+    const parsed = this.parser.parse(html);
+    const root = this.sanitizer ? this.sanitizer.sanitizeTree(parsed) : parsed;
+    return this.readTree(this.options.cleanPaste ? new PasteCleaner().clean(root) : root);
+  }
+
+  /**
+   * Read an already parsed element tree into an AST
+   * @param {Object} root - Root element from HTMLParser
+   * @returns {Object} Abstract syntax tree
+   */
+  readTree(root) {
+    return {
+      type: NODE_TYPES.DOCUMENT,
+      children: this.readBlocks(root.children)
+    };
+  }
+
+  /**
+   * Read a list of nodes as blocks. Runs of inline content between blocks
+   * become paragraphs.
+   * @param {Array} nodes - Element tree nodes
+   * @returns {Array} Block AST nodes
+   */
+  readBlocks(nodes) {
+    const blocks = [];
+    let inlineRun = [];
+
+    const flushInline = () => {
+      const children = this.trimInline(this.readInline(inlineRun));
+      if (children.length > 0) {
+        blocks.push({ type: NODE_TYPES.PARAGRAPH, children });
+      }
+      inlineRun = [];
+    };
+
+    for (const node of nodes) {
+      if (node.type === 'element' && IGNORED_ELEMENTS.has(node.tag)) continue;
+
+      if (node.type === 'element' && BLOCK_ELEMENTS.has(node.tag)) {
+        flushInline();
+        blocks.push(...this.readBlock(node));
+      } else {
+        inlineRun.push(node);
+      }
+    }
+    flushInline();
+
+    return blocks;
+  }
+
+  /**
+   * Read a block element
+   * @param {Object} element - Block element
+   * @returns {Array} Block AST nodes (containers may unwrap to several)
+   */
+  readBlock(element) {
+    const { tag } = element;
+
+    if (/^h[1-6]$/.test(tag)) {
+      return [{
+        type: NODE_TYPES.HEADING,
+        level: Number(tag[1]),
+        children: this.trimInline(this.readInline(element.children))
+      }];
+    }
+
+    switch (tag) {
+      case 'p':
+        return this.readBlocks(element.children);
+
+      case 'hr':
+        return [{ type: NODE_TYPES.THEMATIC_BREAK }];
+
+      case 'pre':
+        return [this.readCodeBlock(element)];
+
+      case 'blockquote':
+        return [{ type: NODE_TYPES.BLOCKQUOTE, children: this.readBlocks(element.children) }];
+
+      case 'ul':
+      case 'ol':
+        return [this.readList(element)];
+
+      case 'table':
+        return this.readTable(element);
+
+      case 'div':
+        if (element.attrs['data-node-type'] === 'actionList') {
+          return [this.readTaskList(element)];
+        }
+        if (PANEL_TYPES.includes(element.attrs['data-panel-type'])) {
+          return [{
+            type: NODE_TYPES.PANEL,
+            panelType: element.attrs['data-panel-type'],
+            children: this.readBlocks(element.children)
+          }];
+        }
+        if (element.attrs['data-node-type'] === 'expand') {
+          return [this.readExpand(element)];
+        }
+        if (/\bfootnotes\b/.test(element.attrs.class || '')) {
+          return this.readFootnotes(element);
+        }
+        return this.readBlocks(element.children);
+
+      case 'details':
+        return [this.readExpand(element)];
+
+      case 'dl':
+        return [this.readDefinitionList(element)];
+
+      default:
+        return this.readBlocks(element.children);
+    }
+  }
+
+  /**
+   * Read a <pre> block, taking the language from a class on <pre> or <code>
+   * (language-java, lang-java or Jira's code-java)
+   * @param {Object} element - <pre> element
+   * @returns {Object} Code block node
+   */
+  readCodeBlock(element) {
+    const code = element.children.find(child => child.type === 'element' && child.tag === 'code');
+    const classes = [element.attrs.class, code?.attrs.class].filter(Boolean).join(' ');
+    const language = element.attrs['data-language'] ||
+      (classes.match(/\b(?:language|lang|code)-([\w+#-]+)/) || [])[1] ||
+      null;
+
+    return {
+      type: NODE_TYPES.CODE_BLOCK,
+      language,
+      fenced: true,
+      content: getTextContent(element).replace(/\n$/, '')
+    };
+  }
+
+  /**
+   * Read a list. Items that only hold inline content make the list tight.
+   * @param {Object} element - <ul> or <ol> element
+   * @returns {Object} List node
+   */
+  readList(element) {
+    const items = element.children
+      .filter(child => child.type === 'element')
+      .flatMap(child => child.tag === 'li'
+        ? [child]
+        : this.findElements(child, 'li', ['ul', 'ol']));
+
+    const children = items.map(item => {
+      const listItem = { type: NODE_TYPES.LIST_ITEM, children: this.readBlocks(item.children) };
+      const checkbox = this.findElements(item, 'input', ['ul', 'ol'])
+        .find(input => (input.attrs.type || '').toLowerCase() === 'checkbox');
+      if (checkbox) {
+        listItem.checked = 'checked' in checkbox.attrs;
+      }
+      return listItem;
+    });
+
+    const tight = items.every(item => !item.children.some(child =>
+      child.type === 'element' && child.tag === 'p'));
+
+    const list = { type: NODE_TYPES.LIST, ordered: element.tag === 'ol', tight, children };
+    if (list.ordered) {
+      const start = parseInt(element.attrs.start, 10);
+      list.start = Number.isNaN(start) ? 1 : start;
+    }
+    return list;
+  }
+
+  /**
+   * Read a Jira action list (<div data-node-type="actionList">). Nested
+   * action lists belong to the task item before them.
+   * @param {Object} element - Action list element
+   * @returns {Object} List node with task items
+   */
+  readTaskList(element) {
+    const children = [];
+
+    for (const child of element.children) {
+      if (child.type !== 'element') continue;
+
+      if (child.attrs['data-node-type'] === 'actionList' && children.length > 0) {
+        children[children.length - 1].children.push(this.readTaskList(child));
+      } else if ('data-task-local-id' in child.attrs) {
+        const inline = this.trimInline(this.readInline(child.children));
+        children.push({
+          type: NODE_TYPES.LIST_ITEM,
+          checked: child.attrs['data-task-state'] === 'DONE',
+          children: inline.length > 0 ? [{ type: NODE_TYPES.PARAGRAPH, children: inline }] : []
+        });
+      }
+    }
+
+    return { type: NODE_TYPES.LIST, ordered: false, tight: true, children };
+  }
+
+  /**
+   * Read an expand section (<details> or Jira's expand div). The title comes
+   * from data-title or the <summary>.
+   * @param {Object} element - Expand element
+   * @returns {Object} Expand node
+   */
+  readExpand(element) {
+    const summary = element.children.find(child => child.type === 'element' && child.tag === 'summary');
+    const title = element.attrs['data-title'] ?? (summary ? getTextContent(summary) : '');
+
+    return {
+      type: NODE_TYPES.EXPAND,
+      title: title.replace(/\s+/g, ' ').trim(),
+      children: this.readBlocks(element.children.filter(child => child !== summary))
+    };
+  }
+
+  /**
+   * Read a definition list. Definitions without <p> make the list tight.
+   * @param {Object} element - <dl> element
+   * @returns {Object} Definition list node
+   */
+  readDefinitionList(element) {
+    // <dl> may group its entries in <div>s
+    const entries = element.children
+      .flatMap(child => child.type === 'element' && child.tag === 'div' ? child.children : [child])
+      .filter(child => child.type === 'element' && (child.tag === 'dt' || child.tag === 'dd'));
+
+    const children = entries.map(entry => entry.tag === 'dt'
+      ? { type: NODE_TYPES.DEFINITION_TERM, children: this.trimInline(this.readInline(entry.children)) }
+      : { type: NODE_TYPES.DEFINITION_DESCRIPTION, children: this.readBlocks(entry.children) });
+
+    const tight = entries.every(entry => !entry.children.some(child =>
+      child.type === 'element' && child.tag === 'p'));
+
+    return { type: NODE_TYPES.DEFINITION_LIST, tight, children };
+  }
+
+  /**
+   * Read a footnotes section (<div class="footnotes"><ol><li id="fn-1">).
+   * Back references are dropped; footnotes are labelled by number.
+   * @param {Object} element - Footnotes element
+   * @returns {Array} Footnotes node
+   */
+  readFootnotes(element) {
+    const [list] = this.findElements(element, 'ol', ['ol']);
+    const children = (list ? this.findElements(list, 'li', ['ul', 'ol']) : [])
+      .map((item, index) => {
+        const number = Number((item.attrs.id || '').match(/^fn-(\d+)$/)?.[1]) || index + 1;
+        return {
+          type: NODE_TYPES.FOOTNOTE,
+          label: String(number),
+          number,
+          children: this.readBlocks(this.removeBackReferences(item.children))
+        };
+      });
+
+    return children.length > 0 ? [{ type: NODE_TYPES.FOOTNOTES, children }] : [];
+  }
+
+  /**
+   * Remove footnote back reference links (href="#fnref-...") from a tree
+   * @param {Array} nodes - Element tree nodes
+   * @returns {Array} Nodes without back references
+   */
+  removeBackReferences(nodes) {
+    return nodes
+      .filter(node => !(node.type === 'element' && node.tag === 'a' && /^#fnref-/.test(node.attrs.href || '')))
+      .map(node => node.type === 'element'
+        ? { ...node, children: this.removeBackReferences(node.children) }
+        : node);
+  }
+
+  /**
+   * Read a table. Rows in thead/tbody/tfoot are read in document order.
+   * @param {Object} element - <table> element
+   * @returns {Array} Table node
+   */
+  readTable(element) {
+    const rows = this.findElements(element, 'tr', ['table']).map(row => ({
+      type: NODE_TYPES.TABLE_ROW,
+      children: row.children
+        .filter(cell => cell.type === 'element' && (cell.tag === 'td' || cell.tag === 'th'))
+        .map(cell => ({
+          type: NODE_TYPES.TABLE_CELL,
+          header: cell.tag === 'th',
+          align: this.readAlignment(cell),
+          children: flattenToInline(this.readBlocks(cell.children))
+        }))
+    })).filter(row => row.children.length > 0);
+
+    return rows.length > 0 ? [{ type: NODE_TYPES.TABLE, children: rows }] : [];
+  }
+
+  /**
+   * Read cell alignment from a text-align style or the align attribute
+   * @param {Object} cell - <td> or <th> element
+   * @returns {string|null} 'left', 'center', 'right' or null
+   */
+  readAlignment(cell) {
+    const style = (cell.attrs.style || '').match(/text-align\s*:\s*(left|center|right)/i);
+    const align = (style ? style[1] : cell.attrs.align || '').toLowerCase();
+    return ['left', 'center', 'right'].includes(align) ? align : null;
+  }
+
+  /**
+   * Find descendant elements by tag without descending into boundary tags
+   * @param {Object} element - Element to search
+   * @param {string} tag - Tag to find
+   * @param {string[]} boundaries - Tags not to descend into
+   * @returns {Array} Matching elements in document order
+   */
+  findElements(element, tag, boundaries) {
+    const found = [];
+    for (const child of element.children) {
+      if (child.type !== 'element') continue;
+      if (child.tag === tag) {
+        found.push(child);
+      } else if (!boundaries.includes(child.tag)) {
+        found.push(...this.findElements(child, tag, boundaries));
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Read inline nodes. Whitespace is collapsed as a browser would.
+   * @param {Array} nodes - Element tree nodes
+   * @returns {Array} Inline AST nodes
+   */
+  readInline(nodes) {
+    const result = [];
+
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        const content = node.content.replace(/\s+/g, ' ');
+        if (content) result.push({ type: NODE_TYPES.TEXT, content });
+        continue;
+      }
+
+      const { tag } = node;
+      if (IGNORED_ELEMENTS.has(tag)) continue;
+
+      if (tag === 'br') {
+        result.push({ type: NODE_TYPES.LINE_BREAK });
+      } else if (tag === 'sup' && this.readFootnoteReference(node)) {
+        result.push(this.readFootnoteReference(node));
+      } else if (tag === 'img') {
+        if (node.attrs.src) result.push(this.readImage(node));
+      } else if (CODE_ELEMENTS.has(tag)) {
+        const content = getTextContent(node).replace(/\s+/g, ' ');
+        if (content) result.push({ type: NODE_TYPES.CODE, content });
+      } else if (tag === 'a') {
+        const children = this.readInline(node.children);
+        if (node.attrs.href) {
+          result.push({
+            type: NODE_TYPES.LINK,
+            url: node.attrs.href,
+            title: node.attrs.title || null,
+            children
+          });
+        } else {
+          result.push(...children);
+        }
+      } else if (node.attrs['data-node-type'] === 'status') {
+        const text = getTextContent(node).replace(/\s+/g, ' ').trim();
+        const color = (node.attrs['data-color'] || '').toLowerCase();
+        if (text) {
+          result.push({ type: NODE_TYPES.STATUS, color: STATUS_COLORS.includes(color) ? color : 'neutral', text });
+        }
+      } else if (node.attrs['data-emoji-short-name']) {
+        const shortName = node.attrs['data-emoji-short-name'];
+        const text = getTextContent(node).trim() || shortName;
+        result.push({ type: NODE_TYPES.EMOJI, shortName: /^:[\w+-]+:$/.test(shortName) ? shortName : null, text });
+      } else if (INLINE_MARKS[tag]) {
+        const children = this.readInline(node.children);
+        if (children.length > 0) result.push({ type: INLINE_MARKS[tag], children });
+      } else if (BLOCK_ELEMENTS.has(tag)) {
+        // Block inside inline context (e.g. <div> in <span>): keep it on its own line
+        if (result.length > 0) result.push({ type: NODE_TYPES.LINE_BREAK });
+        result.push(...this.readInline(node.children));
+      } else {
+        result.push(...this.readInline(node.children));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Read a footnote reference (<sup><a href="#fn-1">1</a></sup>)
+   * @param {Object} element - <sup> element
+   * @returns {Object|null} Footnote reference node
+   */
+  readFootnoteReference(element) {
+    const link = element.children.find(child => child.type === 'element' && child.tag === 'a');
+    const match = (link?.attrs.href || '').match(/^#fn-(\d+)$/);
+    return match
+      ? { type: NODE_TYPES.FOOTNOTE_REFERENCE, label: match[1], number: Number(match[1]) }
+      : null;
+  }
+
+  /**
+   * Read an <img> element
+   * @param {Object} element - <img> element
+   * @returns {Object} Image node
+   */
+  readImage(element) {
+    const size = value => /^\d+$/.test(value || '') ? Number(value) : null;
+    return {
+      type: NODE_TYPES.IMAGE,
+      url: element.attrs.src,
+      alt: element.attrs.alt || '',
+      title: element.attrs.title || null,
+      width: size(element.attrs.width),
+      height: size(element.attrs.height),
+      attachment: null
+    };
+  }
+
+  /**
+   * Collapse spaces that span element boundaries ("two <b> bold</b>")
+   * @param {Array} nodes - Inline AST nodes
+   * @param {Object} state - Whether the previous text ended with a space
+   */
+  collapseSpaces(nodes, state = { afterSpace: true }) {
+    for (const node of nodes) {
+      if (node.type === NODE_TYPES.TEXT) {
+        if (state.afterSpace) node.content = node.content.replace(/^ /, '');
+        if (node.content) state.afterSpace = node.content.endsWith(' ');
+      } else if (node.children) {
+        this.collapseSpaces(node.children, state);
+      } else {
+        state.afterSpace = node.type === NODE_TYPES.LINE_BREAK;
+      }
+    }
+  }
+
+  /**
+   * Trim leading/trailing whitespace and breaks of an inline run, and the
+   * whitespace that follows each line break
+   * @param {Array} nodes - Inline AST nodes
+   * @returns {Array} Trimmed nodes
+   */
+  trimInline(nodes) {
+    const result = [...nodes];
+    this.collapseSpaces(result);
+
+    while (result.length && result[0].type === NODE_TYPES.LINE_BREAK) result.shift();
+    while (result.length && result[result.length - 1].type === NODE_TYPES.LINE_BREAK) result.pop();
+
+    const trimEdge = (list, atStart) => {
+      const node = atStart ? list[0] : list[list.length - 1];
+      if (!node) return;
+      if (node.type === NODE_TYPES.TEXT) {
+        node.content = atStart ? node.content.replace(/^ +/, '') : node.content.replace(/ +$/, '');
+        if (!node.content) {
+          atStart ? list.shift() : list.pop();
+          trimEdge(list, atStart);
+        }
+      } else if (node.children && node.type !== NODE_TYPES.LINK) {
+        trimEdge(node.children, atStart);
+      }
+    };
+
+    trimEdge(result, true);
+    trimEdge(result, false);
+
+    for (let i = 0; i < result.length - 1; i++) {
+      const next = result[i + 1];
+      if (result[i].type === NODE_TYPES.LINE_BREAK && next.type === NODE_TYPES.TEXT) {
+        next.content = next.content.replace(/^ +/, '');
+      }
+    }
+
+    return result.filter(node => node.type !== NODE_TYPES.TEXT || node.content);
+  }
+}
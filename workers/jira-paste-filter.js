@@ -0,0 +1,444 @@
+/**
+ * Jira Paste Filter - Local model of what Jira's editor keeps on paste
+ *
+ * Jira Cloud rebuilds pasted HTML in its own document model. Classes and
+ * IDs are dropped, code blocks keep only their text, and a block that is
+ * not allowed where it stands (a heading in a list item, a quote in a
+ * quote, a table in a table) is unwrapped into its content. The filter
+ * applies these rules to the preview HTML, so the preview shows the comment
+ * as Jira will, and marks every changed element with data-jira-loss for the
+ * preview to highlight.
+ *
+ * It is a model, not Jira's code: it covers the HTML this converter
+ * generates and errs on the side of reporting a change.
+ */
+
+import { HTMLParser, getTextContent } from './html-parser.js';
+import { escapeHtml } from './html-generator.js';
+
+// Change -> explanation, shown on the highlighted element and in the problem list
+export const JIRA_LOSSES = {
+  heading: 'Headings are not allowed here, so the heading becomes a paragraph',
+  quote: 'Quotes are not allowed here, so only the quoted text is kept',
+  panel: 'Panels are not allowed here, so only the panel content is kept',
+  expand: 'Expands are not allowed here, so the title and content become plain blocks',
+  table: 'Tables are not allowed here, so each cell becomes a paragraph',
+  taskList: 'Checklists are not allowed here, so the tasks become paragraphs',
+  rule: 'Dividers are not allowed here and are dropped',
+  definitionList: 'There are no definition lists, so terms and definitions become paragraphs',
+  code: 'Code blocks keep only their text: the language and the colours are dropped',
+  anchor: 'Heading and footnote IDs are dropped, so this link to the page leads nowhere',
+  headerCell: 'Header cells are only kept in the first row and column',
+  alignment: 'Table cell alignment is dropped',
+  checkbox: 'Checkboxes outside a checklist are dropped',
+  inlineImage: 'Images cannot be shown here, so a link to the image is kept',
+  imageLine: 'Images are moved onto a line of their own'
+};
+
+// Block kind -> containers that accept it. Paragraphs, lists and code
+// blocks are not listed: they are allowed everywhere.
+export const BLOCK_CONTAINERS = {
+  heading: ['root', 'panel', 'expand', 'nestedExpand', 'cell'],
+  quote: ['root', 'expand', 'nestedExpand', 'cell'],
+  panel: ['root', 'expand', 'nestedExpand', 'cell'],
+  // A top-level expand may hold one more level (a nested expand), as may a cell
+  expand: ['root', 'expand', 'cell'],
+  table: ['root', 'expand'],
+  taskList: ['root', 'panel', 'expand', 'nestedExpand', 'cell'],
+  rule: ['root', 'panel', 'expand', 'nestedExpand', 'cell'],
+  definitionList: []
+};
+
+// Blocks without rules of their own (allowed everywhere)
+const FREE_BLOCK_TAGS = new Set(['p', 'ul', 'ol', 'pre', 'div']);
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'input', 'img']);
+
+// Attributes Jira drops without any visible effect of their own
+const DROPPED_ATTRIBUTES = ['class', 'id'];
+
+export class JiraPasteFilter {
+  constructor() {
+    this.parser = new HTMLParser();
+    this.changes = [];
+  }
+
+  /**
+   * Rewrite HTML the way Jira would keep it when pasted
+   * @param {string} html - HTML of one top-level block (or more)
+   * @returns {string} Filtered HTML, changed elements marked with data-jira-loss
+   */
+  filterHtml(html) {
+    const root = this.parser.parse(html);
+    const context = { container: 'root', line: null, inline: false, inLink: false, inTask: false };
+    return this.filterChildren(root.children, context).map(node => serialize(node)).join('');
+  }
+
+  /**
+   * Filter a list of nodes
+   * @param {Array} nodes - Element and text nodes
+   * @param {Object} context - Where the nodes stand ({ container, line, inline, inLink, inTask })
+   * @returns {Array} Filtered nodes
+   */
+  filterChildren(nodes, context) {
+    return nodes.flatMap(node => this.filterNode(node, context));
+  }
+
+  /**
+   * Filter one node
+   * @param {Object} node - Element or text node
+   * @param {Object} context - Where the node stands
+   * @returns {Array} The node's replacement (none, one or several nodes)
+   */
+  filterNode(node, context) {
+    if (node.type === 'text') return [node];
+
+    const line = getFirstLine(node) ?? context.line;
+    const kind = getBlockKind(node);
+    if (kind && !BLOCK_CONTAINERS[kind].includes(context.container)) {
+      return this.flatten(node, kind, { ...context, line });
+    }
+
+    const { tag } = node;
+    if (tag === 'pre') return [this.filterCodeBlock(node, line)];
+    if (tag === 'img' && context.inline) return [this.replaceImage(node, context, line)];
+    if (tag === 'input' && !context.inTask) {
+      this.report('checkbox', line);
+      return [];
+    }
+    if (tag === 'table') markHeaderCells(node);
+
+    const element = createElement(tag, withoutDroppedAttributes(node.attrs));
+    element.children = this.filterChildren(node.children, this.enter(node, { ...context, line }));
+
+    if (tag === 'a' && (node.attrs.href || '').startsWith('#')) {
+      this.mark(element, 'anchor', line);
+    } else if (tag === 'th' && !node.headerAllowed) {
+      element.tag = 'td';
+      this.mark(element, 'headerCell', line);
+    }
+    if ((tag === 'th' || tag === 'td') && /text-align:\s*(center|right)/i.test(node.attrs.style || '')) {
+      delete element.attrs.style;
+      this.mark(element, 'alignment', line);
+    }
+    if (tag === 'p' && !context.inline) {
+      return this.splitImages(element, line);
+    }
+    return [element];
+  }
+
+  /**
+   * Context for the children of an element
+   * @param {Object} node - Element
+   * @param {Object} context - The element's own context
+   * @returns {Object} Child context
+   */
+  enter(node, context) {
+    const { tag, attrs } = node;
+    if (tag === 'li') return { ...context, container: 'listItem', inline: false };
+    if (tag === 'blockquote') return { ...context, container: 'quote', inline: false };
+    if (tag === 'th' || tag === 'td') return { ...context, container: 'cell', inline: true };
+    if (tag === 'details') {
+      return { ...context, container: context.container === 'root' ? 'expand' : 'nestedExpand', inline: false };
+    }
+    if (tag === 'div' && attrs['data-panel-type']) return { ...context, container: 'panel', inline: false };
+    if (tag === 'div' && attrs['data-task-local-id']) return { ...context, inline: true, inTask: true };
+    if (/^h[1-6]$/.test(tag)) return { ...context, inline: true };
+    if (tag === 'a') return { ...context, inLink: true };
+    return context;
+  }
+
+  /**
+   * Unwrap a block that is not allowed where it stands. Its content is
+   * filtered in the same place and wrapped in a marked <div>.
+   * @param {Object} node - Block element
+   * @param {string} kind - Block kind
+   * @param {Object} context - Where the block stands
+   * @returns {Array} Replacement nodes
+   */
+  flatten(node, kind, context) {
+    const { line } = context;
+    let content;
+    switch (kind) {
+      case 'heading':
+        content = [createElement('p', {}, this.filterChildren(node.children, { ...context, inline: true }))];
+        break;
+      case 'expand': {
+        const summary = node.children.find(child => child.tag === 'summary');
+        const title = summary ? getTextContent(summary) : node.attrs['data-title'] || '';
+        const rest = node.children.filter(child => child !== summary);
+        content = [
+          createElement('p', {}, [createElement('strong', {}, [createText(title)])]),
+          ...this.filterChildren(rest, context)
+        ];
+        break;
+      }
+      case 'table':
+        content = collectCells(node).map(cell =>
+          createElement('p', {}, this.filterChildren(cell.children, { ...context, inline: true })));
+        break;
+      case 'taskList':
+        content = node.children.flatMap(child => {
+          if (child.tag !== 'div' || !child.attrs['data-task-local-id']) {
+            return this.filterNode(child, context);
+          }
+          const marker = child.attrs['data-task-state'] === 'DONE' ? '☑ ' : '☐ ';
+          const text = child.children.filter(grandchild => grandchild.tag !== 'input');
+          return [createElement('p', {}, [
+            createText(marker),
+            ...this.filterChildren(text, { ...context, inline: true })
+          ])];
+        });
+        break;
+      case 'definitionList':
+        content = node.children.flatMap(child => {
+          if (child.tag === 'dt') {
+            return [createElement('p', {}, [
+              createElement('strong', {}, this.filterChildren(child.children, { ...context, inline: true }))
+            ])];
+          }
+          if (child.tag === 'dd') {
+            return child.children.some(grandchild => getBlockKind(grandchild) || FREE_BLOCK_TAGS.has(grandchild.tag))
+              ? this.filterChildren(child.children, context)
+              : [createElement('p', {}, this.filterChildren(child.children, { ...context, inline: true }))];
+          }
+          return [];
+        });
+        break;
+      case 'rule':
+        this.report(kind, line);
+        return [];
+      default:
+        // Quotes and panels: the content stays where the block was
+        content = this.filterChildren(node.children, context);
+    }
+
+    const wrapper = createElement('div', {}, content);
+    if (node.attrs['data-source-lines']) {
+      wrapper.attrs['data-source-lines'] = node.attrs['data-source-lines'];
+    }
+    this.mark(wrapper, kind, line);
+    return [wrapper];
+  }
+
+  /**
+   * Reduce a code block to its text. The language class and the syntax
+   * highlighting spans are what Jira drops.
+   * @param {Object} node - <pre> element
+   * @param {number|null} line - Source line
+   * @returns {Object} Filtered <pre>
+   */
+  filterCodeBlock(node, line) {
+    const code = node.children.find(child => child.tag === 'code');
+    const content = code ? code.children : node.children;
+    const changed = Boolean(code?.attrs.class) || content.some(child => child.type === 'element');
+
+    const text = [createText(getTextContent(code || node))];
+    const pre = createElement('pre', withoutDroppedAttributes(node.attrs), code ? [createElement('code', {}, text)] : text);
+    if (changed) {
+      this.mark(pre, 'code', line);
+    }
+    return pre;
+  }
+
+  /**
+   * Replace an image in inline-only content (a heading, cell or task) with
+   * a link to it, as Jira does
+   * @param {Object} node - <img> element
+   * @param {Object} context - Where the image stands
+   * @param {number|null} line - Source line
+   * @returns {Object} Link, or the alt text inside an existing link
+   */
+  replaceImage(node, context, line) {
+    const { src = '', alt = '' } = node.attrs;
+    const label = createText(alt || src);
+    const replacement = context.inLink
+      ? createElement('span', {}, [label])
+      : createElement('a', { href: src }, [label]);
+    this.mark(replacement, 'inlineImage', line);
+    return replacement;
+  }
+
+  /**
+   * Split a paragraph around its images, which Jira places on lines of
+   * their own
+   * @param {Object} paragraph - Filtered <p> element
+   * @param {number|null} line - Source line
+   * @returns {Array} The paragraph, or the paragraphs and images it splits into
+   */
+  splitImages(paragraph, line) {
+    const { children } = paragraph;
+    const hasImage = children.some(child => child.tag === 'img');
+    const hasText = children.some(child => child.tag !== 'img' && !isBlank(child));
+    if (!hasImage || !hasText) return [paragraph];
+
+    const parts = [];
+    let run = [];
+    const flush = () => {
+      if (run.some(child => !isBlank(child))) {
+        parts.push(createElement('p', { ...paragraph.attrs }, run));
+      }
+      run = [];
+    };
+    for (const child of children) {
+      if (child.tag === 'img') {
+        flush();
+        const lines = paragraph.attrs['data-source-lines'];
+        const image = createElement('p', lines ? { 'data-source-lines': lines } : {}, [child]);
+        this.mark(image, 'imageLine', line);
+        parts.push(image);
+      } else {
+        run.push(child);
+      }
+    }
+    flush();
+    return parts;
+  }
+
+  /**
+   * Mark an element as changed and record the change
+   * @param {Object} element - Element to highlight
+   * @param {string} loss - JIRA_LOSSES key
+   * @param {number|null} line - Source line
+   */
+  mark(element, loss, line) {
+    element.attrs['data-jira-loss'] = loss;
+    element.attrs.title = JIRA_LOSSES[loss];
+    this.report(loss, line);
+  }
+
+  /**
+   * Record a change
+   * @param {string} loss - JIRA_LOSSES key
+   * @param {number|null} line - Source line, if known
+   */
+  report(loss, line) {
+    this.changes.push({ loss, message: JIRA_LOSSES[loss], line });
+  }
+}
+
+/**
+ * Classify the blocks Jira restricts
+ * @param {Object} node - Element or text node
+ * @returns {string|null} BLOCK_CONTAINERS key, or null
+ */
+function getBlockKind(node) {
+  if (node.type !== 'element') return null;
+
+  const { tag, attrs } = node;
+  if (/^h[1-6]$/.test(tag)) return 'heading';
+  if (tag === 'blockquote') return 'quote';
+  if (tag === 'details') return 'expand';
+  if (tag === 'table') return 'table';
+  if (tag === 'hr') return 'rule';
+  if (tag === 'dl') return 'definitionList';
+  if (tag === 'div' && attrs['data-panel-type']) return 'panel';
+  if (tag === 'div' && attrs['data-node-type'] === 'actionList') return 'taskList';
+  return null;
+}
+
+/**
+ * Flag the header cells of a table that Jira keeps as headers: those in
+ * the first row or the first column
+ * @param {Object} table - <table> element
+ */
+function markHeaderCells(table) {
+  collectRows(table).forEach((row, rowIndex) => {
+    row.children.filter(isCell).forEach((cell, columnIndex) => {
+      cell.headerAllowed = rowIndex === 0 || columnIndex === 0;
+    });
+  });
+}
+
+/**
+ * The rows of a table, across thead, tbody and tfoot
+ * @param {Object} table - <table> element
+ * @returns {Array} <tr> elements
+ */
+function collectRows(table) {
+  return table.children.flatMap(child => {
+    if (child.tag === 'tr') return [child];
+    return ['thead', 'tbody', 'tfoot'].includes(child.tag) ? child.children.filter(row => row.tag === 'tr') : [];
+  });
+}
+
+/**
+ * The cells of a table in reading order
+ * @param {Object} table - <table> element
+ * @returns {Array} <th> and <td> elements
+ */
+function collectCells(table) {
+  return collectRows(table).flatMap(row => row.children.filter(isCell));
+}
+
+/**
+ * @param {Object} node - Element or text node
+ * @returns {boolean} True for <th> and <td>
+ */
+function isCell(node) {
+  return node.tag === 'th' || node.tag === 'td';
+}
+
+/**
+ * @param {Object} node - Element or text node
+ * @returns {boolean} True for whitespace-only text
+ */
+function isBlank(node) {
+  return node.type === 'text' && !node.content.trim();
+}
+
+/**
+ * First source line of an element from its data-source-lines attribute
+ * @param {Object} node - Element
+ * @returns {number|null} Line, or null when the element is not mapped
+ */
+function getFirstLine(node) {
+  const match = /^(\d+)-/.exec(node.attrs['data-source-lines'] || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Copy attributes without the ones Jira drops
+ * @param {Object} attrs - Attributes
+ * @returns {Object} Remaining attributes
+ */
+function withoutDroppedAttributes(attrs) {
+  return Object.fromEntries(Object.entries(attrs).filter(([name]) => !DROPPED_ATTRIBUTES.includes(name)));
+}
+
+/**
+ * @param {string} tag - Tag name
+ * @param {Object} attrs - Attributes
+ * @param {Array} children - Child nodes
+ * @returns {Object} Element node
+ */
+function createElement(tag, attrs = {}, children = []) {
+  return { type: 'element', tag, attrs, children };
+}
+
+/**
+ * @param {string} content - Text
+ * @returns {Object} Text node
+ */
+function createText(content) {
+  return { type: 'text', content };
+}
+
+/**
+ * Serialize a node tree back to HTML
+ * @param {Object} node - Element or text node
+ * @returns {string} HTML
+ */
+function serialize(node) {
+  if (node.type === 'text') {
+    return escapeHtml(node.content);
+  }
+
+  const attributes = Object.entries(node.attrs)
+    .map(([name, value]) => value === '' ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`)
+    .join('');
+  if (VOID_ELEMENTS.has(node.tag)) {
+    return `<${node.tag}${attributes}>`;
+  }
+  return `<${node.tag}${attributes}>${node.children.map(serialize).join('')}</${node.tag}>`;
+}
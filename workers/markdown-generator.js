@@ -0,0 +1,354 @@
+/**
+ * Markdown Generator - Renders the parser AST as GitHub-flavoured Markdown
+ *
+ * Used by the reverse pipeline (Jira HTML / ADF in, Markdown out).
+ */
+
+import { NODE_TYPES } from './parser-engine.js';
+
+// Jira panel type -> GitHub callout
+const PANEL_CALLOUTS = {
+  info: 'NOTE',
+  success: 'TIP',
+  note: 'IMPORTANT',
+  warning: 'WARNING',
+  error: 'CAUTION'
+};
+
+// Blocks that can follow a paragraph inside a tight list item without a blank line
+const TIGHT_FOLLOWERS = new Set([
+  NODE_TYPES.LIST,
+  NODE_TYPES.CODE_BLOCK,
+  NODE_TYPES.BLOCKQUOTE,
+  NODE_TYPES.HEADING,
+  NODE_TYPES.THEMATIC_BREAK
+]);
+
+export class MarkdownGenerator {
+  constructor(options = {}) {
+    this.options = {
+      bulletMarker: '-',
+      ...options
+    };
+
+    this.blockRenderers = {
+      [NODE_TYPES.PARAGRAPH]: node => this.escapeLineStarts(this.renderInline(node.children)),
+      [NODE_TYPES.HEADING]: node => `${'#'.repeat(node.level)} ${this.renderInline(node.children).replace(/\\?\n/g, ' ')}`,
+      [NODE_TYPES.THEMATIC_BREAK]: () => '---',
+      [NODE_TYPES.BLOCKQUOTE]: node => this.prefixLines(this.renderBlocks(node.children), '> ', '>'),
+      [NODE_TYPES.CODE_BLOCK]: node => this.renderCodeBlock(node),
+      [NODE_TYPES.LIST]: node => this.renderList(node),
+      [NODE_TYPES.TABLE]: node => this.renderTable(node),
+      [NODE_TYPES.PANEL]: node => this.prefixLines(
+        `[!${PANEL_CALLOUTS[node.panelType] || 'NOTE'}]\n${this.renderBlocks(node.children)}`, '> ', '>'),
+      [NODE_TYPES.EXPAND]: node => this.renderExpand(node),
+      [NODE_TYPES.DEFINITION_LIST]: node => this.renderDefinitionList(node),
+      [NODE_TYPES.FOOTNOTES]: node => node.children.map(footnote => this.prefixLines(
+        `[^${footnote.label}]: ${this.renderBlocks(footnote.children)}`, '    ', '', true)).join('\n\n')
+    };
+
+    this.inlineRenderers = {
+      [NODE_TYPES.TEXT]: node => this.escapeText(node.content),
+      [NODE_TYPES.STRONG]: node => this.wrapDelimited(node.children, '**'),
+      [NODE_TYPES.EMPHASIS]: node => this.wrapDelimited(node.children, '*'),
+      [NODE_TYPES.STRIKETHROUGH]: node => this.wrapDelimited(node.children, '~~'),
+      // Markdown has no underline; keep the text
+      [NODE_TYPES.UNDERLINE]: node => this.renderInline(node.children),
+      [NODE_TYPES.CODE]: node => this.renderCodeSpan(node.content),
+      [NODE_TYPES.LINK]: node => this.renderLink(node),
+      [NODE_TYPES.IMAGE]: node => this.renderImage(node),
+      [NODE_TYPES.FOOTNOTE_REFERENCE]: node => `[^${node.label}]`,
+      [NODE_TYPES.MENTION]: node => `@${node.username}`,
+      [NODE_TYPES.STATUS]: node => `{status:${node.color}|${node.text.replace(/[{}|]/g, '')}}`,
+      [NODE_TYPES.EMOJI]: node => node.shortName || node.text,
+      [NODE_TYPES.LINE_BREAK]: () => '\\\n'
+    };
+  }
+
+  /**
+   * Generate Markdown from parsed AST
+   * @param {Object} ast - Abstract syntax tree
+   * @returns {string} Markdown text
+   */
+  generate(ast) {
+    return this.renderBlocks(ast.children).trim();
+  }
+
+  /**
+   * Render block nodes separated by blank lines
+   * @param {Array} nodes - Block nodes
+   * @param {string} separator - Separator between blocks
+   * @returns {string} Markdown
+   */
+  renderBlocks(nodes = [], separator = '\n\n') {
+    const blocks = [];
+    let previous = null;
+
+    for (let node of nodes) {
+      // Adjacent lists of the same kind need a different marker or they merge
+      if (node.type === NODE_TYPES.LIST && previous?.type === NODE_TYPES.LIST &&
+          previous.ordered === node.ordered) {
+        node = { ...node, alternate: !previous.alternate };
+      }
+
+      const text = this.renderBlock(node);
+      if (text !== '') blocks.push(text);
+      previous = node;
+    }
+
+    return blocks.join(separator);
+  }
+
+  /**
+   * Render individual block node
+   * @param {Object} node - Block AST node
+   * @returns {string} Markdown
+   */
+  renderBlock(node) {
+    const renderer = this.blockRenderers[node.type];
+    if (!renderer) {
+      throw new Error(`No Markdown renderer for node type: ${node.type}`);
+    }
+    return renderer(node);
+  }
+
+  /**
+   * Render inline nodes
+   * @param {Array} nodes - Inline nodes
+   * @returns {string} Markdown
+   */
+  renderInline(nodes = []) {
+    let markdown = '';
+    for (const node of nodes) {
+      const renderer = this.inlineRenderers[node.type];
+      if (!renderer) {
+        throw new Error(`No Markdown renderer for inline node type: ${node.type}`);
+      }
+      // "!" right before a link would turn the link into an image
+      if (node.type === NODE_TYPES.LINK && /(^|[^\\])(\\\\)*!$/.test(markdown)) {
+        markdown = `${markdown.slice(0, -1)}\\!`;
+      }
+      markdown += renderer(node);
+    }
+    return markdown;
+  }
+
+  /**
+   * Render a fenced code block, using a fence longer than any inner run
+   * @param {Object} node - Code block node
+   * @returns {string} Markdown
+   */
+  renderCodeBlock(node) {
+    const longestRun = Math.max(2, ...(node.content.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${fence}${node.language || ''}\n${node.content}\n${fence}`;
+  }
+
+  /**
+   * Render an expand section. The fence gets one colon more than any
+   * expand nested inside it, so the inner closing fence does not end it.
+   * @param {Object} node - Expand node
+   * @returns {string} Markdown
+   */
+  renderExpand(node) {
+    const depth = (nodes) => Math.max(0, ...nodes.map(child =>
+      (child.type === NODE_TYPES.EXPAND ? 1 : 0) + depth(child.children || [])));
+    const fence = ':'.repeat(3 + depth(node.children));
+    const title = node.title ? ` ${node.title.replace(/\n/g, ' ')}` : '';
+    return `${fence}expand${title}\n${this.renderBlocks(node.children)}\n${fence}`;
+  }
+
+  /**
+   * Render a list. Continuation lines are indented under the marker.
+   * @param {Object} node - List node
+   * @returns {string} Markdown
+   */
+  renderList(node) {
+    // A generated table of contents goes back to its marker
+    if (node.toc) return '[TOC]';
+
+    const start = node.start ?? 1;
+    const tight = node.tight && node.children.every(item =>
+      item.children.slice(1).every(child => TIGHT_FOLLOWERS.has(child.type)));
+    const bullet = node.alternate ? '*' : this.options.bulletMarker;
+    const delimiter = node.alternate ? ')' : '.';
+
+    const items = node.children.map((item, index) => {
+      const marker = node.ordered ? `${start + index}${delimiter}` : bullet;
+      const content = this.renderBlocks(item.children, tight ? '\n' : '\n\n');
+      const task = typeof item.checked === 'boolean' ? `[${item.checked ? 'x' : ' '}] ` : '';
+      const indent = ' '.repeat(marker.length + 1);
+      return `${marker} ${task}${this.prefixLines(content, indent, '', true)}`.trimEnd();
+    });
+
+    return items.join(tight ? '\n' : '\n\n');
+  }
+
+  /**
+   * Render a definition list. Definition content is indented under the ":".
+   * @param {Object} node - Definition list node
+   * @returns {string} Markdown
+   */
+  renderDefinitionList(node) {
+    const entries = node.children.map((child, index) => {
+      if (child.type === NODE_TYPES.DEFINITION_TERM) {
+        const term = this.escapeLineStarts(this.renderInline(child.children).replace(/\\?\n/g, ' '));
+        // A blank line before a term keeps entries apart without making the list loose
+        return index > 0 ? `\n${term}` : term;
+      }
+      const content = this.renderBlocks(child.children, node.tight ? '\n' : '\n\n');
+      const definition = `: ${this.prefixLines(content, '  ', '', true)}`;
+      return !node.tight && node.children[index - 1].type === NODE_TYPES.DEFINITION_DESCRIPTION
+        ? `\n${definition}`
+        : definition;
+    });
+
+    return entries.join('\n');
+  }
+
+  /**
+   * Render a GFM table. The first row is always used as the header row.
+   * @param {Object} node - Table node
+   * @returns {string} Markdown
+   */
+  renderTable(node) {
+    const rows = node.children.map(row => row.children.map(cell =>
+      this.renderInline(cell.children)
+        .replace(/\\\n/g, '<br>')
+        .replace(/\|/g, '\\|')
+        .trim()
+    ));
+
+    const columns = Math.max(...rows.map(row => row.length));
+    const pad = row => [...row, ...Array(columns - row.length).fill('')];
+    const line = cells => `| ${cells.join(' | ')} |`;
+
+    const delimiters = { left: ':---', center: ':---:', right: '---:' };
+    const align = Array.from({ length: columns }, (_, column) =>
+      delimiters[node.children[0].children[column]?.align] || '---');
+
+    const [header, ...body] = rows.map(pad);
+    return [
+      line(header),
+      line(align),
+      ...body.map(line)
+    ].join('\n');
+  }
+
+  /**
+   * Render a code span with enough backticks to contain its content
+   * @param {string} content - Code text
+   * @returns {string} Markdown
+   */
+  renderCodeSpan(content) {
+    const longestRun = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+    const ticks = '`'.repeat(longestRun + 1);
+    const padding = content.startsWith('`') || content.endsWith('`') ? ' ' : '';
+    return `${ticks}${padding}${content}${padding}${ticks}`;
+  }
+
+  /**
+   * Render a link. Links whose text is their URL become autolinks.
+   * @param {Object} node - Link node
+   * @returns {string} Markdown
+   */
+  renderLink(node) {
+    const text = node.children.length === 1 && node.children[0].type === NODE_TYPES.TEXT
+      ? node.children[0].content
+      : null;
+
+    if (text !== null && (text === node.url || `mailto:${text}` === node.url)) {
+      return `<${node.url.replace(/^mailto:/, '')}>`;
+    }
+
+    return `[${this.renderInline(node.children)}](${this.renderDestination(node.url, node.title)})`;
+  }
+
+  /**
+   * Render an image. Attachments keep their "attachment:" reference.
+   * @param {Object} node - Image node
+   * @returns {string} Markdown
+   */
+  renderImage(node) {
+    const src = node.attachment ? `attachment:${node.attachment}` : node.url;
+    const size = node.width || node.height ? ` =${node.width || ''}x${node.height || ''}` : '';
+    const alt = (node.alt || '').replace(/([\\[\]])/g, '\\$1');
+    return `![${alt}](${this.renderDestination(src, node.title)}${size})`;
+  }
+
+  /**
+   * Render a link destination with an optional title
+   * @param {string} url - Destination
+   * @param {string|null} title - Title
+   * @returns {string} Markdown (without parentheses)
+   */
+  renderDestination(url, title) {
+    const destination = /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+    return title ? `${destination} "${title.replace(/"/g, '\\"')}"` : destination;
+  }
+
+  /**
+   * Wrap inline content in a delimiter, moving edge whitespace outside it
+   * so the delimiters stay flanking ("** bold**" would not parse)
+   * @param {Array} children - Inline nodes
+   * @param {string} delimiter - Markdown delimiter
+   * @returns {string} Markdown
+   */
+  wrapDelimited(children, delimiter) {
+    const inner = this.renderInline(children);
+    const match = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return inner;
+    return `${match[1]}${delimiter}${match[2]}${delimiter}${match[3]}`;
+  }
+
+  /**
+   * Escape characters that Markdown would interpret inside text
+   * @param {string} text - Plain text
+   * @returns {string} Escaped text
+   */
+  escapeText(text) {
+    return text
+      .replace(/([\\`*[\]])/g, '\\$1')
+      .replace(/~~/g, '\\~\\~')
+      .replace(/\{(?=status\b)/g, '\\{')
+      .replace(/<(?=[a-zA-Z/!?])/g, '\\<')
+      // Underscores inside words (snake_case) are safe
+      .replace(/(^|[^a-zA-Z0-9])_|_(?=[^a-zA-Z0-9]|$)/g, (match, before) =>
+        before !== undefined ? `${before}\\_` : '\\_');
+  }
+
+  /**
+   * Escape text at the start of lines that would otherwise start a block
+   * (headings, quotes, list markers, setext underlines)
+   * @param {string} text - Rendered paragraph
+   * @returns {string} Escaped paragraph
+   */
+  escapeLineStarts(text) {
+    return text
+      .split('\n')
+      .map(line => line
+        .replace(/^(\s*)([#>+-])(?=\s|$)/, '$1\\$2')
+        .replace(/^(\s*):(?=::|[ \t])/, '$1\\:')
+        .replace(/^(\s*)(\d+)([.)])(?=\s|$)/, '$1$2\\$3')
+        .replace(/^(\s*)(=+|-+)(\s*)$/, '$1\\$2$3'))
+      .join('\n');
+  }
+
+  /**
+   * Prefix every line of a block
+   * @param {string} text - Text to prefix
+   * @param {string} prefix - Prefix for non-empty lines
+   * @param {string} emptyPrefix - Prefix for empty lines
+   * @param {boolean} skipFirst - Leave the first line untouched
+   * @returns {string} Prefixed text
+   */
+  prefixLines(text, prefix, emptyPrefix = '', skipFirst = false) {
+    return text
+      .split('\n')
+      .map((line, index) => {
+        if (skipFirst && index === 0) return line;
+        return line ? `${prefix}${line}` : emptyPrefix;
+      })
+      .join('\n');
+  }
+}
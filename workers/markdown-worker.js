@@ -1,25 +1,91 @@
 /**
  * Markdown Worker - Background processing for markdown to HTML conversion
+ * (and HTML/ADF back to markdown)
  */
 
+import { ParserEngine, NODE_TYPES } from './parser-engine.js';
+import { HTMLGenerator } from './html-generator.js';
+import { WikiParser } from './wiki-parser.js';
+import { ADFGenerator } from './adf-generator.js';
+import { MarkdownGenerator } from './markdown-generator.js';
+import { WikiGenerator } from './wiki-generator.js';
+import { TextGenerator } from './text-generator.js';
+import { HTMLReader } from './html-reader.js';
+import { ADFReader } from './adf-reader.js';
+import { Sanitizer } from './sanitizer.js';
+import { AutoLinker } from './auto-linker.js';
+import { EmojiReplacer } from './emoji-replacer.js';
+import { BlockCache } from './block-cache.js';
+import { JiraPasteFilter } from './jira-paste-filter.js';
+
 // Message Types
 const MESSAGE_TYPES = {
   CONVERT_MARKDOWN: 'CONVERT_MARKDOWN',
+  CONVERT_TO_MARKDOWN: 'CONVERT_TO_MARKDOWN',
   CONVERSION_COMPLETE: 'CONVERSION_COMPLETE',
   CONVERSION_ERROR: 'CONVERSION_ERROR',
+  PROGRESS: 'PROGRESS',
+  CANCEL: 'CANCEL',
   WORKER_READY: 'WORKER_READY'
 };
 
+// Inputs longer than this report PROGRESS, once per chunk of this many
+// characters in each phase
+const PROGRESS_CHUNK_SIZE = 20000;
+
+// Progress phase -> share of the conversion (percent from, to)
+const PROGRESS_PHASES = {
+  parse: [0, 50],
+  render: [50, 100]
+};
+
+// Input dialects
+const DIALECTS = {
+  markdown: ParserEngine,
+  wiki: WikiParser
+};
+
+// Output targets (selected through options.outputs). HTML is always
+// rendered, block by block, by renderHtmlBlocks.
+const OUTPUT_GENERATORS = {
+  adf: ADFGenerator,
+  wiki: WikiGenerator,
+  text: TextGenerator
+};
+
+// Reverse conversion input formats
+const READERS = {
+  html: HTMLReader,
+  adf: ADFReader
+};
+
+// Parsed blocks, reused while they stay unchanged between conversions
+const blockCache = new BlockCache();
+
+// The preview blocks of the last conversion, the base of the next patch
+let lastPreview = { revision: null, blocks: [] };
+
+// Requests run one at a time, in order. CANCEL is handled as it arrives;
+// a running conversion notices it at its next chunk boundary.
+let queue = Promise.resolve();
+const pendingRequests = new Set();
+const cancelledRequests = new Set();
+
+// Thrown inside a conversion whose request was cancelled
+class CancelledError extends Error {}
+
 // Message Handlers
 const messageHandlers = {
-  [MESSAGE_TYPES.CONVERT_MARKDOWN]: handleConvertMarkdown
+  [MESSAGE_TYPES.CONVERT_MARKDOWN]: handleConvertMarkdown,
+  [MESSAGE_TYPES.CONVERT_TO_MARKDOWN]: handleConvertToMarkdown
 };
 
 /**
  * Handle markdown conversion request
  * @param {Object} message - Incoming message
+ * @returns {Promise<void>}
  */
-function handleConvertMarkdown(message) {
+async function handleConvertMarkdown(message) {
   try {
     const startTime = performance.now();
     const { markdown, options = {} } = message.payload;
@@ -29,232 +95,377 @@ function handleConvertMarkdown(message) {
       throw new Error('Invalid markdown input');
     }
     
-    // Convert markdown to HTML
-    const html = convertMarkdownToHtml(markdown, options);
+    // Parse once, then render every requested output target
+    const sanitizer = createSanitizer(options);
+    const parser = createParser(options);
+    const progress = createProgressReporter(message.id, markdown);
+    const parsed = new AutoLinker(options.jiraLinks).link(
+      await runSteps(message.id, parser.parseSteps(markdown), line => progress?.('parse', line))
+    );
+    const ast = sanitize(new EmojiReplacer(options).replace(parsed), sanitizer);
+    const blocks = await renderHtmlBlocks(message.id, ast, options, sanitizer, progress);
+    // In Jira fidelity mode the preview shows what Jira keeps on paste
+    const fidelityFilter = options.jiraFidelity ? new JiraPasteFilter() : null;
+    const previewBlocks = fidelityFilter ? blocks.map(html => fidelityFilter.filterHtml(html)) : blocks;
+    const outputs = { html: blocks.join('\n'), ...generateOutputs(ast, options) };
+    if (options.sourceMap || fidelityFilter) {
+      // The preview keeps the line annotations; copied HTML must not
+      outputs.previewHtml = previewBlocks.join('\n');
+      outputs.html = stripSourceLines(outputs.html);
+    }
+    if (options.incremental) {
+      outputs.patch = createPreviewPatch(message.id, options.previewRevision ?? null, previewBlocks);
+    }
     
     // Calculate stats
     const processingTime = performance.now() - startTime;
-    const stats = calculateStats(markdown, html, processingTime);
+    const stats = calculateStats(markdown, outputs.html, ast, processingTime);
+    stats.cachedBlocks = blockCache.hits;
     
     // Send successful response
     sendResponse(message.id, MESSAGE_TYPES.CONVERSION_COMPLETE, {
-      html,
+      ...outputs,
+      removed: sanitizer ? sanitizer.removed : [],
+      diagnostics: sortDiagnostics([
+        ...parser.diagnostics,
+        ...createFidelityDiagnostics(fidelityFilter ? fidelityFilter.changes : [])
+      ]),
       stats
     });
     
   } catch (error) {
+    // The main thread has already given up on a cancelled request
+    if (error instanceof CancelledError) return;
+    
     // Send error response
     sendResponse(message.id, MESSAGE_TYPES.CONVERSION_ERROR, {
-      error: error.message
+      error: error.message,
+      diagnostics: [createErrorDiagnostic(error)]
     });
   }
 }
 
 /**
- * Convert markdown to HTML (simple implementation)
- * @param {string} markdown - Input markdown
+ * Handle reverse conversion request (Jira HTML or ADF to markdown)
+ * @param {Object} message - Incoming message
+ */
+function handleConvertToMarkdown(message) {
+  try {
+    const startTime = performance.now();
+    const { input, format = 'auto', options = {} } = message.payload;
+    
+    // Validate input
+    if (!input || typeof input !== 'string') {
+      throw new Error('Invalid input for markdown conversion');
+    }
+    
+    const resolvedFormat = format === 'auto' ? detectFormat(input) : format;
+    const Reader = READERS[resolvedFormat];
+    if (!Reader) {
+      throw new Error(`Unknown input format: ${resolvedFormat}`);
+    }
+    
+    const sanitizer = createSanitizer(options);
+    const ast = sanitize(new Reader(options, sanitizer).read(input), sanitizer);
+    const markdown = new MarkdownGenerator(options).generate(ast);
+    
+    const counts = countNodes(ast);
+    const stats = {
+      processingTime: Math.round((performance.now() - startTime) * 100) / 100,
+      inputLength: input.length,
+      outputLength: markdown.length,
+      elementCount: Object.entries(counts)
+        .filter(([type]) => type !== NODE_TYPES.DOCUMENT && type !== NODE_TYPES.TEXT)
+        .reduce((total, [, count]) => total + count, 0)
+    };
+    
+    sendResponse(message.id, MESSAGE_TYPES.CONVERSION_COMPLETE, {
+      markdown,
+      format: resolvedFormat,
+      removed: sanitizer ? sanitizer.removed : [],
+      stats
+    });
+    
+  } catch (error) {
+    sendResponse(message.id, MESSAGE_TYPES.CONVERSION_ERROR, {
+      error: error.message,
+      diagnostics: [createErrorDiagnostic(error)]
+    });
+  }
+}
+
+/**
+ * Detect whether reverse conversion input is ADF JSON or HTML
+ * @param {string} input - Raw input
+ * @returns {string} 'adf' or 'html'
+ */
+function detectFormat(input) {
+  const trimmed = input.trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      if (JSON.parse(trimmed).type === 'doc') return 'adf';
+    } catch (error) {
+      // Not JSON - treat as HTML
+    }
+  }
+  return 'html';
+}
+
+/**
+ * Create the parser for the requested input dialect
+ * @param {Object} options - Conversion options ({ dialect: 'markdown' | 'wiki' })
+ * @returns {ParserEngine} Parser instance
+ */
+function createParser(options = {}) {
+  const dialect = options.dialect || 'markdown';
+  const Parser = DIALECTS[dialect];
+  if (!Parser) {
+    throw new Error(`Unknown input dialect: ${dialect}`);
+  }
+  return new Parser(options, blockCache);
+}
+
+/**
+ * Create the output sanitizer. Sanitizing is on unless explicitly disabled.
+ * @param {Object} options - Conversion options ({ sanitizeHtml: boolean })
+ * @returns {Sanitizer|null} Sanitizer instance
+ */
+function createSanitizer(options = {}) {
+  return options.sanitizeHtml === false ? null : new Sanitizer(options);
+}
+
+/**
+ * Strip unsafe links from the AST so no output target contains them
+ * @param {Object} ast - Parsed AST
+ * @param {Sanitizer|null} sanitizer - Sanitizer, or null when disabled
+ * @returns {Object} Sanitized AST
+ */
+function sanitize(ast, sanitizer) {
+  return sanitizer ? sanitizer.sanitizeAst(ast) : ast;
+}
+
+/**
+ * Render the AST as HTML, one string per top-level block, each passed
+ * through the sanitizer's allow-list
+ * @param {string} id - Message ID
+ * @param {Object} ast - Parsed AST
  * @param {Object} options - Conversion options
- * @returns {string} Generated HTML
+ * @param {Sanitizer|null} sanitizer - Sanitizer, or null when disabled
+ * @param {Function|null} progress - Progress reporter
+ * @returns {Promise<string[]>} HTML per block
  */
-function convertMarkdownToHtml(markdown, options = {}) {
-  let html = markdown;
-  
-  // Escape HTML entities first
-  html = escapeHtml(html);
-  
-  // Headers
-  html = html.replace(/^#{6}\s+(.+)$/gm, '<h6>$1</h6>');
-  html = html.replace(/^#{5}\s+(.+)$/gm, '<h5>$1</h5>');
-  html = html.replace(/^#{4}\s+(.+)$/gm, '<h4>$1</h4>');
-  html = html.replace(/^#{3}\s+(.+)$/gm, '<h3>$1</h3>');
-  html = html.replace(/^#{2}\s+(.+)$/gm, '<h2>$1</h2>');
-  html = html.replace(/^#{1}\s+(.+)$/gm, '<h1>$1</h1>');
-  
-  // Bold text
-  html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-  html = html.replace(/__(.*?)__/g, '<strong>$1</strong>');
-  
-  // Italic text
-  html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-  html = html.replace(/_(.*?)_/g, '<em>$1</em>');
-  
-  // Strikethrough
-  html = html.replace(/~~(.*?)~~/g, '<del>$1</del>');
-  
-  // Inline code
-  html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-  
-  // Links (process before auto-links)
-  html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
-  
-  // Auto-links (URLs) - simple approach to avoid conflicts
-  html = html.replace(/(?<!\")https?:\/\/[^\s<>]+(?![\">])/g, '<a href="$&">$&</a>');
-  
-  // Auto-links (email)
-  html = html.replace(/\b[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}\b/g, '<a href="mailto:$&">$&</a>');
-  
-  // Code blocks (fenced)
-  html = html.replace(/```(\w+)?\n([\s\S]*?)```/g, (match, lang, code) => {
-    const className = lang ? ` class="language-${lang}"` : '';
-    return `<pre><code${className}>${escapeHtml(code.trim())}</code></pre>`;
-  });
-  
-  // Code blocks (indented)
-  html = html.replace(/^(    .+)$/gm, (match, code) => {
-    return `<pre><code>${escapeHtml(code.substring(4))}</code></pre>`;
-  });
-  
-  // Blockquotes
-  html = html.replace(/^>\s+(.+)$/gm, '<blockquote>$1</blockquote>');
-  
-  // Unordered lists
-  html = html.replace(/^[\s]*[-*+]\s+(.+)$/gm, '<li>$1</li>');
-  html = html.replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>');
-  
-  // Ordered lists
-  html = html.replace(/^[\s]*\d+\.\s+(.+)$/gm, '<li>$1</li>');
-  
-  // Tables (basic)
-  html = processSimpleTables(html);
-  
-  // Line breaks and paragraphs
-  html = processParagraphs(html);
-  
-  // Clean up extra whitespace
-  html = html.replace(/\n\s*\n/g, '\n');
-  html = html.trim();
-  
-  return html;
+async function renderHtmlBlocks(id, ast, options, sanitizer, progress = null) {
+  const blocks = new HTMLGenerator(options).generateBlocks(ast);
+  const rendered = [];
+  for (const [index, html] of blocks.entries()) {
+    rendered.push(sanitizer ? sanitizer.sanitizeHtml(html) : html);
+    const { position } = ast.children[index];
+    if (progress && position && progress('render', position.end.line)) {
+      await checkpoint(id);
+    }
+  }
+  return rendered;
 }
 
 /**
- * Process simple tables
- * @param {string} html - HTML string
- * @returns {string} HTML with tables
+ * Run a step generator (such as ParserEngine.parseSteps) to its end,
+ * pausing at each chunk boundary
+ * @param {string} id - Message ID
+ * @param {Generator} steps - Step generator
+ * @param {Function} onStep - Called with each step; true ends a chunk
+ * @returns {Promise<*>} The generator's return value
  */
-function processSimpleTables(html) {
-  const lines = html.split('\n');
-  let inTable = false;
-  let tableLines = [];
-  let result = [];
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    
-    if (line.includes('|') && line.trim().split('|').length > 2) {
-      if (!inTable) {
-        inTable = true;
-        tableLines = [];
-      }
-      tableLines.push(line);
-    } else {
-      if (inTable) {
-        // Process accumulated table lines
-        result.push(convertTableLines(tableLines));
-        tableLines = [];
-        inTable = false;
-      }
-      result.push(line);
+async function runSteps(id, steps, onStep) {
+  let step = steps.next();
+  while (!step.done) {
+    if (onStep(step.value)) {
+      await checkpoint(id);
     }
+    step = steps.next();
   }
-  
-  // Handle table at end of input
-  if (inTable && tableLines.length > 0) {
-    result.push(convertTableLines(tableLines));
+  return step.value;
+}
+
+/**
+ * Let waiting messages (a CANCEL) be handled, then stop if the request
+ * has been cancelled
+ * @param {string} id - Message ID
+ * @returns {Promise<void>}
+ */
+async function checkpoint(id) {
+  await new Promise(resolve => setTimeout(resolve, 0));
+  if (cancelledRequests.has(id)) {
+    throw new CancelledError(`Request ${id} was cancelled`);
   }
-  
-  return result.join('\n');
 }
 
 /**
- * Convert table lines to HTML table
- * @param {string[]} lines - Table lines
- * @returns {string} HTML table
+ * Create the progress reporter of a conversion. Blocks report the line they
+ * end on; a PROGRESS message is sent at the first block of each phase and
+ * then whenever another chunk of input is done, so chunks always end on a
+ * block boundary. Small inputs report nothing.
+ * @param {string} id - Message ID
+ * @param {string} markdown - Input markdown
+ * @returns {Function|null} Reporter (phase, line) => true at the end of a
+ *   chunk, or null for small input
  */
-function convertTableLines(lines) {
-  if (lines.length < 2) return lines.join('\n');
-  
-  let html = '<table>\n';
-  
-  // Header row
-  const headerCells = lines[0].split('|').map(cell => cell.trim()).filter(cell => cell);
-  html += '<thead>\n<tr>\n';
-  headerCells.forEach(cell => {
-    html += `<th>${cell}</th>\n`;
-  });
-  html += '</tr>\n</thead>\n';
+function createProgressReporter(id, markdown) {
+  if (markdown.length <= PROGRESS_CHUNK_SIZE) return null;
+
+  // Offset of the end of each line; lineEnds[line] for 1-based lines
+  const lineEnds = [0];
+  for (let index = markdown.indexOf('\n'); index !== -1; index = markdown.indexOf('\n', index + 1)) {
+    lineEnds.push(index);
+  }
+  lineEnds.push(markdown.length);
+
+  let last = { phase: null, done: 0 };
+  return (phase, line) => {
+    const done = lineEnds[Math.min(line, lineEnds.length - 1)];
+    if (phase === last.phase && done - last.done < PROGRESS_CHUNK_SIZE) return false;
+
+    last = { phase, done };
+    const [from, to] = PROGRESS_PHASES[phase];
+    sendResponse(id, MESSAGE_TYPES.PROGRESS, {
+      phase,
+      done,
+      total: markdown.length,
+      percent: Math.round(from + (to - from) * done / markdown.length)
+    });
+    return true;
+  };
+}
+
+/**
+ * Render the AST into the requested output targets other than HTML
+ * @param {Object} ast - Parsed AST
+ * @param {Object} options - Conversion options ({ outputs: ['html', 'adf', 'wiki', 'text'] })
+ * @returns {Object} Rendered outputs keyed by target name
+ */
+function generateOutputs(ast, options = {}) {
+  const targets = new Set(options.outputs || []);
+  targets.delete('html');
+  const outputs = {};
   
-  // Body rows (skip separator line)
-  if (lines.length > 2) {
-    html += '<tbody>\n';
-    for (let i = 2; i < lines.length; i++) {
-      const cells = lines[i].split('|').map(cell => cell.trim()).filter(cell => cell);
-      html += '<tr>\n';
-      cells.forEach(cell => {
-        html += `<td>${cell}</td>\n`;
-      });
-      html += '</tr>\n';
+  for (const target of targets) {
+    const Generator = OUTPUT_GENERATORS[target];
+    if (!Generator) {
+      throw new Error(`Unknown output target: ${target}`);
     }
-    html += '</tbody>\n';
+    outputs[target] = new Generator(options).generate(ast);
   }
   
-  html += '</table>';
-  return html;
+  return outputs;
 }
 
 /**
- * Process paragraphs and line breaks
- * @param {string} html - HTML string
- * @returns {string} HTML with proper paragraphs
+ * Remove source map annotations from generated HTML. Attribute values are
+ * always escaped, so the pattern cannot match inside text or code.
+ * @param {string} html - HTML with data-source-lines attributes
+ * @returns {string} Clean HTML
  */
-function processParagraphs(html) {
-  // Split by double line breaks (paragraph separators)
-  const paragraphs = html.split(/\n\s*\n/);
-  
-  const processedParagraphs = paragraphs.map(paragraph => {
-    const trimmed = paragraph.trim();
-    if (!trimmed) return '';
-    
-    // Don't wrap block elements in paragraphs
-    if (trimmed.match(/^<(h[1-6]|blockquote|pre|ul|ol|table|div)/)) {
-      return trimmed;
-    }
-    
-    // Convert single line breaks to <br> within paragraphs
-    const withBreaks = trimmed.replace(/\n/g, '<br>');
-    return `<p>${withBreaks}</p>`;
+function stripSourceLines(html) {
+  return html.replace(/ data-source-lines="\d+-\d+"/g, '');
+}
+
+/**
+ * Describe the preview as a patch against the blocks the UI shows. A block
+ * whose HTML is unchanged apart from its line numbers is reused and its
+ * lines shifted; other blocks are sent as HTML. When the UI shows anything
+ * but the last conversion, every block is sent.
+ * @param {string} revision - ID of this conversion
+ * @param {string|null} base - Revision the preview currently shows
+ * @param {string[]} blocks - HTML per top-level block
+ * @returns {Object} Patch ({ base, revision, blocks: [{ html } | { reuse, shift }] })
+ */
+function createPreviewPatch(revision, base, blocks) {
+  const previous = base !== null && base === lastPreview.revision ? lastPreview.blocks : [];
+  const available = new Map();
+  previous.forEach((block, index) => {
+    available.set(block.key, [...(available.get(block.key) || []), index]);
   });
-  
-  return processedParagraphs.filter(p => p).join('\n\n');
+
+  const current = blocks.map(html => {
+    const line = getFirstSourceLine(html);
+    return { line, key: shiftSourceLines(html, -line) };
+  });
+  const entries = current.map((block, index) => {
+    const reuse = available.get(block.key)?.shift();
+    return reuse === undefined
+      ? { html: blocks[index] }
+      : { reuse, shift: block.line - previous[reuse].line };
+  });
+
+  lastPreview = { revision, blocks: current };
+  return { base: previous.length > 0 ? base : null, revision, blocks: entries };
 }
 
 /**
- * Escape HTML entities
- * @param {string} text - Text to escape
- * @returns {string} Escaped text
+ * Get the first source line of a block from its data-source-lines attribute
+ * @param {string} html - Block HTML
+ * @returns {number} Line, or 0 when the block is not mapped
  */
-function escapeHtml(text) {
-  const div = { 
-    innerHTML: '',
-    textContent: text 
-  };
-  // Simple escape without DOM
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+function getFirstSourceLine(html) {
+  const match = html.match(/^<[a-z][a-z0-9]* data-source-lines="(\d+)-/);
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Move every source map annotation in a block by a number of lines
+ * @param {string} html - Block HTML
+ * @param {number} delta - Lines to move by
+ * @returns {string} HTML
+ */
+function shiftSourceLines(html, delta) {
+  if (delta === 0) return html;
+  return html.replace(/ data-source-lines="(\d+)-(\d+)"/g,
+    (match, start, end) => ` data-source-lines="${Number(start) + delta}-${Number(end) + delta}"`);
+}
+
+/**
+ * Order diagnostics by position in the input
+ * @param {Array} diagnostics - Parser diagnostics ({ severity, message, line, column })
+ * @returns {Array} Sorted copy
+ */
+function sortDiagnostics(diagnostics = []) {
+  return [...diagnostics].sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Describe the changes Jira would make on paste as diagnostics, one per
+ * kind of change and input line
+ * @param {Array} changes - JiraPasteFilter changes ({ loss, message, line })
+ * @returns {Array} Diagnostics
+ */
+function createFidelityDiagnostics(changes) {
+  const seen = new Set();
+  return changes.filter(({ loss, line }) => {
+    const key = `${line}:${loss}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).map(({ message, line }) => ({ severity: 'info', message: `In Jira: ${message}`, line, column: line === null ? null : 1 }));
+}
+
+/**
+ * Describe a failed conversion as a diagnostic. The failure has no
+ * position in the input, so line and column are null.
+ * @param {Error} error - Thrown error
+ * @returns {Object} Diagnostic
+ */
+function createErrorDiagnostic(error) {
+  return { severity: 'error', message: error.message, line: null, column: null };
 }
 
 /**
  * Calculate processing statistics
  * @param {string} markdown - Input markdown
  * @param {string} html - Output HTML
+ * @param {Object} ast - Parsed AST
  * @param {number} processingTime - Processing time in ms
  * @returns {Object} Statistics
  */
-function calculateStats(markdown, html, processingTime) {
+function calculateStats(markdown, html, ast, processingTime) {
   const stats = {
     processingTime: Math.round(processingTime * 100) / 100,
     inputLength: markdown.length,
@@ -266,15 +477,49 @@ function calculateStats(markdown, html, processingTime) {
   const elementMatches = html.match(/<\w+[^>]*>/g);
   stats.elementCount = elementMatches ? elementMatches.length : 0;
   
-  // Count specific markdown elements
-  stats.headers = (markdown.match(/^#{1,6}\s/gm) || []).length;
-  stats.links = (markdown.match(/\[([^\]]+)\]\(([^)]+)\)/g) || []).length;
-  stats.codeBlocks = (markdown.match(/```[\s\S]*?```/g) || []).length;
-  stats.inlineCode = (markdown.match(/`[^`]+`/g) || []).length;
+  // Count specific elements from the AST, so every input dialect is covered
+  const counts = countNodes(ast);
+  stats.headers = counts[NODE_TYPES.HEADING] || 0;
+  stats.links = counts[NODE_TYPES.LINK] || 0;
+  stats.codeBlocks = counts[NODE_TYPES.CODE_BLOCK] || 0;
+  stats.inlineCode = counts[NODE_TYPES.CODE] || 0;
+  stats.images = counts[NODE_TYPES.IMAGE] || 0;
+  stats.emoji = counts[NODE_TYPES.EMOJI] || 0;
+  
+  // Task list items
+  const tasks = countTasks(ast);
+  stats.tasksDone = tasks.done;
+  stats.tasksOpen = tasks.open;
   
   return stats;
 }
 
+/**
+ * Count AST nodes by type
+ * @param {Object} node - AST node
+ * @param {Object} counts - Accumulated counts
+ * @returns {Object} Counts keyed by node type
+ */
+function countNodes(node, counts = {}) {
+  counts[node.type] = (counts[node.type] || 0) + 1;
+  (node.children || []).forEach(child => countNodes(child, counts));
+  return counts;
+}
+
+/**
+ * Count checked and unchecked task list items
+ * @param {Object} node - AST node
+ * @param {Object} tasks - Accumulated counts
+ * @returns {Object} Counts ({ done, open })
+ */
+function countTasks(node, tasks = { done: 0, open: 0 }) {
+  if (node.type === NODE_TYPES.LIST_ITEM && typeof node.checked === 'boolean') {
+    tasks[node.checked ? 'done' : 'open']++;
+  }
+  (node.children || []).forEach(child => countTasks(child, tasks));
+  return tasks;
+}
+
 /**
  * Send response back to main thread
  * @param {string} id - Message ID
@@ -296,9 +541,27 @@ function sendResponse(id, type, payload) {
 self.onmessage = function(event) {
   const { id, type, payload } = event.data;
   
+  // Stop a queued or running request (id is the request's ID)
+  if (type === MESSAGE_TYPES.CANCEL) {
+    if (pendingRequests.has(id)) {
+      cancelledRequests.add(id);
+    }
+    return;
+  }
+  
   const handler = messageHandlers[type];
   if (handler) {
-    handler({ id, type, payload });
+    pendingRequests.add(id);
+    queue = queue.then(async () => {
+      try {
+        if (!cancelledRequests.has(id)) {
+          await handler({ id, type, payload });
+        }
+      } finally {
+        pendingRequests.delete(id);
+        cancelledRequests.delete(id);
+      }
+    });
   } else {
     sendResponse(id, MESSAGE_TYPES.CONVERSION_ERROR, {
       error: `Unknown message type: ${type}`
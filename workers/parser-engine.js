@@ -0,0 +1,1964 @@
+/**
+ * Parser Engine - Two-phase markdown parser
+ *
+ * Phase one tokenizes the input into block nodes (headings, lists, code
+ * blocks, ...). Phase two runs the inline tokenizer over the text content of
+ * each block, so code spans and link destinations are consumed before any
+ * emphasis delimiters are matched. A final document pass gives headings
+ * their IDs, expands [TOC] and numbers the footnotes.
+ *
+ * Input that is kept but probably not what the author meant (an unclosed
+ * fence, a table row with extra cells, a link missing its ")") is recorded
+ * in `diagnostics` with a 1-based line and column.
+ */
+
+import { decodeEntities } from './html-parser.js';
+
+// AST node types
+export const NODE_TYPES = {
+  DOCUMENT: 'document',
+  PARAGRAPH: 'paragraph',
+  HEADING: 'heading',
+  THEMATIC_BREAK: 'thematic_break',
+  LIST: 'list',
+  LIST_ITEM: 'list_item',
+  LINK: 'link',
+  TEXT: 'text',
+  EMPHASIS: 'emphasis',
+  STRONG: 'strong',
+  STRIKETHROUGH: 'strikethrough',
+  CODE: 'code',
+  CODE_BLOCK: 'code_block',
+  BLOCKQUOTE: 'blockquote',
+  LINE_BREAK: 'line_break',
+  UNDERLINE: 'underline',
+  TABLE: 'table',
+  TABLE_ROW: 'table_row',
+  TABLE_CELL: 'table_cell',
+  MENTION: 'mention',
+  PANEL: 'panel',
+  EXPAND: 'expand',
+  STATUS: 'status',
+  EMOJI: 'emoji',
+  IMAGE: 'image',
+  FOOTNOTE_REFERENCE: 'footnote_reference',
+  FOOTNOTES: 'footnotes',
+  FOOTNOTE: 'footnote',
+  DEFINITION_LIST: 'definition_list',
+  DEFINITION_TERM: 'definition_term',
+  DEFINITION_DESCRIPTION: 'definition_description'
+};
+
+// Jira panel types and status lozenge colours
+export const PANEL_TYPES = ['info', 'note', 'success', 'warning', 'error'];
+export const STATUS_COLORS = ['neutral', 'purple', 'blue', 'red', 'yellow', 'green'];
+
+// GitHub callout (> [!WARNING]) -> Jira panel type. Jira's own names work too.
+const CALLOUT_PANELS = {
+  note: 'info',
+  tip: 'success',
+  important: 'note',
+  warning: 'warning',
+  caution: 'error',
+  info: 'info',
+  success: 'success',
+  error: 'error'
+};
+
+/**
+ * Flatten block nodes into inline nodes separated by line breaks. Used where
+ * a format only allows inline content (e.g. table cells).
+ * @param {Array} blocks - Block AST nodes
+ * @returns {Array} Inline AST nodes
+ */
+export function flattenToInline(blocks = []) {
+  const inline = [];
+
+  const push = (nodes) => {
+    if (inline.length > 0) inline.push({ type: NODE_TYPES.LINE_BREAK });
+    inline.push(...nodes);
+  };
+
+  const collect = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === NODE_TYPES.CODE_BLOCK) {
+        push([{ type: NODE_TYPES.CODE, content: node.content.replace(/\n/g, ' ') }]);
+      } else if (node.type === NODE_TYPES.PARAGRAPH || node.type === NODE_TYPES.HEADING ||
+                 node.type === NODE_TYPES.DEFINITION_TERM) {
+        push(node.children);
+      } else if (node.type !== NODE_TYPES.THEMATIC_BREAK) {
+        collect(node.children || []);
+      }
+    }
+  };
+
+  collect(blocks);
+  return inline;
+}
+
+/**
+ * Check whether a list can be shown as a checklist: every item is a task
+ * whose content is one paragraph, optionally followed by nested checklists
+ * @param {Object} list - List node
+ * @returns {boolean} True for a pure task list
+ */
+export function isTaskList(list) {
+  return list.children.length > 0 && list.children.every(item =>
+    typeof item.checked === 'boolean' &&
+    item.children.every((child, index) => index === 0
+      ? child.type === NODE_TYPES.PARAGRAPH
+      : child.type === NODE_TYPES.LIST && isTaskList(child)));
+}
+
+/**
+ * Turn heading text into a URL fragment: lowercase, punctuation removed,
+ * spaces replaced by hyphens
+ * @param {string} text - Heading text
+ * @returns {string} Slug
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Get the plain text of inline nodes
+ * @param {Array} nodes - Inline AST nodes
+ * @returns {string} Text content
+ */
+function getPlainText(nodes) {
+  return nodes.map(node => {
+    if (node.type === NODE_TYPES.LINE_BREAK) return ' ';
+    if (node.type === NODE_TYPES.IMAGE) return node.alt;
+    return node.children ? getPlainText(node.children) : node.content || node.text || '';
+  }).join('');
+}
+
+/**
+ * Format a cell count for diagnostics ("1 cell", "3 cells")
+ * @param {number} count - Number of cells
+ * @returns {string} Count with unit
+ */
+function countCells(count) {
+  return `${count} ${count === 1 ? 'cell' : 'cells'}`;
+}
+
+/**
+ * Find a character that is not backslash-escaped
+ * @param {string} text - Source text
+ * @param {string} char - Character to find
+ * @param {number} index - Position to start at
+ * @returns {number} Position, or -1
+ */
+function findUnescaped(text, char, index) {
+  for (let i = index; i < text.length; i++) {
+    if (text[i] === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+      i++;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Resolve backslash escapes and entities in a link destination or title
+ * ("\&amp;" stays "&amp;")
+ * @param {string} text - Raw destination or title
+ * @returns {string} Text
+ */
+function unescapeLinkText(text) {
+  return text.replace(/\\([!-/:-@[-`{-~])|&(?:#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi,
+    (match, escaped) => escaped ?? decodeEntities(match));
+}
+
+// Internal node types: unmatched emphasis delimiter runs, [TOC] placeholders
+// and footnote definitions (moved to the end of the document)
+const DELIMITER = 'delimiter';
+const TOC = 'toc';
+const FOOTNOTE_DEFINITION = 'footnote_definition';
+
+// Block-level patterns
+const BLOCK_PATTERNS = {
+  blank: /^[ \t]*$/,
+  fenceOpen: /^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/,
+  atxHeading: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/,
+  setextUnderline: /^ {0,3}(=+|-+)[ \t]*$/,
+  thematicBreak: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+  blockquote: /^ {0,3}> ?/,
+  callout: /^[ \t]*\[!([a-zA-Z]+)\][ \t]*$/,
+  toc: /^[ \t]*\[TOC\][ \t]*$/i,
+  footnoteDefinition: /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/,
+  definition: /^ {0,3}:[ \t]+(.*)$/,
+  expandOpen: /^ {0,3}(:{3,})[ \t]*expand(?:[ \t]+(.*?))?[ \t]*$/,
+  containerClose: /^ {0,3}(:{3,})[ \t]*$/,
+  listItem: /^([ \t]*)([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/,
+  taskMarker: /^\[([ xX])\](?:[ \t]+|$)/,
+  tableDelimiter: /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+  indentedCode: /^(?: {4}|\t)/
+};
+
+// Inline patterns (sticky, matched at the scanner position)
+const INLINE_PATTERNS = {
+  url: /https?:\/\/[^\s<>]+/y,
+  email: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}\b/y,
+  angleAutolink: /<((?:https?:\/\/|mailto:)[^\s<>]+|[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})>/y,
+  status: /\{status(?::([a-zA-Z]+))?\|([^{}|\n]+)\}/y,
+  imageSize: /=(\d*)x(\d*)/y,
+  footnoteReference: /\[\^([^\]\s]+)\]/y,
+  attachment: /^attachment:(.+)$/i
+};
+
+const ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+const PUNCTUATION = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~¡-¿‐-‧‰-⁞]/;
+const WHITESPACE = /\s/;
+
+export class ParserEngine {
+  /**
+   * @param {Object} options - Parser options
+   * @param {BlockCache|null} blockCache - Cache shared between parses, so
+   *   unchanged top-level blocks are not parsed again
+   */
+  constructor(options = {}, blockCache = null) {
+    this.options = {
+      maxNestingLevel: 10,
+      autoLinkUrls: true,
+      ...options
+    };
+    this.blockCache = blockCache;
+    this.diagnostics = [];
+  }
+
+  /**
+   * Parse markdown text into abstract syntax tree
+   * @param {string} markdown - Input markdown
+   * @param {Function} onProgress - Called with the last line (1-based) of
+   *   each top-level block once its inline content is parsed
+   * @returns {Object} Parsed AST
+   */
+  parse(markdown, onProgress = null) {
+    const steps = this.parseSteps(markdown);
+    let step = steps.next();
+    while (!step.done) {
+      onProgress?.(step.value);
+      step = steps.next();
+    }
+    return step.value;
+  }
+
+  /**
+   * Parse in steps, one top-level block at a time, so the caller can pause
+   * between blocks (the worker does, to notice cancelled requests)
+   * @param {string} markdown - Input markdown
+   * @yields {number} Last line (1-based) of each block once it is parsed
+   * @returns {Object} Parsed AST
+   */
+  *parseSteps(markdown) {
+    this.diagnostics = [];
+    const tokens = this.tokenize(markdown);
+    this.footnoteDefinitions = new Map();
+    const ast = yield* this.buildAST(this.extractFootnotes(tokens));
+
+    this.assignHeadingIds(ast);
+    this.expandToc(ast);
+    this.appendFootnotes(ast);
+    return ast;
+  }
+
+  /**
+   * Tokenize markdown into block nodes. Inline content is kept as raw text
+   * until buildAST runs the inline tokenizer over it.
+   * @param {string} markdown - Input markdown
+   * @returns {Array} Block token array
+   */
+  tokenize(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    this.sourceLines = lines;
+    return this.tokenizeBlocks(lines, 0, 0);
+  }
+
+  /**
+   * Build AST from block tokens by parsing their inline content, one
+   * top-level block per step
+   * @param {Array} tokens - Block tokens
+   * @yields {number} Last line (1-based) of each block once it is built
+   * @returns {Object} Abstract syntax tree
+   */
+  *buildAST(tokens) {
+    this.blockCache?.begin(this.getCacheContext());
+    const ast = { type: NODE_TYPES.DOCUMENT, children: [] };
+    for (const token of tokens) {
+      ast.children.push(this.buildBlock(token));
+      yield token.position.end.line;
+    }
+    return ast;
+  }
+
+  /**
+   * Build a top-level block, reusing the cached node (and its inline
+   * diagnostics) when the same source lines were parsed before
+   * @param {Object} token - Top-level block token
+   * @returns {Object} AST node
+   */
+  buildBlock(token) {
+    if (!this.blockCache || !token.position) return this.buildNode(token);
+
+    const { start, end } = token.position;
+    const source = `${token.type}\n${this.sourceLines.slice(start.line - 1, end.line).join('\n')}`;
+    const cached = this.blockCache.get(source, start.line);
+    if (cached) {
+      this.diagnostics.push(...cached.diagnostics);
+      return cached.node;
+    }
+
+    const reported = this.diagnostics.length;
+    const node = this.buildNode(token);
+    this.blockCache.set(source, start.line, node, this.diagnostics.slice(reported));
+    return node;
+  }
+
+  /**
+   * Describe everything besides its own lines that a block's parse depends
+   * on. Cached blocks are only reused within the same context.
+   * @returns {string} Context key
+   */
+  getCacheContext() {
+    return JSON.stringify({
+      parser: this.constructor.name,
+      maxNestingLevel: this.options.maxNestingLevel,
+      autoLinkUrls: this.options.autoLinkUrls,
+      attachmentUrl: this.options.jiraLinks?.attachmentUrl || null,
+      footnotes: [...this.footnoteDefinitions.keys()].sort()
+    });
+  }
+
+  /**
+   * Resolve inline content of a block token (recursively)
+   * @param {Object} token - Block token
+   * @param {number} line - First line of the nearest positioned ancestor (0-based)
+   * @returns {Object} AST node
+   */
+  buildNode(token, line = 0) {
+    const node = { ...token };
+    const start = token.position ? token.position.start.line - 1 : line;
+
+    if (typeof node.content === 'string' && node.type !== NODE_TYPES.CODE_BLOCK) {
+      this.inlineSource = { content: node.content, line: start };
+      node.children = this.parseInline(node.content);
+      delete node.content;
+    } else if (Array.isArray(node.children)) {
+      node.children = node.children.map(child => this.buildNode(child, start));
+    }
+
+    return node;
+  }
+
+  /**
+   * Record a problem in the input. Container rules see their lines without
+   * the "> " or list indent, so the column is found by locating that text
+   * in the original source line.
+   * @param {string} severity - 'error', 'warning' or 'info'
+   * @param {string} message - Description
+   * @param {number} line - Document line (0-based)
+   * @param {string} text - The line as the rule saw it
+   * @param {number} column - Column within text (0-based)
+   */
+  report(severity, message, line, text = '', column = 0) {
+    const source = this.sourceLines?.[line] ?? text;
+    const start = Math.max(0, source.indexOf(text));
+    this.diagnostics.push({ severity, message, line: line + 1, column: start + column + 1 });
+  }
+
+  /**
+   * Record a problem at an offset in the inline content being parsed
+   * @param {string} severity - 'error', 'warning' or 'info'
+   * @param {string} message - Description
+   * @param {number} offset - Offset in the block's inline content
+   */
+  reportInline(severity, message, offset) {
+    const { content, line } = this.inlineSource || { content: '', line: 0 };
+    const before = content.slice(0, offset).split('\n');
+    const row = before.length - 1;
+    this.report(severity, message, line + row, content.split('\n')[row], before[row].length);
+  }
+
+  /**
+   * Record that a container is nested too deeply to be parsed further
+   * @param {number} line - Document line of the container content (0-based)
+   * @param {string} text - First line of the container content
+   */
+  reportNestingLimit(line, text) {
+    this.report('warning', `Nested more than ${this.options.maxNestingLevel} levels deep; the content is kept as plain text`, line, text);
+  }
+
+  /**
+   * Tokenize a run of lines into block tokens
+   * @param {string[]} lines - Source lines
+   * @param {number} lineOffset - Line number of lines[0] in the document (0-based)
+   * @param {number} depth - Container nesting depth
+   * @returns {Array} Block tokens
+   */
+  tokenizeBlocks(lines, lineOffset, depth) {
+    const tokens = [];
+    const rules = this.getBlockRules();
+
+    let index = 0;
+    while (index < lines.length) {
+      if (BLOCK_PATTERNS.blank.test(lines[index])) {
+        index++;
+        continue;
+      }
+
+      for (const rule of rules) {
+        const result = rule.call(this, lines, index, depth, lineOffset);
+        if (result) {
+          result.token.position = this.createPosition(
+            lineOffset + index,
+            lineOffset + result.next - 1,
+            lines[result.next - 1]
+          );
+          tokens.push(result.token);
+          index = result.next;
+          break;
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Block rules in priority order. The last rule must always match.
+   * @returns {Function[]} Block tokenizer methods
+   */
+  getBlockRules() {
+    return [
+      this.tokenizeFencedCode,
+      this.tokenizeExpand,
+      this.tokenizeFootnoteDefinition,
+      this.tokenizeAtxHeading,
+      this.tokenizeThematicBreak,
+      this.tokenizeBlockquote,
+      this.tokenizeList,
+      this.tokenizeIndentedCode,
+      this.tokenizeTable,
+      this.tokenizeDefinitionList,
+      this.tokenizeParagraph
+    ];
+  }
+
+  /**
+   * Create a source position for a block spanning the given lines
+   * @param {number} startLine - First line (0-based)
+   * @param {number} endLine - Last line (0-based)
+   * @param {string} lastLine - Text of the last line
+   * @returns {Object} Position with 1-based lines and columns
+   */
+  createPosition(startLine, endLine, lastLine = '') {
+    return {
+      start: { line: startLine + 1, column: 1 },
+      end: { line: endLine + 1, column: lastLine.length + 1 }
+    };
+  }
+
+  /**
+   * Fenced code block (``` or ~~~). An unclosed fence runs to the end of input.
+   */
+  tokenizeFencedCode(lines, index, depth, lineOffset) {
+    const match = lines[index].match(BLOCK_PATTERNS.fenceOpen);
+    if (!match) return null;
+
+    const [, indent, fence, language] = match;
+    const close = this.findFenceClose(lines, index, fence);
+    const next = close === -1 ? lines.length : close;
+    const body = lines.slice(index + 1, next).map(line => this.stripIndent(line, indent.length));
+    if (close === -1) {
+      this.report('warning', `Code fence ${fence} is never closed; it runs to the end of the ${depth > 0 ? 'block' : 'document'}`,
+        lineOffset + index, lines[index], indent.length);
+    }
+
+    return {
+      token: {
+        type: NODE_TYPES.CODE_BLOCK,
+        language: language || null,
+        fenced: true,
+        content: body.join('\n')
+      },
+      next: Math.min(next + 1, lines.length)
+    };
+  }
+
+  /**
+   * Find the line that closes a code fence: the same character, at least
+   * as many times
+   * @param {string[]} lines - Source lines
+   * @param {number} index - Opening fence line index
+   * @param {string} fence - Opening fence ("```", "~~~~", ...)
+   * @returns {number} Closing line index, or -1 if the fence is never closed
+   */
+  findFenceClose(lines, index, fence) {
+    const closing = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+    for (let next = index + 1; next < lines.length; next++) {
+      if (closing.test(lines[next])) return next;
+    }
+    return -1;
+  }
+
+  /**
+   * ATX heading (# Heading)
+   */
+  tokenizeAtxHeading(lines, index) {
+    const match = lines[index].match(BLOCK_PATTERNS.atxHeading);
+    if (!match) return null;
+
+    const content = (match[2] || '').replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim();
+
+    return {
+      token: { type: NODE_TYPES.HEADING, level: match[1].length, content },
+      next: index + 1
+    };
+  }
+
+  /**
+   * Thematic break (---, ***, ___)
+   */
+  tokenizeThematicBreak(lines, index) {
+    if (!BLOCK_PATTERNS.thematicBreak.test(lines[index])) return null;
+
+    return {
+      token: { type: NODE_TYPES.THEMATIC_BREAK },
+      next: index + 1
+    };
+  }
+
+  /**
+   * Blockquote - consecutive lines starting with ">", parsed recursively
+   */
+  tokenizeBlockquote(lines, index, depth, lineOffset) {
+    if (!BLOCK_PATTERNS.blockquote.test(lines[index])) return null;
+
+    const inner = [];
+    let next = index;
+    while (next < lines.length && BLOCK_PATTERNS.blockquote.test(lines[next])) {
+      inner.push(lines[next].replace(BLOCK_PATTERNS.blockquote, ''));
+      next++;
+    }
+
+    // "> [!WARNING]" on the first line turns the quote into a Jira panel
+    const callout = inner[0].match(BLOCK_PATTERNS.callout);
+    const panelType = callout && CALLOUT_PANELS[callout[1].toLowerCase()];
+    const body = panelType ? inner.slice(1) : inner;
+    const bodyOffset = lineOffset + index + (panelType ? 1 : 0);
+
+    if (depth >= this.options.maxNestingLevel) {
+      this.reportNestingLimit(bodyOffset, body[0] || '');
+    }
+    const children = depth < this.options.maxNestingLevel
+      ? this.tokenizeBlocks(body, bodyOffset, depth + 1)
+      : [{ type: NODE_TYPES.PARAGRAPH, content: body.join('\n') }];
+
+    return {
+      token: panelType
+        ? { type: NODE_TYPES.PANEL, panelType, children }
+        : { type: NODE_TYPES.BLOCKQUOTE, children },
+      next
+    };
+  }
+
+  /**
+   * Expand section (:::expand Title ... :::), parsed recursively. A closing
+   * fence needs at least as many colons as the opening one; nested expands
+   * must use fewer. Fences inside closed code blocks do not count. An
+   * unclosed expand runs to the end of input.
+   */
+  tokenizeExpand(lines, index, depth, lineOffset) {
+    const match = lines[index].match(BLOCK_PATTERNS.expandOpen);
+    if (!match) return null;
+
+    const [, fence, title] = match;
+    let next = index + 1;
+    while (next < lines.length) {
+      const code = lines[next].match(BLOCK_PATTERNS.fenceOpen);
+      const codeClose = code ? this.findFenceClose(lines, next, code[2]) : -1;
+      if (codeClose !== -1) {
+        next = codeClose + 1;
+        continue;
+      }
+
+      const close = lines[next].match(BLOCK_PATTERNS.containerClose);
+      if (close && close[1].length >= fence.length) break;
+      next++;
+    }
+    if (next >= lines.length) {
+      this.report('warning', `Expand section ${fence}expand is never closed; it runs to the end of the ${depth > 0 ? 'block' : 'document'}`,
+        lineOffset + index, lines[index]);
+    }
+
+    const inner = lines.slice(index + 1, next);
+    if (depth >= this.options.maxNestingLevel) {
+      this.reportNestingLimit(lineOffset + index + 1, inner[0] || '');
+    }
+    const children = depth < this.options.maxNestingLevel
+      ? this.tokenizeBlocks(inner, lineOffset + index + 1, depth + 1)
+      : [{ type: NODE_TYPES.PARAGRAPH, content: inner.join('\n') }];
+
+    return {
+      token: { type: NODE_TYPES.EXPAND, title: (title || '').trim(), children },
+      next: Math.min(next + 1, lines.length)
+    };
+  }
+
+  /**
+   * List - a run of items sharing the same marker type. Lines indented to
+   * an item's content column belong to that item and are tokenized
+   * recursively, which gives nested lists, code blocks and paragraphs.
+   */
+  tokenizeList(lines, index, depth, lineOffset) {
+    const first = this.matchListItem(lines[index]);
+    if (!first || first.indent > 3) return null;
+
+    const items = [];
+    let current = null;
+    let next = index;
+    let previousBlank = false;
+
+    while (next < lines.length) {
+      const line = this.expandIndent(lines[next]);
+      const blank = BLOCK_PATTERNS.blank.test(line);
+
+      if (current && blank) {
+        current.lines.push('');
+        previousBlank = true;
+        next++;
+        continue;
+      }
+
+      // Content indented under the current item
+      if (current && this.getIndent(line) >= current.contentIndent) {
+        current.lines.push(this.stripIndent(line, current.contentIndent));
+        previousBlank = false;
+        next++;
+        continue;
+      }
+
+      const item = this.matchListItem(line);
+      if (item && item.indent <= 3 && this.isSameListType(first, item)) {
+        current = { start: next, contentIndent: item.contentIndent, lines: [item.content] };
+        items.push(current);
+        previousBlank = false;
+        next++;
+        continue;
+      }
+
+      // A marker of another type ends the list and starts a new one
+      if (item && item.indent <= 3) break;
+
+      // Lazy continuation of the current item's paragraph
+      if (current && !previousBlank && !this.interruptsParagraph(line, first)) {
+        current.lines.push(line.trim());
+        next++;
+        continue;
+      }
+
+      break;
+    }
+
+    // Trailing blank lines belong to the document, not the list
+    const last = items[items.length - 1];
+    while (last.lines.length > 1 && last.lines[last.lines.length - 1] === '') {
+      last.lines.pop();
+      next--;
+    }
+
+    const children = items.map(item => this.buildListItem(item, lines, depth, lineOffset));
+
+    // A blank line between items, or between blocks of one item, makes the list loose
+    const tight = items.every((item, i) =>
+      (i === items.length - 1 || item.lines[item.lines.length - 1] !== '') &&
+      !this.hasBlankBetweenBlocks(children[i].children));
+
+    const token = {
+      type: NODE_TYPES.LIST,
+      ordered: first.ordered,
+      tight,
+      children
+    };
+    if (first.ordered) {
+      token.start = first.number;
+    }
+
+    return { token, next };
+  }
+
+  /**
+   * Build a list item token from its collected (de-indented) lines. A
+   * leading "[ ]" or "[x]" makes it a task item with a `checked` flag.
+   * @param {Object} item - { start, lines }
+   * @param {string[]} lines - Source lines
+   * @param {number} depth - Container nesting depth
+   * @param {number} lineOffset - Line number of lines[0] in the document
+   * @returns {Object} List item token
+   */
+  buildListItem(item, lines, depth, lineOffset) {
+    const body = [...item.lines];
+    while (body.length > 1 && body[body.length - 1] === '') body.pop();
+
+    const task = body[0].match(BLOCK_PATTERNS.taskMarker);
+    if (task) {
+      body[0] = body[0].slice(task[0].length);
+    }
+
+    if (depth >= this.options.maxNestingLevel) {
+      this.reportNestingLimit(lineOffset + item.start, body[0]);
+    }
+    const children = depth < this.options.maxNestingLevel
+      ? this.tokenizeBlocks(body, lineOffset + item.start, depth + 1)
+      : [{ type: NODE_TYPES.PARAGRAPH, content: body.join('\n').trim() }];
+
+    const endLine = item.start + body.length - 1;
+    const token = {
+      type: NODE_TYPES.LIST_ITEM,
+      position: this.createPosition(lineOffset + item.start, lineOffset + endLine, lines[endLine]),
+      children
+    };
+    if (task) {
+      token.checked = task[1] !== ' ';
+    }
+    return token;
+  }
+
+  /**
+   * Check whether sibling block tokens are separated by a blank line
+   * @param {Array} tokens - Block tokens with positions
+   * @returns {boolean} True if any two siblings have a gap between them
+   */
+  hasBlankBetweenBlocks(tokens) {
+    return tokens.some((token, i) => i > 0 &&
+      token.position.start.line > tokens[i - 1].position.end.line + 1);
+  }
+
+  /**
+   * Items continue a list only with the same bullet character or the same
+   * ordered delimiter ("1." vs "1)")
+   * @param {Object} first - First item of the list
+   * @param {Object} item - Candidate item
+   * @returns {boolean} True if the item belongs to the list
+   */
+  isSameListType(first, item) {
+    return first.ordered === item.ordered && first.delimiter === item.delimiter;
+  }
+
+  /**
+   * Match a list item marker line
+   * @param {string} line - Source line
+   * @returns {Object|null} Item info
+   */
+  matchListItem(line) {
+    const match = this.expandIndent(line).match(BLOCK_PATTERNS.listItem);
+    if (!match || BLOCK_PATTERNS.thematicBreak.test(line)) return null;
+
+    const indent = match[1].length;
+    const marker = match[2];
+    const spacing = (match[3] || '').replace(/\t/g, '    ').length;
+    let content = match[4] || '';
+
+    // Content starting 5+ columns after the marker is indented code inside the item
+    let padding = spacing;
+    if (!content || spacing > 4) {
+      content = spacing > 4 ? ' '.repeat(spacing - 1) + content : content;
+      padding = 1;
+    }
+
+    return {
+      indent,
+      marker,
+      ordered: /\d/.test(marker),
+      number: /\d/.test(marker) ? parseInt(marker, 10) : null,
+      delimiter: marker[marker.length - 1],
+      contentIndent: indent + marker.length + padding,
+      content
+    };
+  }
+
+  /**
+   * Expand leading tabs to four spaces
+   * @param {string} line - Source line
+   * @returns {string} Line with space indentation
+   */
+  expandIndent(line) {
+    return line.replace(/^[ \t]+/, space => space.replace(/\t/g, '    '));
+  }
+
+  /**
+   * Count leading spaces
+   * @param {string} line - Source line (tabs already expanded)
+   * @returns {number} Indentation width
+   */
+  getIndent(line) {
+    return line.length - line.trimStart().length;
+  }
+
+  /**
+   * Indented code block (4 spaces or a tab)
+   */
+  tokenizeIndentedCode(lines, index) {
+    if (!BLOCK_PATTERNS.indentedCode.test(lines[index])) return null;
+
+    const body = [];
+    let next = index;
+    while (next < lines.length) {
+      if (BLOCK_PATTERNS.indentedCode.test(lines[next])) {
+        body.push(lines[next].replace(BLOCK_PATTERNS.indentedCode, ''));
+      } else if (BLOCK_PATTERNS.blank.test(lines[next])) {
+        body.push('');
+      } else {
+        break;
+      }
+      next++;
+    }
+
+    // Trailing blank lines belong to the document, not the code block
+    while (body.length && body[body.length - 1] === '') {
+      body.pop();
+      next--;
+    }
+
+    return {
+      token: {
+        type: NODE_TYPES.CODE_BLOCK,
+        language: null,
+        fenced: false,
+        content: body.join('\n')
+      },
+      next
+    };
+  }
+
+  /**
+   * GFM table - header row, delimiter row, then body rows until a blank
+   * line or the start of another block
+   */
+  tokenizeTable(lines, index, depth, lineOffset) {
+    const start = this.matchTableStart(lines, index);
+    if (!start) {
+      this.checkTableDelimiter(lines, index, lineOffset);
+      return null;
+    }
+
+    const { header, align } = start;
+    const toRow = (cells, isHeader, line) => ({
+      type: NODE_TYPES.TABLE_ROW,
+      position: this.createPosition(lineOffset + line, lineOffset + line, lines[line]),
+      children: align.map((cellAlign, column) => ({
+        type: NODE_TYPES.TABLE_CELL,
+        header: isHeader,
+        align: cellAlign,
+        content: cells[column] ?? ''
+      }))
+    });
+
+    const rows = [toRow(header, true, index)];
+    let next = index + 2;
+    while (next < lines.length &&
+           !BLOCK_PATTERNS.blank.test(lines[next]) &&
+           !this.interruptsParagraph(lines[next])) {
+      const cells = this.splitTableCells(lines[next]);
+      if (cells.length > align.length) {
+        this.report('warning', `Table row has ${countCells(cells.length)} but the header has ${align.length}; the extra cells are dropped`,
+          lineOffset + next, lines[next]);
+      } else if (cells.length < align.length) {
+        this.report('info', `Table row has ${countCells(cells.length)} but the header has ${align.length}; the missing cells are left empty`,
+          lineOffset + next, lines[next]);
+      }
+      rows.push(toRow(cells, false, next));
+      next++;
+    }
+
+    return {
+      token: { type: NODE_TYPES.TABLE, align, children: rows },
+      next
+    };
+  }
+
+  /**
+   * Report a table whose delimiter row does not match its header, which
+   * leaves it as a paragraph
+   * @param {string[]} lines - Source lines
+   * @param {number} index - Header line index
+   * @param {number} lineOffset - Line number of lines[0] in the document
+   */
+  checkTableDelimiter(lines, index, lineOffset) {
+    const delimiterLine = lines[index + 1];
+    if (typeof delimiterLine !== 'string' || !delimiterLine.includes('|') ||
+        !BLOCK_PATTERNS.tableDelimiter.test(delimiterLine)) {
+      return;
+    }
+
+    const headerCells = this.splitTableCells(lines[index]).length;
+    const delimiterCells = this.splitTableCells(delimiterLine).length;
+    if (headerCells !== delimiterCells) {
+      this.report('warning', `Table header has ${countCells(headerCells)} but the delimiter row has ${delimiterCells}; it is shown as text`,
+        lineOffset + index + 1, delimiterLine);
+    }
+  }
+
+  /**
+   * Match a table header row followed by a valid delimiter row with the
+   * same number of cells
+   * @param {string[]} lines - Source lines
+   * @param {number} index - Header line index
+   * @returns {Object|null} { header, align } or null
+   */
+  matchTableStart(lines, index) {
+    const headerLine = lines[index];
+    const delimiterLine = lines[index + 1];
+    if (typeof delimiterLine !== 'string' || !BLOCK_PATTERNS.tableDelimiter.test(delimiterLine)) {
+      return null;
+    }
+    if (!/(^|[^\\])\|/.test(headerLine) && !delimiterLine.includes('|')) {
+      return null;
+    }
+
+    const header = this.splitTableCells(headerLine);
+    const align = this.splitTableCells(delimiterLine).map(cell => {
+      const left = cell.startsWith(':');
+      const right = cell.endsWith(':');
+      if (left && right) return 'center';
+      if (right) return 'right';
+      if (left) return 'left';
+      return null;
+    });
+
+    return header.length === align.length ? { header, align } : null;
+  }
+
+  /**
+   * Split a table row into trimmed cells. Outer pipes are optional and
+   * "\|" is a literal pipe, unescaped before inline parsing so it also
+   * applies inside code spans (as in GFM). Other escapes are left for the
+   * inline parser, so "\\|" still ends the cell.
+   * @param {string} line - Source line
+   * @returns {string[]} Cell sources
+   */
+  splitTableCells(line) {
+    const cells = [];
+    let cell = '';
+    let trailingPipe = false;
+    const text = line.trim();
+
+    for (let i = 0; i < text.length; i++) {
+      trailingPipe = false;
+      if (text[i] === '\\' && text[i + 1] === '|') {
+        cell += '|';
+        i++;
+      } else if (text[i] === '\\' && i + 1 < text.length) {
+        cell += text[i] + text[i + 1];
+        i++;
+      } else if (text[i] === '|') {
+        cells.push(cell);
+        cell = '';
+        trailingPipe = true;
+      } else {
+        cell += text[i];
+      }
+    }
+    cells.push(cell);
+
+    // Drop the empty cells produced by leading/trailing pipes
+    if (text.startsWith('|')) cells.shift();
+    if (trailingPipe && cells.length > 0) cells.pop();
+
+    return cells.map(value => value.trim());
+  }
+
+  /**
+   * Footnote definition ([^label]: text). Indented lines (and lazy
+   * continuation lines) belong to the footnote and are tokenized recursively.
+   */
+  tokenizeFootnoteDefinition(lines, index, depth, lineOffset) {
+    const match = lines[index].match(BLOCK_PATTERNS.footnoteDefinition);
+    if (!match) return null;
+
+    const body = [match[2]];
+    const next = this.collectIndentedLines(lines, index + 1, body, 4);
+
+    return {
+      token: {
+        type: FOOTNOTE_DEFINITION,
+        label: match[1],
+        children: this.tokenizeBlocks(body, lineOffset + index, depth + 1)
+      },
+      next
+    };
+  }
+
+  /**
+   * Definition list - term lines, each followed by one or more
+   * ": definition" lines. Definitions continue on indented or lazy lines;
+   * a blank line before or inside a definition makes the list loose.
+   */
+  tokenizeDefinitionList(lines, index, depth, lineOffset) {
+    if (!this.startsDefinitionTerm(lines, index)) return null;
+
+    const children = [];
+    let tight = true;
+    let next = index;
+
+    while (next < lines.length) {
+      if (this.startsDefinitionTerm(lines, next)) {
+        children.push({ type: NODE_TYPES.DEFINITION_TERM, content: lines[next].trim() });
+        next++;
+        continue;
+      }
+
+      const match = lines[next].match(BLOCK_PATTERNS.definition);
+      if (match) {
+        const body = [match[1]];
+        const start = next;
+        next = this.collectIndentedLines(lines, next + 1, body, 2);
+        if (body.some(line => BLOCK_PATTERNS.blank.test(line))) tight = false;
+        children.push({
+          type: NODE_TYPES.DEFINITION_DESCRIPTION,
+          children: this.tokenizeBlocks(body, lineOffset + start, depth + 1)
+        });
+        continue;
+      }
+
+      // A blank line continues the list if another term or definition follows
+      let following = next;
+      while (following < lines.length && BLOCK_PATTERNS.blank.test(lines[following])) following++;
+      const isTerm = following < lines.length && this.startsDefinitionTerm(lines, following);
+      const isDefinition = following < lines.length && BLOCK_PATTERNS.definition.test(lines[following]);
+      if (following === next || !(isTerm || isDefinition)) break;
+      if (isDefinition) tight = false;
+      next = following;
+    }
+
+    // Trailing blank lines are not part of the list
+    while (next > index && BLOCK_PATTERNS.blank.test(lines[next - 1])) next--;
+
+    return {
+      token: { type: NODE_TYPES.DEFINITION_LIST, tight, children },
+      next
+    };
+  }
+
+  /**
+   * Check whether a line is a definition term (a plain line directly
+   * followed by a ": definition" line)
+   * @param {string[]} lines - Source lines
+   * @param {number} index - Line index
+   * @returns {boolean} True for a term line
+   */
+  startsDefinitionTerm(lines, index) {
+    const line = lines[index];
+    return index + 1 < lines.length &&
+      !BLOCK_PATTERNS.blank.test(line) &&
+      !BLOCK_PATTERNS.definition.test(line) &&
+      !this.interruptsParagraph(line) &&
+      BLOCK_PATTERNS.definition.test(lines[index + 1]);
+  }
+
+  /**
+   * Collect the continuation lines of a footnote or definition: lines
+   * indented by `indent`, blank lines followed by such lines, and lazy
+   * lines that do not start another block
+   * @param {string[]} lines - Source lines
+   * @param {number} index - First candidate line
+   * @param {string[]} body - Collected lines (appended to, indent removed)
+   * @param {number} indent - Continuation indent
+   * @returns {number} Index of the first line after the block
+   */
+  collectIndentedLines(lines, index, body, indent) {
+    const isIndented = line => this.getIndent(line) >= indent && !BLOCK_PATTERNS.blank.test(line);
+    let next = index;
+
+    while (next < lines.length) {
+      const line = lines[next];
+
+      if (BLOCK_PATTERNS.blank.test(line)) {
+        let following = next;
+        while (following < lines.length && BLOCK_PATTERNS.blank.test(lines[following])) following++;
+        if (following === lines.length || !isIndented(lines[following])) break;
+        body.push(...lines.slice(next, following).map(() => ''));
+        next = following;
+        continue;
+      }
+
+      if (isIndented(line)) {
+        body.push(this.stripIndent(this.expandIndent(line), indent));
+      } else if (!BLOCK_PATTERNS.blank.test(body[body.length - 1]) &&
+                 !this.interruptsParagraph(line) &&
+                 !BLOCK_PATTERNS.definition.test(line) &&
+                 !this.startsDefinitionTerm(lines, next)) {
+        body.push(line);
+      } else {
+        break;
+      }
+      next++;
+    }
+
+    return next;
+  }
+
+  /**
+   * Paragraph - runs until a blank line or a line that starts another block.
+   * A setext underline turns the paragraph into a heading.
+   */
+  tokenizeParagraph(lines, index) {
+    const text = [lines[index].trim()];
+    let next = index + 1;
+
+    while (next < lines.length) {
+      const line = lines[next];
+      if (BLOCK_PATTERNS.blank.test(line)) break;
+
+      const setext = line.match(BLOCK_PATTERNS.setextUnderline);
+      if (setext) {
+        return {
+          token: {
+            type: NODE_TYPES.HEADING,
+            level: setext[1][0] === '=' ? 1 : 2,
+            content: text.join('\n')
+          },
+          next: next + 1
+        };
+      }
+
+      if (this.interruptsParagraph(line) || this.matchTableStart(lines, next)) break;
+
+      text.push(line.trim());
+      next++;
+    }
+
+    // A paragraph of only "[TOC]" becomes the table of contents
+    const content = text.join('\n');
+    return {
+      token: BLOCK_PATTERNS.toc.test(content) ? { type: TOC } : { type: NODE_TYPES.PARAGRAPH, content },
+      next
+    };
+  }
+
+  /**
+   * Check whether a line starts a block that can interrupt a paragraph
+   * @param {string} line - Source line
+   * @param {Object} [list] - First item of the list the paragraph sits in
+   * @returns {boolean} True if the line starts a new block
+   */
+  interruptsParagraph(line, list) {
+    if (BLOCK_PATTERNS.fenceOpen.test(line) ||
+        BLOCK_PATTERNS.expandOpen.test(line) ||
+        BLOCK_PATTERNS.footnoteDefinition.test(line) ||
+        BLOCK_PATTERNS.atxHeading.test(line) ||
+        BLOCK_PATTERNS.thematicBreak.test(line) ||
+        BLOCK_PATTERNS.blockquote.test(line)) {
+      return true;
+    }
+
+    // Only "1." may start an ordered list mid-paragraph ("in\n1986. we..."),
+    // but inside a list any marker of another type starts a new list
+    const item = this.matchListItem(line);
+    if (item && list && !this.isSameListType(list, item)) return true;
+    return !!(item && item.content && (!item.ordered || item.number === 1));
+  }
+
+  /**
+   * Remove up to `count` leading spaces from a line
+   * @param {string} line - Source line
+   * @param {number} count - Spaces to remove
+   * @returns {string} Line without indentation
+   */
+  stripIndent(line, count) {
+    let i = 0;
+    while (i < count && line[i] === ' ') i++;
+    return line.slice(i);
+  }
+
+  /**
+   * Remove footnote definitions from the token tree and remember them by
+   * label. The first definition of a label wins.
+   * @param {Array} tokens - Block tokens
+   * @returns {Array} Tokens without footnote definitions
+   */
+  extractFootnotes(tokens) {
+    return tokens.filter(token => {
+      if (token.type === FOOTNOTE_DEFINITION) {
+        if (!this.footnoteDefinitions.has(token.label)) {
+          this.footnoteDefinitions.set(token.label, token);
+        }
+        return false;
+      }
+      if (Array.isArray(token.children)) {
+        token.children = this.extractFootnotes(token.children);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Give every heading a slug ID from its text. Repeated slugs get a
+   * numeric suffix ("setup", "setup-1"), so IDs stay stable as long as the
+   * headings before them do not change.
+   * @param {Object} ast - Document node
+   */
+  assignHeadingIds(ast) {
+    const used = new Map();
+
+    for (const heading of this.findHeadings(ast)) {
+      const slug = slugify(getPlainText(heading.children)) || 'section';
+      const count = used.get(slug) || 0;
+      used.set(slug, count + 1);
+      heading.id = count === 0 ? slug : `${slug}-${count}`;
+    }
+  }
+
+  /**
+   * Find all headings in document order
+   * @param {Object} node - AST node
+   * @param {Array} headings - Accumulated headings
+   * @returns {Array} Heading nodes
+   */
+  findHeadings(node, headings = []) {
+    for (const child of node.children || []) {
+      if (child.type === NODE_TYPES.HEADING) {
+        headings.push(child);
+      } else if (child.children) {
+        this.findHeadings(child, headings);
+      }
+    }
+    return headings;
+  }
+
+  /**
+   * Replace [TOC] placeholders with a nested list of links to the headings
+   * @param {Object} ast - Document node
+   */
+  expandToc(ast) {
+    const headings = this.findHeadings(ast);
+
+    const replace = (node) => {
+      if (!Array.isArray(node.children)) return;
+      node.children = node.children.flatMap(child => {
+        if (child.type !== TOC) {
+          replace(child);
+          return [child];
+        }
+        // The list keeps the [TOC] line, so the preview maps back to it
+        return headings.length > 0 ? [{ ...this.buildToc(headings), position: child.position }] : [];
+      });
+    };
+
+    replace(ast);
+  }
+
+  /**
+   * Build the table of contents list. Each heading nests under the closest
+   * earlier heading of a higher level.
+   * @param {Array} headings - Heading nodes with IDs
+   * @returns {Object} List node (marked with toc: true)
+   */
+  buildToc(headings) {
+    const createList = () => ({ type: NODE_TYPES.LIST, ordered: false, tight: true, children: [] });
+    const root = { ...createList(), toc: true };
+    const stack = [{ level: 0, item: null, list: root }];
+
+    for (const heading of headings) {
+      while (stack[stack.length - 1].level >= heading.level) stack.pop();
+
+      const parent = stack[stack.length - 1];
+      if (!parent.list) {
+        parent.list = createList();
+        parent.item.children.push(parent.list);
+      }
+
+      const item = {
+        type: NODE_TYPES.LIST_ITEM,
+        children: [{
+          type: NODE_TYPES.PARAGRAPH,
+          children: [{
+            type: NODE_TYPES.LINK,
+            url: `#${heading.id}`,
+            title: null,
+            children: [{ type: NODE_TYPES.TEXT, content: getPlainText(heading.children) }]
+          }]
+        }]
+      };
+      parent.list.children.push(item);
+      stack.push({ level: heading.level, item, list: null });
+    }
+
+    return root;
+  }
+
+  /**
+   * Number footnote references in order of first use and append the
+   * referenced footnotes as a section at the end of the document.
+   * Unreferenced definitions are dropped.
+   * @param {Object} ast - Document node
+   */
+  appendFootnotes(ast) {
+    const footnotes = [];
+    const numbers = new Map();
+
+    const number = (node) => {
+      for (const child of node.children || []) {
+        if (child.type !== NODE_TYPES.FOOTNOTE_REFERENCE) {
+          number(child);
+          continue;
+        }
+
+        if (!numbers.has(child.label)) {
+          numbers.set(child.label, { number: numbers.size + 1, references: 0 });
+          footnotes.push({
+            type: NODE_TYPES.FOOTNOTE,
+            label: child.label,
+            number: numbers.size,
+            children: this.buildNode(this.footnoteDefinitions.get(child.label)).children
+          });
+        }
+        const entry = numbers.get(child.label);
+        child.number = entry.number;
+        child.occurrence = ++entry.references;
+      }
+    };
+
+    number(ast);
+    // Footnotes may reference further footnotes; those are appended as found
+    for (let i = 0; i < footnotes.length; i++) {
+      number(footnotes[i]);
+    }
+
+    if (footnotes.length > 0) {
+      ast.children.push({ type: NODE_TYPES.FOOTNOTES, children: footnotes });
+    }
+  }
+
+  /**
+   * Tokenize inline content. Code spans, autolinks and link destinations are
+   * consumed whole, so their contents never take part in emphasis matching.
+   * @param {string} text - Inline source text
+   * @param {Object} context - Parse context ({ inLink })
+   * @returns {Array} Inline nodes
+   */
+  parseInline(text, context = {}) {
+    const nodes = [];
+    let buffer = '';
+    let index = 0;
+
+    const flush = () => {
+      if (buffer) {
+        nodes.push({ type: NODE_TYPES.TEXT, content: buffer });
+        buffer = '';
+      }
+    };
+
+    while (index < text.length) {
+      const char = text[index];
+
+      // Backslash escapes and hard breaks
+      if (char === '\\') {
+        const nextChar = text[index + 1];
+        if (nextChar === '\n') {
+          flush();
+          nodes.push({ type: NODE_TYPES.LINE_BREAK });
+          index += 2;
+          continue;
+        }
+        if (nextChar && ESCAPABLE.test(nextChar)) {
+          buffer += nextChar;
+          index += 2;
+          continue;
+        }
+      }
+
+      // Line breaks (trailing spaces are dropped)
+      if (char === '\n') {
+        buffer = buffer.replace(/[ \t]+$/, '');
+        flush();
+        nodes.push({ type: NODE_TYPES.LINE_BREAK });
+        index++;
+        while (text[index] === ' ' || text[index] === '\t') index++;
+        continue;
+      }
+
+      // Code spans
+      if (char === '`') {
+        const span = this.scanCodeSpan(text, index);
+        flush();
+        if (span) {
+          nodes.push(span.node);
+        } else {
+          nodes.push({ type: NODE_TYPES.TEXT, content: '`'.repeat(this.countRun(text, index)) });
+          this.reportInline('info', 'Code span is never closed; the backticks are shown as text', (context.offset || 0) + index);
+        }
+        index = span ? span.end : index + this.countRun(text, index);
+        continue;
+      }
+
+      // Emphasis / strikethrough delimiter runs
+      if (char === '*' || char === '_' || char === '~') {
+        flush();
+        const run = this.scanDelimiterRun(text, index);
+        nodes.push(run.node);
+        index = run.end;
+        continue;
+      }
+
+      // Images (also allowed inside link text)
+      if (char === '!' && text[index + 1] === '[') {
+        const image = this.scanImage(text, index, context);
+        if (image) {
+          flush();
+          nodes.push(image.node);
+          index = image.end;
+          continue;
+        }
+      }
+
+      // Footnote references ([^1]) to defined footnotes
+      if (char === '[' && text[index + 1] === '^') {
+        const reference = this.matchAt(INLINE_PATTERNS.footnoteReference, text, index);
+        if (reference && this.footnoteDefinitions?.has(reference[1])) {
+          flush();
+          nodes.push({ type: NODE_TYPES.FOOTNOTE_REFERENCE, label: reference[1] });
+          index += reference[0].length;
+          continue;
+        }
+        if (reference && text[index + reference[0].length] !== ':') {
+          this.reportInline('info', `Footnote [^${reference[1]}] is not defined`, (context.offset || 0) + index);
+        }
+      }
+
+      // Links
+      if (char === '[' && !context.inLink) {
+        const link = this.scanLink(text, index, context);
+        if (link) {
+          flush();
+          nodes.push(link.node);
+          index = link.end;
+          continue;
+        }
+      }
+
+      // Status lozenges ({status:green|DONE})
+      if (char === '{') {
+        const status = this.matchAt(INLINE_PATTERNS.status, text, index);
+        const color = status && (status[1] || 'neutral').toLowerCase();
+        if (status && STATUS_COLORS.includes(color) && status[2].trim()) {
+          flush();
+          nodes.push({ type: NODE_TYPES.STATUS, color, text: status[2].trim() });
+          index += status[0].length;
+          continue;
+        }
+      }
+
+      // Angle-bracket autolinks
+      if (char === '<') {
+        const autolink = this.matchAt(INLINE_PATTERNS.angleAutolink, text, index);
+        if (autolink) {
+          flush();
+          const target = autolink[1];
+          const isEmail = !/^(?:https?|mailto):/i.test(target);
+          nodes.push(this.createAutolink(isEmail ? `mailto:${target}` : target, target));
+          index += autolink[0].length;
+          continue;
+        }
+      }
+
+      // Bare URLs and email addresses
+      if (this.options.autoLinkUrls && !context.inLink) {
+        const previous = index > 0 ? text[index - 1] : ' ';
+
+        if ((char === 'h' || char === 'H') && !/[a-zA-Z0-9]/.test(previous)) {
+          const url = this.scanBareUrl(text, index);
+          if (url) {
+            flush();
+            nodes.push(this.createAutolink(url, url));
+            index += url.length;
+            continue;
+          }
+        }
+
+        if (/[a-zA-Z0-9]/.test(char) && !/[a-zA-Z0-9.%+\-@]/.test(previous)) {
+          const email = this.matchAt(INLINE_PATTERNS.email, text, index);
+          if (email) {
+            flush();
+            nodes.push(this.createAutolink(`mailto:${email[0]}`, email[0]));
+            index += email[0].length;
+            continue;
+          }
+        }
+      }
+
+      buffer += char;
+      index++;
+    }
+
+    flush();
+    return this.mergeText(this.processEmphasis(nodes));
+  }
+
+  /**
+   * Match a sticky regex at a position
+   * @param {RegExp} pattern - Sticky pattern
+   * @param {string} text - Source text
+   * @param {number} index - Position
+   * @returns {Array|null} Match result
+   */
+  matchAt(pattern, text, index) {
+    pattern.lastIndex = index;
+    return pattern.exec(text);
+  }
+
+  /**
+   * Count a run of identical characters
+   * @param {string} text - Source text
+   * @param {number} index - Run start
+   * @returns {number} Run length
+   */
+  countRun(text, index) {
+    let end = index;
+    while (text[end] === text[index]) end++;
+    return end - index;
+  }
+
+  /**
+   * Scan a code span starting at a backtick run
+   * @param {string} text - Source text
+   * @param {number} index - Position of the opening run
+   * @returns {Object|null} { node, end }
+   */
+  scanCodeSpan(text, index) {
+    const length = this.countRun(text, index);
+    let search = index + length;
+
+    while (search < text.length) {
+      const close = text.indexOf('`', search);
+      if (close === -1) return null;
+
+      const closeLength = this.countRun(text, close);
+      if (closeLength === length) {
+        let content = text.slice(index + length, close).replace(/\n/g, ' ');
+        if (/^ .*[^ ].* $/.test(content)) {
+          content = content.slice(1, -1);
+        }
+        return {
+          node: { type: NODE_TYPES.CODE, content },
+          end: close + closeLength
+        };
+      }
+      search = close + closeLength;
+    }
+
+    return null;
+  }
+
+  /**
+   * Scan a run of *, _ or ~ and classify its flanking
+   * @param {string} text - Source text
+   * @param {number} index - Run start
+   * @returns {Object} { node, end }
+   */
+  scanDelimiterRun(text, index) {
+    const char = text[index];
+    const length = this.countRun(text, index);
+    const before = index > 0 ? text[index - 1] : ' ';
+    const after = index + length < text.length ? text[index + length] : ' ';
+
+    const afterIsSpace = WHITESPACE.test(after);
+    const beforeIsSpace = WHITESPACE.test(before);
+    const afterIsPunct = PUNCTUATION.test(after);
+    const beforeIsPunct = PUNCTUATION.test(before);
+
+    const leftFlanking = !afterIsSpace && (!afterIsPunct || beforeIsSpace || beforeIsPunct);
+    const rightFlanking = !beforeIsSpace && (!beforeIsPunct || afterIsSpace || afterIsPunct);
+
+    let canOpen = leftFlanking;
+    let canClose = rightFlanking;
+
+    // Underscores inside words (snake_case) never open or close emphasis
+    if (char === '_') {
+      canOpen = leftFlanking && (!rightFlanking || beforeIsPunct);
+      canClose = rightFlanking && (!leftFlanking || afterIsPunct);
+    }
+
+    return {
+      node: { type: DELIMITER, char, length, originalLength: length, canOpen, canClose },
+      end: index + length
+    };
+  }
+
+  /**
+   * Scan an inline link: [text](destination "title")
+   * @param {string} text - Source text
+   * @param {number} index - Position of "["
+   * @param {Object} context - Inline context ({ offset } of text in the block)
+   * @returns {Object|null} { node, end }
+   */
+  scanLink(text, index, context = {}) {
+    const labelEnd = this.findLabelEnd(text, index);
+    if (labelEnd === -1 || text[labelEnd + 1] !== '(') return null;
+
+    const destination = this.scanLinkDestination(text, labelEnd + 2);
+    if (!destination) {
+      // "![x](" was already reported as an image
+      if (text[index - 1] !== '!' || text[index - 2] === '\\') {
+        this.reportBadDestination('Link', text, index, labelEnd, context);
+      }
+      return null;
+    }
+
+    const offset = (context.offset || 0) + index + 1;
+    return {
+      node: {
+        type: NODE_TYPES.LINK,
+        url: destination.url,
+        title: destination.title,
+        children: this.parseInline(text.slice(index + 1, labelEnd), { inLink: true, offset })
+      },
+      end: destination.end
+    };
+  }
+
+  /**
+   * Scan an image: ![alt](src "title" =WxH). Width or height may be left
+   * out of the size ("=300x").
+   * @param {string} text - Source text
+   * @param {number} index - Position of "!"
+   * @param {Object} context - Inline context ({ offset } of text in the block)
+   * @returns {Object|null} { node, end }
+   */
+  scanImage(text, index, context = {}) {
+    const labelEnd = this.findLabelEnd(text, index + 1);
+    if (labelEnd === -1 || text[labelEnd + 1] !== '(') return null;
+
+    const destination = this.scanLinkDestination(text, labelEnd + 2, true);
+    if (!destination) {
+      this.reportBadDestination('Image', text, index, labelEnd, context);
+      return null;
+    }
+
+    // Alt text is the plain text of the label ("![*a*](x)" has alt "a")
+    const offset = (context.offset || 0) + index + 2;
+    const alt = getPlainText(this.parseInline(text.slice(index + 2, labelEnd), { inLink: true, offset }));
+    return {
+      node: this.createImage(destination.url, alt, destination),
+      end: destination.end
+    };
+  }
+
+  /**
+   * Report a link or image whose "(destination)" could not be read, which
+   * leaves it as plain text
+   * @param {string} kind - 'Link' or 'Image'
+   * @param {string} text - Source text
+   * @param {number} index - Position of "[" or "!"
+   * @param {number} labelEnd - Position of "]"
+   * @param {Object} context - Inline context
+   */
+  reportBadDestination(kind, text, index, labelEnd, context) {
+    const rest = text.slice(labelEnd + 2).split('\n')[0];
+    const message = rest.includes(')')
+      ? `${kind} destination is not valid (spaces need <...>); it is shown as text`
+      : `${kind} is missing its closing ")"; it is shown as text`;
+    this.reportInline('warning', message, (context.offset || 0) + index);
+  }
+
+  /**
+   * Create an image node. "attachment:name" sources refer to a Jira
+   * attachment and are resolved through the configured URL pattern.
+   * @param {string} src - Image source
+   * @param {string} alt - Alternative text
+   * @param {Object} attrs - Optional { title, width, height }
+   * @returns {Object} Image node
+   */
+  createImage(src, alt, { title = null, width = null, height = null } = {}) {
+    const attachment = src.match(INLINE_PATTERNS.attachment);
+    const filename = attachment ? attachment[1].trim() : null;
+
+    return {
+      type: NODE_TYPES.IMAGE,
+      url: filename ? this.resolveAttachmentUrl(filename) : src,
+      alt,
+      title,
+      width,
+      height,
+      attachment: filename
+    };
+  }
+
+  /**
+   * Build the URL of an attachment from the configured pattern
+   * (options.jiraLinks.attachmentUrl, e.g. "https://site/attachments/{filename}").
+   * Without a pattern the file name is used as a relative URL.
+   * @param {string} filename - Attachment file name
+   * @returns {string} Attachment URL
+   */
+  resolveAttachmentUrl(filename) {
+    const pattern = this.options.jiraLinks?.attachmentUrl;
+    const encoded = encodeURIComponent(filename);
+    if (!pattern) return encoded;
+    return pattern.includes('{filename}')
+      ? pattern.replace('{filename}', encoded)
+      : `${pattern.replace(/\/+$/, '')}/${encoded}`;
+  }
+
+  /**
+   * Find the "]" matching the "[" at index, skipping escapes and code spans
+   * @param {string} text - Source text
+   * @param {number} index - Position of "["
+   * @returns {number} Position of the matching "]" or -1
+   */
+  findLabelEnd(text, index) {
+    let depth = 0;
+    let position = index;
+
+    while (position < text.length) {
+      const char = text[position];
+
+      if (char === '\\') {
+        position += 2;
+        continue;
+      }
+
+      if (char === '`') {
+        const span = this.scanCodeSpan(text, position);
+        position = span ? span.end : position + this.countRun(text, position);
+        continue;
+      }
+
+      if (char === '[') depth++;
+      if (char === ']') {
+        depth--;
+        if (depth === 0) return position;
+      }
+      position++;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Scan a link destination and optional title after "("
+   * @param {string} text - Source text
+   * @param {number} index - Position after "("
+   * @param {boolean} allowSize - Accept an image size (=WxH) after the title
+   * @returns {Object|null} { url, title, width, height, end }
+   */
+  scanLinkDestination(text, index, allowSize = false) {
+    let position = index;
+    const skipSpace = () => {
+      while (position < text.length && /[ \t\n]/.test(text[position])) position++;
+    };
+
+    skipSpace();
+
+    let url = '';
+    if (text[position] === '<') {
+      const close = findUnescaped(text, '>', position + 1);
+      if (close === -1 || text.slice(position, close).includes('\n')) return null;
+      // Spaces are allowed between <...>, but not in an href
+      url = unescapeLinkText(text.slice(position + 1, close)).replace(/[ \t]/g, encodeURIComponent);
+      position = close + 1;
+    } else {
+      let parens = 0;
+      const start = position;
+      while (position < text.length) {
+        const char = text[position];
+        if (char === '\\' && ESCAPABLE.test(text[position + 1] || '')) {
+          position += 2;
+          continue;
+        }
+        if (/\s/.test(char)) break;
+        if (char === '(') parens++;
+        if (char === ')') {
+          if (parens === 0) break;
+          parens--;
+        }
+        position++;
+      }
+      url = unescapeLinkText(text.slice(start, position));
+    }
+
+    skipSpace();
+
+    let title = null;
+    const quote = text[position];
+    if (quote === '"' || quote === '\'' || quote === '(') {
+      const closeChar = quote === '(' ? ')' : quote;
+      const close = findUnescaped(text, closeChar, position + 1);
+      if (close === -1) return null;
+      title = unescapeLinkText(text.slice(position + 1, close));
+      position = close + 1;
+      skipSpace();
+    }
+
+    let width = null;
+    let height = null;
+    const size = allowSize ? this.matchAt(INLINE_PATTERNS.imageSize, text, position) : null;
+    if (size && (size[1] || size[2])) {
+      width = size[1] ? Number(size[1]) : null;
+      height = size[2] ? Number(size[2]) : null;
+      position += size[0].length;
+      skipSpace();
+    }
+
+    if (text[position] !== ')') return null;
+
+    return { url, title, width, height, end: position + 1 };
+  }
+
+  /**
+   * Scan a bare http(s) URL, trimming trailing punctuation
+   * @param {string} text - Source text
+   * @param {number} index - Position
+   * @returns {string|null} URL
+   */
+  scanBareUrl(text, index) {
+    const match = this.matchAt(INLINE_PATTERNS.url, text, index);
+    if (!match) return null;
+
+    let url = match[0];
+
+    // Trailing punctuation is part of the sentence, not the URL
+    while (/[.,:;!?*_~'"]$/.test(url) ||
+           (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length)) {
+      url = url.slice(0, -1);
+    }
+
+    return url.length > 'https://'.length ? url : null;
+  }
+
+  /**
+   * Create an autolink node
+   * @param {string} url - Link target
+   * @param {string} label - Visible text
+   * @returns {Object} Link node
+   */
+  createAutolink(url, label) {
+    return {
+      type: NODE_TYPES.LINK,
+      url,
+      title: null,
+      autolink: true,
+      children: [{ type: NODE_TYPES.TEXT, content: label }]
+    };
+  }
+
+  /**
+   * Match emphasis delimiters into strong/emphasis/strikethrough nodes.
+   * Follows the CommonMark delimiter algorithm, including the rule of three.
+   * @param {Array} nodes - Inline nodes containing delimiter runs
+   * @returns {Array} Inline nodes without delimiter runs
+   */
+  processEmphasis(nodes) {
+    let index = 0;
+
+    while (index < nodes.length) {
+      const closer = nodes[index];
+      if (closer.type !== DELIMITER || !closer.canClose) {
+        index++;
+        continue;
+      }
+
+      const openerIndex = this.findOpener(nodes, index);
+      if (openerIndex === -1) {
+        index++;
+        continue;
+      }
+
+      const opener = nodes[openerIndex];
+      const used = closer.char === '~' ? 2 : (opener.length >= 2 && closer.length >= 2 ? 2 : 1);
+      const type = closer.char === '~'
+        ? NODE_TYPES.STRIKETHROUGH
+        : (used === 2 ? NODE_TYPES.STRONG : NODE_TYPES.EMPHASIS);
+
+      const children = nodes
+        .slice(openerIndex + 1, index)
+        .map(node => this.delimiterToText(node));
+
+      opener.length -= used;
+      closer.length -= used;
+
+      const replacement = [];
+      if (opener.length > 0) replacement.push(opener);
+      replacement.push({ type, children: this.mergeText(children) });
+      if (closer.length > 0) replacement.push(closer);
+
+      nodes.splice(openerIndex, index - openerIndex + 1, ...replacement);
+
+      // Re-examine the closer if part of its run is left over
+      index = openerIndex + replacement.length - (closer.length > 0 ? 1 : 0);
+    }
+
+    return nodes.map(node => this.delimiterToText(node));
+  }
+
+  /**
+   * Find the nearest opener that matches a closer
+   * @param {Array} nodes - Inline nodes
+   * @param {number} closerIndex - Index of the closer
+   * @returns {number} Opener index or -1
+   */
+  findOpener(nodes, closerIndex) {
+    const closer = nodes[closerIndex];
+
+    for (let i = closerIndex - 1; i >= 0; i--) {
+      const opener = nodes[i];
+      if (opener.type !== DELIMITER || opener.char !== closer.char || !opener.canOpen) {
+        continue;
+      }
+
+      if (closer.char === '~') {
+        if (opener.length === 2 && closer.length === 2) return i;
+        continue;
+      }
+
+      // Rule of three: a run that can both open and close may not pair with
+      // one whose combined length is a multiple of three
+      const bothSides = opener.canClose || closer.canOpen;
+      const sum = opener.originalLength + closer.originalLength;
+      if (bothSides && sum % 3 === 0 &&
+          !(opener.originalLength % 3 === 0 && closer.originalLength % 3 === 0)) {
+        continue;
+      }
+
+      return i;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Turn a leftover delimiter run into literal text
+   * @param {Object} node - Inline node
+   * @returns {Object} Text node or the original node
+   */
+  delimiterToText(node) {
+    if (node.type !== DELIMITER) return node;
+    return { type: NODE_TYPES.TEXT, content: node.char.repeat(node.length) };
+  }
+
+  /**
+   * Merge adjacent text nodes
+   * @param {Array} nodes - Inline nodes
+   * @returns {Array} Merged nodes
+   */
+  mergeText(nodes) {
+    const merged = [];
+    for (const node of nodes) {
+      if (node.type === NODE_TYPES.TEXT && !node.content) continue;
+
+      const last = merged[merged.length - 1];
+      if (node.type === NODE_TYPES.TEXT && last && last.type === NODE_TYPES.TEXT) {
+        last.content += node.content;
+      } else {
+        merged.push(node);
+      }
+    }
+    return merged;
+  }
+}
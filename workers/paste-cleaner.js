@@ -0,0 +1,553 @@
+/**
+ * Paste Cleaner - Normalizes clipboard HTML from office suites and chat apps
+ *
+ * Rewrites an HTMLParser element tree so that HTMLReader sees plain semantic
+ * markup: formatting carried in inline styles (Google Docs, Word) becomes
+ * <strong>/<em>/<del>/<u>/<code>, Word's mso-list paragraphs become real
+ * lists, lists nested beside their items (Google Docs) or by indent (Slack)
+ * move into place, and wrapper spans, Office namespace tags and Slack's paragraph-break spans are
+ * removed. Everything else passes through untouched.
+ */
+
+// Font families that mark text as code
+const MONOSPACE_FONTS = /monospace|courier|consolas|menlo|monaco|lucida console|source code pro|roboto mono|fira (?:code|mono)|jetbrains mono|sf mono/i;
+
+// Containers whose content is a sequence of blocks
+const BLOCK_CONTAINERS = new Set([
+  '#root', 'article', 'blockquote', 'body', 'dd', 'div', 'html', 'li', 'main',
+  'section', 'td', 'th'
+]);
+
+// Confluence macro / lozenge class -> panel type and status colour
+const CONFLUENCE_PANELS = {
+  information: 'info',
+  note: 'warning',
+  warning: 'error',
+  tip: 'success'
+};
+
+const CONFLUENCE_LOZENGES = {
+  success: 'green',
+  error: 'red',
+  current: 'yellow',
+  complete: 'blue',
+  moved: 'yellow',
+  new: 'blue'
+};
+
+// A Word list marker that numbers the item ("1.", "a)", "iv.")
+const ORDERED_MARKER = /^(?:\d+|[a-z]|[ivxlc]+)[.)]$/i;
+
+export class PasteCleaner {
+  /**
+   * Clean a parsed clipboard document
+   * @param {Object} root - Root element from HTMLParser
+   * @returns {Object} Cleaned root element
+   */
+  clean(root) {
+    return { ...root, children: this.cleanBlocks(root.children, {}) };
+  }
+
+  /**
+   * Clean the children of a block container: Word list paragraphs become
+   * lists, indented lists move into the item before them, lines set
+   * entirely in a monospace font become a code block and double line breaks
+   * split paragraphs
+   * @param {Array} nodes - Element tree nodes
+   * @param {Object} context - Ancestor state ({ inLink, inHeading })
+   * @returns {Array} Cleaned nodes
+   */
+  cleanBlocks(nodes, context) {
+    const cleaned = this.cleanNodes(this.groupWordLists(nodes), context);
+    return this.splitParagraphs(this.groupCodeParagraphs(this.nestLists(cleaned)));
+  }
+
+  /**
+   * Clean a list of nodes
+   * @param {Array} nodes - Element tree nodes
+   * @param {Object} context - Ancestor state
+   * @returns {Array} Cleaned nodes
+   */
+  cleanNodes(nodes, context) {
+    return nodes.flatMap(node => node.type === 'element' ? this.cleanElement(node, context) : [node]);
+  }
+
+  /**
+   * Clean one element
+   * @param {Object} element - Element node
+   * @param {Object} context - Ancestor state
+   * @returns {Array} Replacement nodes (unwrapped elements give their children)
+   */
+  cleanElement(element, context) {
+    const { tag, attrs } = element;
+    const style = parseStyle(attrs.style);
+    const stringify = attrs['data-stringify-type'];
+
+    // Office namespace tags (<o:p>, <w:sdt>) wrap nothing worth keeping
+    if (tag.includes(':')) return this.cleanNodes(element.children, context);
+
+    // Slack: paragraph breaks are empty spans, emoji are images
+    if (stringify === 'paragraph-break') return [createElement('br'), createElement('br')];
+    if (tag === 'img' && attrs['data-stringify-emoji']) {
+      return [{ type: 'text', content: attrs['data-stringify-emoji'] }];
+    }
+    if (stringify === 'mention') return this.cleanNodes(element.children, context);
+
+    // Code keeps its content as is
+    if (tag === 'pre') return [this.cleanCodeBlock(element)];
+    if (style['white-space'] === 'pre' && BLOCK_CONTAINERS.has(tag)) {
+      return [this.cleanCodeBlock({ ...element, tag: 'pre' })];
+    }
+
+    // Google Docs wraps the whole document in <b style="font-weight:normal">
+    if ((tag === 'b' || tag === 'strong') && /^(?:normal|[1-4]00)$/.test(style['font-weight'] || '')) {
+      return this.cleanNodes(element.children, context);
+    }
+
+    if (tag === 'span' || tag === 'font') {
+      return this.cleanSpan(element, style, context);
+    }
+
+    const childContext = {
+      ...context,
+      inLink: context.inLink || tag === 'a',
+      inHeading: context.inHeading || /^h[1-6]$/.test(tag)
+    };
+    const children = BLOCK_CONTAINERS.has(tag)
+      ? this.cleanBlocks(element.children, childContext)
+      : this.cleanNodes(element.children, childContext);
+    const cleaned = { ...element, attrs: this.cleanAttributes(element), children };
+
+    if (tag === 'ul' || tag === 'ol') {
+      cleaned.children = this.nestLists(children, true);
+    } else if (tag === 'li') {
+      cleaned.children = this.unwrapSingleParagraph(children);
+    } else if (tag === 'p') {
+      cleaned.children = this.splitParagraphs(children);
+    }
+    return [cleaned];
+  }
+
+  /**
+   * Turn a styled <span> or <font> into the elements its style stands for,
+   * or unwrap it. Spans that carry Jira/Confluence meaning are kept.
+   * @param {Object} element - <span> or <font> element
+   * @param {Object} style - Parsed style attribute
+   * @param {Object} context - Ancestor state
+   * @returns {Array} Replacement nodes
+   */
+  cleanSpan(element, style, context) {
+    const { attrs } = element;
+    if (attrs['data-node-type'] || attrs['data-emoji-short-name']) {
+      return [{ ...element, children: this.cleanNodes(element.children, context) }];
+    }
+
+    const lozenge = (attrs.class || '').match(/\baui-lozenge-(\w+)/);
+    if (lozenge) {
+      return [{
+        ...element,
+        attrs: { 'data-node-type': 'status', 'data-color': CONFLUENCE_LOZENGES[lozenge[1]] || 'neutral' },
+        children: this.cleanNodes(element.children, context)
+      }];
+    }
+
+    const fontFamily = style['font-family'] || attrs.face || '';
+    // Code spans hold no line breaks, so a <br> inside splits the span
+    if (MONOSPACE_FONTS.test(fontFamily)) {
+      return textContent(element).split('\n').flatMap((line, index) => [
+        ...(index > 0 ? [createElement('br')] : []),
+        ...(line ? [createElement('code', [{ type: 'text', content: line }])] : [])
+      ]);
+    }
+
+    const decoration = `${style['text-decoration'] || ''} ${style['text-decoration-line'] || ''}`;
+    const marks = [
+      !context.inHeading && /^(?:bold|bolder|[6-9]00)$/.test(style['font-weight'] || '') && 'strong',
+      /^(?:italic|oblique)/.test(style['font-style'] || '') && 'em',
+      /line-through/.test(decoration) && 'del',
+      !context.inLink && /underline/.test(decoration) && 'u'
+    ].filter(Boolean);
+
+    return marks.reduceRight(
+      (children, tag) => [createElement(tag, children)],
+      this.cleanNodes(element.children, context)
+    );
+  }
+
+  /**
+   * Clean a code block (a <pre>, or an editor's white-space:pre <div> with
+   * one <div> per line). The language comes from Confluence's syntax
+   * highlighter parameters ("brush: java; gutter: false").
+   * @param {Object} element - <pre> element
+   * @returns {Object} Cleaned <pre> element with its text content
+   */
+  cleanCodeBlock(element) {
+    const attrs = { ...element.attrs };
+    // The <code> inside goes, its language class stays
+    const code = element.children.find(child => child.type === 'element' && child.tag === 'code');
+    if (code?.attrs.class) {
+      attrs.class = [attrs.class, code.attrs.class].filter(Boolean).join(' ');
+    }
+    const brush = (attrs['data-syntaxhighlighter-params'] || '').match(/\bbrush:\s*([\w+#-]+)/);
+    if (brush && !attrs['data-language']) {
+      attrs['data-language'] = brush[1];
+    }
+    return { ...element, attrs, children: [{ type: 'text', content: codeText(element).replace(/\n$/, '') }] };
+  }
+
+  /**
+   * Copy an element's attributes, marking Confluence info macros as panels
+   * @param {Object} element - Element node
+   * @returns {Object} Attributes
+   */
+  cleanAttributes(element) {
+    const attrs = { ...element.attrs };
+    const macro = (attrs.class || '').match(/\bconfluence-information-macro-(information|note|warning|tip)\b/);
+    if (macro) {
+      attrs['data-panel-type'] = CONFLUENCE_PANELS[macro[1]];
+    }
+    return attrs;
+  }
+
+  /**
+   * Replace runs of Word list paragraphs (style="mso-list:l0 level1 lfo1")
+   * with nested lists. Whether a list is numbered is read from the bullet
+   * Word writes into a mso-list:Ignore span.
+   * @param {Array} nodes - Element tree nodes
+   * @returns {Array} Nodes with lists in place of list paragraphs
+   */
+  groupWordLists(nodes) {
+    const result = [];
+    let run = [];
+
+    const flush = () => {
+      if (run.length > 0) result.push(...buildNestedLists(run));
+      run = [];
+    };
+
+    for (const node of nodes) {
+      const match = node.type === 'element' && node.tag === 'p' &&
+        (parseStyle(node.attrs.style)['mso-list'] || '').match(/\blevel(\d+)/);
+
+      if (match) {
+        run.push({
+          level: Number(match[1]),
+          ordered: ORDERED_MARKER.test(this.findWordBullet(node)),
+          item: createElement('li', removeWordBullets(node.children))
+        });
+      } else if (!(run.length > 0 && isWhitespace(node))) {
+        flush();
+        result.push(node);
+      }
+    }
+    flush();
+
+    return result;
+  }
+
+  /**
+   * Find the bullet text of a Word list paragraph
+   * @param {Object} element - Element node
+   * @returns {string} Bullet ("1.", "·") or ''
+   */
+  findWordBullet(element) {
+    for (const child of element.children) {
+      if (child.type !== 'element') continue;
+      if (parseStyle(child.attrs.style)['mso-list'] === 'Ignore') {
+        return textContent(child).replace(/\s+/g, '');
+      }
+      const bullet = this.findWordBullet(child);
+      if (bullet) return bullet;
+    }
+    return '';
+  }
+
+  /**
+   * Move nested lists into the item before them. Google Docs puts nested
+   * lists next to the <li>s instead of inside them; Slack writes each level
+   * as a separate list after the previous one, marked with data-indent, and
+   * continues the outer list in yet another one.
+   * @param {Array} nodes - Cleaned nodes
+   * @param {boolean} inList - Nodes are the children of a <ul>/<ol>
+   * @returns {Array} Nodes with nested lists moved into their items
+   */
+  nestLists(nodes, inList = false) {
+    const result = [];
+    // Lists an indented list may belong to, innermost last: { indent, list }
+    const open = [];
+
+    for (const node of nodes) {
+      const isList = node.type === 'element' && (node.tag === 'ul' || node.tag === 'ol') &&
+        (inList || node.attrs['data-indent'] !== undefined);
+
+      if (inList) {
+        const item = isList && lastItem(result);
+        if (item) item.children.push(node);
+        else result.push(node);
+        continue;
+      }
+
+      if (!isList) {
+        if (!isWhitespace(node)) open.length = 0;
+        result.push(node);
+        continue;
+      }
+
+      const indent = Number(node.attrs['data-indent']);
+      while (open.length && open[open.length - 1].indent > indent) open.pop();
+
+      // Back at the level of an open list: it continues
+      const top = open[open.length - 1];
+      if (top?.indent === indent && top.list.tag === node.tag) {
+        top.list.children.push(...node.children);
+        continue;
+      }
+      if (top?.indent === indent) open.pop();
+
+      const item = open.length > 0 && lastItem(open[open.length - 1].list.children);
+      if (item) item.children.push(node);
+      else result.push(node);
+      open.push({ indent, list: node });
+    }
+
+    return result;
+  }
+
+  /**
+   * Google Docs (and other editors) wrap the content of every list item in
+   * a <p>, which would make the list loose. Unwrap it when it is the item's
+   * only paragraph.
+   * @param {Array} children - Cleaned children of an <li>
+   * @returns {Array} Children
+   */
+  unwrapSingleParagraph(children) {
+    const paragraphs = children.filter(child => child.type === 'element' && child.tag === 'p');
+    if (paragraphs.length !== 1) return children;
+
+    const firstElement = children.find(child => child.type === 'element');
+    if (firstElement !== paragraphs[0]) return children;
+    return children.flatMap(child => child === paragraphs[0] ? child.children : [child]);
+  }
+
+  /**
+   * Merge consecutive paragraphs that are nothing but code into one code
+   * block (code pasted from a document set in a monospace font). A single
+   * such paragraph becomes a code block when it has several lines and
+   * stays inline code otherwise.
+   * @param {Array} nodes - Cleaned nodes
+   * @returns {Array} Nodes
+   */
+  groupCodeParagraphs(nodes) {
+    const result = [];
+    let run = [];
+
+    const flush = () => {
+      if (run.length > 1 || run[0]?.children.some(hasLineBreak)) {
+        const lines = run.map(paragraph => paragraph.children.map(textContent).join('').replace(/\u00a0/g, ' '));
+        result.push(createElement('pre', [{ type: 'text', content: lines.join('\n') }]));
+      } else {
+        result.push(...run);
+      }
+      run = [];
+    };
+
+    for (const node of nodes) {
+      if (node.type === 'element' && node.tag === 'p' && isCodeParagraph(node)) {
+        run.push(node);
+      } else if (!(run.length > 0 && isWhitespace(node))) {
+        flush();
+        result.push(node);
+      }
+    }
+    flush();
+
+    return result;
+  }
+
+  /**
+   * Split runs of inline content at double line breaks (Slack's paragraph
+   * breaks, <br><br> between paragraphs) into separate paragraphs
+   * @param {Array} nodes - Cleaned nodes
+   * @returns {Array} Nodes, unchanged when there is nothing to split
+   */
+  splitParagraphs(nodes) {
+    const result = [];
+    let paragraph = [];
+    let breaks = [];
+    let split = false;
+
+    const flush = () => {
+      if (paragraph.some(node => !isWhitespace(node))) result.push(createElement('p', paragraph));
+      paragraph = [];
+    };
+
+    for (const node of nodes) {
+      if (node.type === 'element' && node.tag === 'br') {
+        breaks.push(node);
+        continue;
+      }
+      if (breaks.length > 0 && isWhitespace(node)) continue;
+
+      if (breaks.length > 1) {
+        split = true;
+        flush();
+      } else {
+        paragraph.push(...breaks);
+      }
+      breaks = [];
+
+      if (node.type === 'element' && !isInline(node)) {
+        flush();
+        result.push(node);
+      } else {
+        paragraph.push(node);
+      }
+    }
+    flush();
+
+    return split ? result : nodes;
+  }
+}
+
+/**
+ * Create an element node
+ * @param {string} tag - Tag name
+ * @param {Array} children - Child nodes
+ * @returns {Object} Element node
+ */
+function createElement(tag, children = []) {
+  return { type: 'element', tag, attrs: {}, children };
+}
+
+/**
+ * Parse a style attribute into lower-case properties. Values keep their
+ * case (mso-list:Ignore).
+ * @param {string} style - Style attribute
+ * @returns {Object} Property -> value
+ */
+function parseStyle(style) {
+  const properties = {};
+  for (const declaration of (style || '').split(';')) {
+    const colon = declaration.indexOf(':');
+    if (colon === -1) continue;
+    const property = declaration.slice(0, colon).trim().toLowerCase();
+    if (property) properties[property] = declaration.slice(colon + 1).trim();
+  }
+  return properties;
+}
+
+/**
+ * Remove Word's list bullets (mso-list:Ignore spans) from a tree
+ * @param {Array} nodes - Element tree nodes
+ * @returns {Array} Nodes without bullets
+ */
+function removeWordBullets(nodes) {
+  return nodes
+    .filter(node => node.type !== 'element' || parseStyle(node.attrs.style)['mso-list'] !== 'Ignore')
+    .map(node => node.type === 'element' ? { ...node, children: removeWordBullets(node.children) } : node);
+}
+
+/**
+ * Text content of a node; <br> counts as a newline
+ * @param {Object} node - Element tree node
+ * @returns {string} Text
+ */
+function textContent(node) {
+  if (node.type === 'text') return node.content;
+  if (node.tag === 'br') return '\n';
+  return node.children.map(textContent).join('');
+}
+
+/**
+ * Text content of a code block; nested <div>s and <p>s are lines
+ * @param {Object} node - Element tree node
+ * @returns {string} Text
+ */
+function codeText(node) {
+  if (node.type === 'text' || node.tag === 'br') return textContent(node);
+  const text = node.children.map(codeText).join('');
+  return (node.tag === 'div' || node.tag === 'p') && !text.endsWith('\n') ? `${text}\n` : text;
+}
+
+/**
+ * Whether a node is only whitespace text
+ * @param {Object} node - Element tree node
+ * @returns {boolean} True for whitespace text
+ */
+function isWhitespace(node) {
+  return node.type === 'text' && !node.content.trim();
+}
+
+/**
+ * Whether an element is phrasing content
+ * @param {Object} node - Element node
+ * @returns {boolean} True for inline elements
+ */
+function isInline(node) {
+  return !BLOCK_CONTAINERS.has(node.tag) &&
+    !/^(?:p|pre|ul|ol|dl|table|h[1-6]|hr|details)$/.test(node.tag);
+}
+
+/**
+ * Whether a node is or contains a <br> (Word and Google Docs put the line
+ * breaks of monospace text inside its <span>)
+ * @param {Object} node - Element tree node
+ * @returns {boolean} True if there is a line break
+ */
+function hasLineBreak(node) {
+  return node.type === 'element' && (node.tag === 'br' || node.children.some(hasLineBreak));
+}
+
+/**
+ * Whether a paragraph holds nothing but code
+ * @param {Object} element - <p> element
+ * @returns {boolean} True when every non-blank child is <code> or <br>
+ */
+function isCodeParagraph(element) {
+  const content = element.children.filter(child => !isWhitespace(child));
+  return content.some(child => child.tag === 'code') &&
+    content.every(child => child.type === 'element' && (child.tag === 'code' || child.tag === 'br'));
+}
+
+/**
+ * The last <li> among a list's children
+ * @param {Array} nodes - Element tree nodes
+ * @returns {Object|undefined} List item element
+ */
+function lastItem(nodes) {
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    if (nodes[i].type === 'element' && nodes[i].tag === 'li') return nodes[i];
+  }
+  return undefined;
+}
+
+/**
+ * Build nested lists from items with a depth
+ * @param {Array} items - { level, ordered, item } in document order
+ * @returns {Array} Top-level list elements
+ */
+function buildNestedLists(items) {
+  const lists = [];
+  const open = [];
+
+  for (const { level, ordered, item } of items) {
+    while (open.length && open[open.length - 1].level > level) open.pop();
+    let top = open[open.length - 1];
+
+    if (!top || top.level < level || top.ordered !== ordered) {
+      if (top && top.level === level) open.pop();
+      const list = createElement(ordered ? 'ol' : 'ul');
+      const parent = open[open.length - 1];
+      if (parent) {
+        parent.list.children[parent.list.children.length - 1].children.push(list);
+      } else {
+        lists.push(list);
+      }
+      top = { level, ordered, list };
+      open.push(top);
+    }
+    top.list.children.push(item);
+  }
+
+  return lists;
+}
@@ -0,0 +1,234 @@
+/**
+ * Sanitizer - Allow-list based cleanup of the worker output
+ *
+ * Runs in two places: over the AST, so unsafe links never reach any output
+ * target (HTML, ADF, Markdown), and over the generated HTML as a final
+ * allow-list pass before it is injected into the preview panes. Everything
+ * that is removed is recorded in `removed` so the UI can warn about it.
+ */
+
+import { NODE_TYPES, PANEL_TYPES, STATUS_COLORS } from './parser-engine.js';
+import { HTMLParser } from './html-parser.js';
+import { escapeHtml } from './html-generator.js';
+
+// URL schemes that may appear in links. Relative URLs have no scheme.
+export const ALLOWED_SCHEMES = ['http', 'https', 'mailto'];
+
+// Tag -> allowed attributes. Mirrors what the Jira editor keeps on paste.
+const ALLOWED_ELEMENTS = {
+  p: [], br: [], hr: [],
+  h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+  strong: [], b: [], em: [], i: [], del: [], s: [], u: [], sup: [],
+  code: ['class'], pre: ['class'],
+  blockquote: [],
+  ul: [], ol: ['start'], li: ['id'],
+  dl: [], dt: [], dd: [],
+  a: ['href', 'title', 'id'],
+  table: [], thead: [], tbody: [], tr: [],
+  th: ['style', 'align'], td: ['style', 'align'],
+  div: ['class', 'data-node-type', 'data-task-list-local-id', 'data-task-local-id', 'data-task-state', 'data-panel-type'],
+  details: ['data-node-type', 'data-title'], summary: [],
+  span: ['style', 'data-node-type', 'data-color', 'data-emoji-short-name'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  input: ['type', 'checked', 'disabled']
+};
+
+// Attributes allowed on every element
+const GLOBAL_ATTRIBUTES = ['data-source-lines'];
+
+// Elements removed together with their content
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'template', 'noscript', 'textarea', 'select', 'button', 'form', 'svg', 'math',
+  'link', 'meta', 'base', 'title', 'head'
+]);
+
+// Dropped elements that run code or load other documents. Reading pasted
+// HTML reports only these: clipboard HTML always carries <meta> and <style>.
+const ACTIVE_ELEMENTS = new Set(['script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet']);
+
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'input', 'img']);
+
+// CSS property -> allowed values in style attributes
+const STYLE_PROPERTIES = {
+  'text-align': /^(left|center|right)$/i,
+  color: /^#[0-9a-f]{3,6}$/i,
+  'font-style': /^italic$/i,
+  'font-weight': /^bold$/i
+};
+
+// Attribute value checks beyond the allow-list
+const ATTRIBUTE_RULES = {
+  style: value => value.split(';').filter(part => part.trim()).every(declaration => {
+    const [property, ...rest] = declaration.split(':');
+    const pattern = STYLE_PROPERTIES[property.trim().toLowerCase()];
+    return !!pattern && pattern.test(rest.join(':').trim());
+  }),
+  align: value => /^(left|center|right)$/i.test(value),
+  start: value => /^-?\d+$/.test(value),
+  width: value => /^\d+$/.test(value),
+  height: value => /^\d+$/.test(value),
+  type: value => value.toLowerCase() === 'checkbox',
+  class: value => /^[\w\s-]*$/.test(value),
+  id: value => /^[\p{L}\p{N}_-]+$/u.test(value),
+  'data-panel-type': value => PANEL_TYPES.includes(value),
+  'data-color': value => STATUS_COLORS.includes(value),
+  'data-emoji-short-name': value => /^:[\w+-]+:$/.test(value),
+  'data-source-lines': value => /^\d+-\d+$/.test(value)
+};
+
+/**
+ * Check whether a URL uses an allowed scheme (or is relative)
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL is safe to link to
+ */
+export function isSafeUrl(url) {
+  // Browsers ignore whitespace and control characters inside the scheme
+  // ("java\tscript:"), so strip them before looking at it
+  const normalized = String(url).replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = normalized.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+  return !scheme || ALLOWED_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+export class Sanitizer {
+  constructor(options = {}) {
+    this.options = { ...options };
+    this.parser = new HTMLParser();
+    this.removed = [];
+  }
+
+  /**
+   * Remove links and images with disallowed URL schemes from an AST. The
+   * link text (or image alt text) is kept as plain content.
+   * @param {Object} node - AST node
+   * @returns {Object} Sanitized copy of the node
+   */
+  sanitizeAst(node) {
+    if (!Array.isArray(node.children)) return node;
+
+    const children = node.children.flatMap(child => {
+      if (child.type === NODE_TYPES.LINK && !isSafeUrl(child.url)) {
+        this.report('url', 'a', child.url);
+        return child.children.map(grandchild => this.sanitizeAst(grandchild));
+      }
+      if (child.type === NODE_TYPES.IMAGE && child.url && !isSafeUrl(child.url)) {
+        this.report('url', 'img', child.url);
+        return child.alt ? [{ type: NODE_TYPES.TEXT, content: child.alt }] : [];
+      }
+      return [this.sanitizeAst(child)];
+    });
+
+    return { ...node, children };
+  }
+
+  /**
+   * Remove script-like elements from a parsed HTML tree before it is read
+   * back into Markdown. Unsafe links are left to sanitizeAst.
+   * @param {Object} node - Element tree node from HTMLParser
+   * @returns {Object} Sanitized copy of the node
+   */
+  sanitizeTree(node) {
+    if (node.type !== 'element') return node;
+
+    const children = node.children.flatMap(child => {
+      if (child.type === 'element' && ACTIVE_ELEMENTS.has(child.tag)) {
+        this.report('element', child.tag);
+        return [];
+      }
+      return [this.sanitizeTree(child)];
+    });
+
+    return { ...node, children };
+  }
+
+  /**
+   * Filter HTML through the element/attribute allow-list
+   * @param {string} html - Generated HTML
+   * @returns {string} Sanitized HTML
+   */
+  sanitizeHtml(html) {
+    const root = this.parser.parse(html);
+    return root.children.map(node => this.serialize(node)).join('');
+  }
+
+  /**
+   * Serialize a parsed node, dropping anything not on the allow-list
+   * @param {Object} node - Element or text node
+   * @returns {string} HTML
+   */
+  serialize(node) {
+    if (node.type === 'text') {
+      return escapeHtml(node.content);
+    }
+
+    const { tag } = node;
+    if (DROPPED_ELEMENTS.has(tag)) {
+      this.report('element', tag);
+      return '';
+    }
+
+    const children = node.children.map(child => this.serialize(child)).join('');
+    const allowed = ALLOWED_ELEMENTS[tag];
+    if (!allowed) {
+      // Unknown but harmless wrapper: keep its content
+      this.report('element', tag);
+      return children;
+    }
+
+    if (tag === 'input' && !ATTRIBUTE_RULES.type(node.attrs.type || '')) {
+      this.report('element', tag, node.attrs.type);
+      return '';
+    }
+
+    const attributes = Object.entries(node.attrs)
+      .filter(([name, value]) => this.isAllowedAttribute(tag, name, value))
+      .map(([name, value]) => value === '' && (name === 'checked' || name === 'disabled')
+        ? ` ${name}`
+        : ` ${name}="${escapeHtml(value)}"`)
+      .join('');
+
+    if (VOID_ELEMENTS.has(tag)) {
+      return `<${tag}${attributes}>`;
+    }
+    return `<${tag}${attributes}>${children}</${tag}>`;
+  }
+
+  /**
+   * Check an attribute against the allow-list and its value rules
+   * @param {string} tag - Element tag
+   * @param {string} name - Attribute name
+   * @param {string} value - Attribute value
+   * @returns {boolean} True if the attribute is kept
+   */
+  isAllowedAttribute(tag, name, value) {
+    if (!ALLOWED_ELEMENTS[tag].includes(name) && !GLOBAL_ATTRIBUTES.includes(name)) {
+      this.report('attribute', `${tag}[${name}]`, value);
+      return false;
+    }
+
+    if (URL_ATTRIBUTES.has(name) && !isSafeUrl(value)) {
+      this.report('url', tag, value);
+      return false;
+    }
+
+    const rule = ATTRIBUTE_RULES[name];
+    if (rule && !rule(value)) {
+      this.report('attribute', `${tag}[${name}]`, value);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record removed content
+   * @param {string} type - 'url', 'element' or 'attribute'
+   * @param {string} name - Element or attribute name
+   * @param {string} value - Removed value, if any
+   */
+  report(type, name, value = null) {
+    this.removed.push({ type, name, value });
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * Syntax Highlighter - Small regex-based highlighter for code blocks
+ *
+ * Emits spans with inline colour styles rather than classes, because Jira
+ * strips classes on paste. The palette is mid-tone so it stays readable on
+ * both the light and the dark code block background.
+ */
+
+import { escapeHtml } from './html-generator.js';
+
+// Token type -> inline style
+const TOKEN_STYLES = {
+  comment: 'color: #7a869a; font-style: italic',
+  string: 'color: #22a06b',
+  number: 'color: #e56910',
+  keyword: 'color: #8270db; font-weight: bold',
+  literal: 'color: #1d7afc',
+  type: 'color: #00a3bf',
+  property: 'color: #cd519d',
+  variable: 'color: #cd519d'
+};
+
+const NUMBER = /\b(?:0x[\da-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)[lfd]?\b/iy;
+const DOUBLE_QUOTED = /"(?:[^"\\\n]|\\.)*"?/y;
+const SINGLE_QUOTED = /'(?:[^'\\\n]|\\.)*'?/y;
+
+/**
+ * Build a sticky, word-bounded keyword pattern
+ * @param {string} list - Space separated words
+ * @param {string} flags - Extra regex flags
+ * @returns {RegExp} Pattern
+ */
+function words(list, flags = '') {
+  return new RegExp(`\\b(?:${list.trim().split(/\s+/).join('|')})\\b`, `y${flags}`);
+}
+
+// Language -> ordered token rules. The first rule that matches wins.
+const LANGUAGES = {
+  sql: [
+    { type: 'comment', pattern: /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y },
+    { type: 'string', pattern: /'(?:[^']|'')*'?/y },
+    { type: 'property', pattern: /"[^"\n]*"?|`[^`\n]*`?/y },
+    { type: 'keyword', pattern: words(`
+      select from where and or not in is null like between join inner left right
+      outer full cross on as insert into values update set delete create alter drop
+      table index view primary key foreign references group by order having limit
+      offset distinct union all exists case when then else end asc desc with
+      returning default constraint unique begin commit rollback`, 'i') },
+    { type: 'literal', pattern: words('true false', 'i') },
+    { type: 'type', pattern: words(`
+      int integer bigint smallint decimal numeric float real double varchar char
+      text boolean date time timestamp json jsonb uuid serial`, 'i') },
+    { type: 'number', pattern: NUMBER }
+  ],
+
+  json: [
+    { type: 'property', pattern: /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y },
+    { type: 'string', pattern: DOUBLE_QUOTED },
+    { type: 'literal', pattern: words('true false null') },
+    { type: 'number', pattern: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y }
+  ],
+
+  java: [
+    { type: 'comment', pattern: /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y },
+    { type: 'string', pattern: /"""[\s\S]*?(?:"""|$)/y },
+    { type: 'string', pattern: DOUBLE_QUOTED },
+    { type: 'string', pattern: SINGLE_QUOTED },
+    { type: 'keyword', pattern: /@\w+/y },
+    { type: 'keyword', pattern: words(`
+      abstract assert break case catch class continue default do else enum extends
+      final finally for if implements import instanceof interface native new
+      package private protected public return static super switch synchronized
+      this throw throws transient try var void volatile while record yield`) },
+    { type: 'literal', pattern: words('true false null') },
+    { type: 'type', pattern: words('boolean byte char double float int long short') },
+    { type: 'type', pattern: /\b[A-Z]\w*/y },
+    { type: 'number', pattern: NUMBER }
+  ],
+
+  javascript: [
+    { type: 'comment', pattern: /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y },
+    { type: 'string', pattern: /`(?:[^`\\]|\\[\s\S])*`?/y },
+    { type: 'string', pattern: DOUBLE_QUOTED },
+    { type: 'string', pattern: SINGLE_QUOTED },
+    { type: 'keyword', pattern: words(`
+      async await break case catch class const continue debugger default delete do
+      else export extends finally for from function if import in instanceof let new
+      of return static super switch this throw try typeof var void while with yield
+      interface type enum implements`) },
+    { type: 'literal', pattern: words('true false null undefined NaN Infinity') },
+    { type: 'type', pattern: /\b[A-Z]\w*/y },
+    { type: 'number', pattern: NUMBER }
+  ],
+
+  python: [
+    { type: 'comment', pattern: /#[^\n]*/y },
+    { type: 'string', pattern: /[rbfu]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/iy },
+    { type: 'string', pattern: /[rbfu]{0,2}(?:"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?)/iy },
+    { type: 'keyword', pattern: /@[\w.]+/y },
+    { type: 'keyword', pattern: words(`
+      and as assert async await break class continue def del elif else except
+      finally for from global if import in is lambda nonlocal not or pass raise
+      return try while with yield match case`) },
+    { type: 'literal', pattern: words('True False None') },
+    { type: 'number', pattern: NUMBER }
+  ],
+
+  shell: [
+    { type: 'comment', pattern: /(?<![\w$])#[^\n]*/y },
+    { type: 'string', pattern: /"(?:[^"\\]|\\[\s\S])*"?/y },
+    { type: 'string', pattern: /'[^']*'?/y },
+    { type: 'variable', pattern: /\$(?:\{[^}\n]*\}?|\w+|[@*#?$!0-9-])/y },
+    { type: 'keyword', pattern: words(`
+      if then else elif fi for while until do done case esac in function return
+      export local readonly unset shift exit break continue source alias`) },
+    { type: 'property', pattern: /(?<=\s)--?[\w-]+/y }
+  ]
+};
+
+// Fence info string -> language
+const ALIASES = {
+  sql: 'sql', mysql: 'sql', postgres: 'sql', postgresql: 'sql', plsql: 'sql',
+  json: 'json', jsonc: 'json',
+  java: 'java',
+  javascript: 'javascript', js: 'javascript', jsx: 'javascript',
+  typescript: 'javascript', ts: 'javascript', tsx: 'javascript',
+  python: 'python', py: 'python',
+  shell: 'shell', sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell'
+};
+
+export class SyntaxHighlighter {
+  /**
+   * Resolve a fence language (or alias) to a rule set name
+   * @param {string} language - Fence language
+   * @returns {string|null} Language name
+   */
+  resolve(language) {
+    return language ? ALIASES[language.toLowerCase()] || null : null;
+  }
+
+  /**
+   * Highlight code. Unsupported languages are only escaped.
+   * @param {string} code - Source code
+   * @param {string} language - Fence language
+   * @returns {string} Escaped HTML with styled spans
+   */
+  highlight(code, language) {
+    const rules = LANGUAGES[this.resolve(language)];
+    if (!rules) return escapeHtml(code);
+
+    let html = '';
+    let plain = '';
+    let index = 0;
+
+    while (index < code.length) {
+      const token = this.matchToken(rules, code, index);
+      if (!token) {
+        // Skip a whole word so keywords never match inside identifiers
+        const word = /\w+|[\s\S]/y;
+        word.lastIndex = index;
+        const text = word.exec(code)[0];
+        plain += text;
+        index += text.length;
+        continue;
+      }
+
+      html += escapeHtml(plain) + this.renderToken(token.type, token.text);
+      plain = '';
+      index += token.text.length;
+    }
+
+    return html + escapeHtml(plain);
+  }
+
+  /**
+   * Match the first rule at a position
+   * @param {Array} rules - Token rules
+   * @param {string} code - Source code
+   * @param {number} index - Position
+   * @returns {Object|null} { type, text }
+   */
+  matchToken(rules, code, index) {
+    for (const rule of rules) {
+      rule.pattern.lastIndex = index;
+      const match = rule.pattern.exec(code);
+      if (match && match[0]) {
+        return { type: rule.type, text: match[0] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Render a token as a styled span. Multi-line tokens are split per line
+   * so a copied block keeps its colours line by line.
+   * @param {string} type - Token type
+   * @param {string} text - Token text
+   * @returns {string} HTML
+   */
+  renderToken(type, text) {
+    return text
+      .split('\n')
+      .map(line => line ? `<span style="${TOKEN_STYLES[type]}">${escapeHtml(line)}</span>` : '')
+      .join('\n');
+  }
+}
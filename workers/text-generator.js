@@ -0,0 +1,144 @@
+/**
+ * Text Generator - Renders the parser AST as readable plain text
+ *
+ * Used for the text/plain part of rich copies and for "Copy as plain
+ * text": no markup, but lists keep their bullets and numbers, tables their
+ * columns (tab separated) and links their URLs.
+ */
+
+import { NODE_TYPES } from './parser-engine.js';
+
+export class TextGenerator {
+  constructor(options = {}) {
+    this.options = {
+      bullet: '•',
+      indent: '   ',
+      ...options
+    };
+
+    this.blockRenderers = {
+      [NODE_TYPES.PARAGRAPH]: node => this.renderInline(node.children),
+      [NODE_TYPES.HEADING]: node => this.renderInline(node.children).replace(/\n/g, ' '),
+      [NODE_TYPES.THEMATIC_BREAK]: () => '---',
+      [NODE_TYPES.BLOCKQUOTE]: node => this.prefixLines(this.renderBlocks(node.children), '> ', '>'),
+      [NODE_TYPES.CODE_BLOCK]: node => node.content,
+      [NODE_TYPES.LIST]: node => this.renderList(node),
+      [NODE_TYPES.TABLE]: node => node.children.map(row =>
+        row.children.map(cell => this.renderInline(cell.children).replace(/\s*\n\s*/g, ' ').trim()).join('\t')
+      ).join('\n'),
+      [NODE_TYPES.PANEL]: node => this.renderBlocks(node.children),
+      [NODE_TYPES.EXPAND]: node => [node.title, this.renderBlocks(node.children)].filter(Boolean).join('\n\n'),
+      [NODE_TYPES.DEFINITION_LIST]: node => node.children.map(child => child.type === NODE_TYPES.DEFINITION_TERM
+        ? this.renderInline(child.children)
+        : this.prefixLines(this.renderBlocks(child.children), this.options.indent)
+      ).join('\n'),
+      [NODE_TYPES.FOOTNOTES]: node => node.children.map(footnote =>
+        this.prefixLines(`[${footnote.number}] ${this.renderBlocks(footnote.children)}`, this.options.indent, '', true)
+      ).join('\n')
+    };
+
+    this.inlineRenderers = {
+      [NODE_TYPES.TEXT]: node => node.content,
+      [NODE_TYPES.STRONG]: node => this.renderInline(node.children),
+      [NODE_TYPES.EMPHASIS]: node => this.renderInline(node.children),
+      [NODE_TYPES.STRIKETHROUGH]: node => this.renderInline(node.children),
+      [NODE_TYPES.UNDERLINE]: node => this.renderInline(node.children),
+      [NODE_TYPES.CODE]: node => node.content,
+      [NODE_TYPES.LINK]: node => this.renderLink(node),
+      [NODE_TYPES.IMAGE]: node => node.alt || '',
+      [NODE_TYPES.FOOTNOTE_REFERENCE]: node => `[${node.number}]`,
+      [NODE_TYPES.MENTION]: node => `@${node.username}`,
+      [NODE_TYPES.STATUS]: node => `[${node.text.toUpperCase()}]`,
+      [NODE_TYPES.EMOJI]: node => node.text,
+      [NODE_TYPES.LINE_BREAK]: () => '\n'
+    };
+  }
+
+  /**
+   * Generate plain text from parsed AST
+   * @param {Object} ast - Abstract syntax tree
+   * @returns {string} Plain text
+   */
+  generate(ast) {
+    return this.renderBlocks(ast.children).trim();
+  }
+
+  /**
+   * Render block nodes separated by blank lines
+   * @param {Array} nodes - Block nodes
+   * @param {string} separator - Separator between blocks
+   * @returns {string} Plain text
+   */
+  renderBlocks(nodes = [], separator = '\n\n') {
+    return nodes.map(node => {
+      const renderer = this.blockRenderers[node.type];
+      if (!renderer) {
+        throw new Error(`No text renderer for node type: ${node.type}`);
+      }
+      return renderer(node);
+    }).filter(text => text !== '').join(separator);
+  }
+
+  /**
+   * Render inline nodes
+   * @param {Array} nodes - Inline nodes
+   * @returns {string} Plain text
+   */
+  renderInline(nodes = []) {
+    return nodes.map(node => {
+      const renderer = this.inlineRenderers[node.type];
+      if (!renderer) {
+        throw new Error(`No text renderer for inline node type: ${node.type}`);
+      }
+      return renderer(node);
+    }).join('');
+  }
+
+  /**
+   * Render a list with bullets, numbers or checkboxes. Nested content is
+   * indented under the item text.
+   * @param {Object} node - List node
+   * @returns {string} Plain text
+   */
+  renderList(node) {
+    const start = node.start ?? 1;
+    return node.children.map((item, index) => {
+      const marker = typeof item.checked === 'boolean'
+        ? (item.checked ? '[x]' : '[ ]')
+        : node.ordered ? `${start + index}.` : this.options.bullet;
+      const content = this.renderBlocks(item.children, node.tight ? '\n' : '\n\n');
+      return this.prefixLines(`${marker} ${content}`, ' '.repeat(marker.length + 1), '', true).trimEnd();
+    }).join(node.tight ? '\n' : '\n\n');
+  }
+
+  /**
+   * Render a link's text, followed by its URL when the text is not the URL
+   * @param {Object} node - Link node
+   * @returns {string} Plain text
+   */
+  renderLink(node) {
+    const text = this.renderInline(node.children);
+    const url = node.url.replace(/^mailto:/, '');
+    // Links within the document (footnotes, table of contents) mean nothing on their own
+    if (text === url || node.url.startsWith('#')) return text;
+    return text ? `${text} (${url})` : url;
+  }
+
+  /**
+   * Prefix every line of a block
+   * @param {string} text - Text to prefix
+   * @param {string} prefix - Prefix for non-empty lines
+   * @param {string} emptyPrefix - Prefix for empty lines
+   * @param {boolean} skipFirst - Leave the first line untouched
+   * @returns {string} Prefixed text
+   */
+  prefixLines(text, prefix, emptyPrefix = '', skipFirst = false) {
+    return text
+      .split('\n')
+      .map((line, index) => {
+        if (skipFirst && index === 0) return line;
+        return line ? `${prefix}${line}` : emptyPrefix;
+      })
+      .join('\n');
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * Wiki Generator - Renders the parser AST as Jira wiki markup
+ *
+ * The counterpart of WikiParser, for pasting into fields and tools that
+ * still take wiki markup. Constructs wiki markup has no syntax for
+ * (expands, definition lists, status lozenges) keep their text.
+ */
+
+import { NODE_TYPES } from './parser-engine.js';
+import { JIRA_EMOTICONS } from './emoji-replacer.js';
+
+// Jira panel type -> {panel} background colour
+const PANEL_COLORS = {
+  info: '#deebff',
+  note: '#eae6ff',
+  success: '#e3fcef',
+  warning: '#fffae6',
+  error: '#ffebe6'
+};
+
+// Inline formatting -> wiki marker
+const WIKI_MARKERS = {
+  [NODE_TYPES.STRONG]: '*',
+  [NODE_TYPES.EMPHASIS]: '_',
+  [NODE_TYPES.STRIKETHROUGH]: '-',
+  [NODE_TYPES.UNDERLINE]: '+'
+};
+
+// Emoji short name -> Jira emoticon, e.g. ":thumbsup:" -> "(y)"
+const EMOTICONS = Object.entries(JIRA_EMOTICONS).reduce((emoticons, [emoticon, name]) => {
+  if (!emoticons[`:${name}:`]) emoticons[`:${name}:`] = emoticon;
+  return emoticons;
+}, {});
+
+const ALPHANUMERIC = /[\p{L}\p{N}]/u;
+
+export class WikiGenerator {
+  constructor(options = {}) {
+    this.options = { ...options };
+
+    this.blockRenderers = {
+      [NODE_TYPES.PARAGRAPH]: node => this.escapeLineStarts(this.renderInline(node.children)),
+      [NODE_TYPES.HEADING]: node => `h${node.level}. ${this.renderInline(node.children, ' ')}`,
+      [NODE_TYPES.THEMATIC_BREAK]: () => '----',
+      [NODE_TYPES.BLOCKQUOTE]: node => `{quote}\n${this.renderBlocks(node.children)}\n{quote}`,
+      [NODE_TYPES.CODE_BLOCK]: node => this.renderCodeBlock(node),
+      [NODE_TYPES.LIST]: node => this.renderList(node),
+      [NODE_TYPES.TABLE]: node => this.renderTable(node),
+      [NODE_TYPES.PANEL]: node =>
+        `{panel:bgColor=${PANEL_COLORS[node.panelType] || PANEL_COLORS.info}}\n${this.renderBlocks(node.children)}\n{panel}`,
+      [NODE_TYPES.EXPAND]: node => this.renderBlocks([
+        ...(node.title ? [{ type: NODE_TYPES.PARAGRAPH, children: [{ type: NODE_TYPES.STRONG, children: [{ type: NODE_TYPES.TEXT, content: node.title }] }] }] : []),
+        ...node.children
+      ]),
+      [NODE_TYPES.DEFINITION_LIST]: node => this.renderDefinitionList(node),
+      [NODE_TYPES.FOOTNOTES]: node => ['----', ...node.children.map(footnote =>
+        `^${footnote.number}^ ${this.renderBlocks(footnote.children)}`)].join('\n')
+    };
+
+    this.inlineRenderers = {
+      [NODE_TYPES.TEXT]: (node, context) => this.escapeText(node.content, context),
+      [NODE_TYPES.CODE]: (node, context) => `{{${this.escapeCode(node.content, context)}}}`,
+      [NODE_TYPES.LINK]: node => this.renderLink(node),
+      [NODE_TYPES.IMAGE]: (node, context) => this.renderImage(node, context),
+      [NODE_TYPES.FOOTNOTE_REFERENCE]: node => `^${node.number}^`,
+      [NODE_TYPES.MENTION]: node => node.accountId ? `[~accountid:${node.accountId}]` : `[~${node.username}]`,
+      [NODE_TYPES.STATUS]: node => this.renderMarked('*', [{ type: NODE_TYPES.TEXT, content: node.text.toUpperCase() }]),
+      [NODE_TYPES.EMOJI]: node => EMOTICONS[node.shortName] || node.shortName || node.text,
+      [NODE_TYPES.LINE_BREAK]: (node, context) => context.lineBreak
+    };
+  }
+
+  /**
+   * Generate wiki markup from parsed AST
+   * @param {Object} ast - Abstract syntax tree
+   * @returns {string} Wiki markup
+   */
+  generate(ast) {
+    return this.renderBlocks(ast.children).trim();
+  }
+
+  /**
+   * Render block nodes separated by blank lines
+   * @param {Array} nodes - Block nodes
+   * @returns {string} Wiki markup
+   */
+  renderBlocks(nodes = []) {
+    return nodes.map(node => this.renderBlock(node)).filter(text => text !== '').join('\n\n');
+  }
+
+  /**
+   * Render individual block node
+   * @param {Object} node - Block AST node
+   * @returns {string} Wiki markup
+   */
+  renderBlock(node) {
+    const renderer = this.blockRenderers[node.type];
+    if (!renderer) {
+      throw new Error(`No wiki renderer for node type: ${node.type}`);
+    }
+    return renderer(node);
+  }
+
+  /**
+   * Render inline nodes. Formatting that touches a letter or digit uses
+   * the {*}braced{*} form, since plain markers only work at word edges.
+   * @param {Array} nodes - Inline nodes
+   * @param {string} lineBreak - Markup for a line break ("\\\\" where a
+   *   newline would end the block, as in lists and tables)
+   * @param {Object} context - Rendering context ({ inLink })
+   * @returns {string} Wiki markup
+   */
+  renderInline(nodes = [], lineBreak = '\n', context = {}) {
+    const parts = nodes.map(node => {
+      const marker = WIKI_MARKERS[node.type];
+      if (marker) {
+        return this.renderMarked(marker, node.children, lineBreak, context);
+      }
+
+      const renderer = this.inlineRenderers[node.type];
+      if (!renderer) {
+        throw new Error(`No wiki renderer for inline node type: ${node.type}`);
+      }
+      return renderer(node, { ...context, lineBreak });
+    });
+
+    return parts.reduce((markup, part, index) => {
+      if (typeof part === 'string') return markup + part;
+
+      const next = parts.slice(index + 1).map(rest => typeof rest === 'string' ? rest : rest.leading || rest.marker).join('');
+      const braced = ALPHANUMERIC.test(markup.slice(-1)) || ALPHANUMERIC.test(next[0] || '');
+      const marker = braced ? `{${part.marker}}` : part.marker;
+      return `${markup}${part.leading}${marker}${part.inner}${marker}${part.trailing}`;
+    }, '');
+  }
+
+  /**
+   * Render formatted content. Edge whitespace moves outside the markers,
+   * which must hug the text. Returns a part for renderInline to finish
+   * once it knows the neighbouring characters.
+   * @param {string} marker - Wiki marker
+   * @param {Array} children - Inline nodes
+   * @param {string} lineBreak - Markup for a line break
+   * @param {Object} context - Rendering context
+   * @returns {Object|string} Part ({ marker, leading, inner, trailing }),
+   *   or the plain content when it is only whitespace
+   */
+  renderMarked(marker, children, lineBreak = '\n', context = {}) {
+    const content = this.renderInline(children, lineBreak, context);
+    const [, leading, inner, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return inner ? { marker, leading, inner, trailing } : content;
+  }
+
+  /**
+   * Render a code block. A {code} macro ends at the first "{code}" and a
+   * {noformat} at the first "{noformat}", so the macro is chosen to not
+   * occur in the content; when both do, the inner one is escaped.
+   * @param {Object} node - Code block node
+   * @returns {string} Wiki markup
+   */
+  renderCodeBlock(node) {
+    const { content } = node;
+    const closesCode = /\{code\}/i.test(content);
+    const closesNoformat = /\{noformat\}/i.test(content);
+
+    if (!closesCode && (node.language || closesNoformat)) {
+      return `{code${node.language ? `:${node.language}` : ''}}\n${content}\n{code}`;
+    }
+    const escaped = closesNoformat ? content.replace(/\{(noformat)\}/gi, '\\{$1\\}') : content;
+    return `{noformat}\n${escaped}\n{noformat}`;
+  }
+
+  /**
+   * Render a list. Nesting is spelled out in the marker ("*", "**", "#*").
+   * A list item is one line, so its later paragraphs and blocks follow a
+   * line break (\\) on that line. Tasks get a (/) or (off) emoticon, since
+   * wiki markup has no checklists.
+   * @param {Object} node - List node
+   * @param {string} prefix - Markers of the enclosing lists
+   * @returns {string} Wiki markup
+   */
+  renderList(node, prefix = '') {
+    const markers = prefix + (node.ordered ? '#' : '*');
+
+    return node.children.map(item => {
+      const task = typeof item.checked === 'boolean' ? (item.checked ? '(/) ' : '(off) ') : '';
+      const content = [];
+      const nested = [];
+
+      for (const child of item.children) {
+        if (child.type === NODE_TYPES.LIST) {
+          nested.push(this.renderList(child, markers));
+        } else if (child.type === NODE_TYPES.PARAGRAPH) {
+          content.push(this.renderInline(child.children, '\\\\'));
+        } else {
+          content.push(this.renderBlock(child));
+        }
+      }
+
+      return [`${markers} ${task}${content.join('\\\\')}`.trimEnd(), ...nested].join('\n');
+    }).join('\n');
+  }
+
+  /**
+   * Render a table. "||" separates header cells, "|" data cells.
+   * @param {Object} node - Table node
+   * @returns {string} Wiki markup
+   */
+  renderTable(node) {
+    return node.children.map(row => {
+      const cells = row.children.map(cell => {
+        const separator = cell.header ? '||' : '|';
+        const content = this.renderInline(cell.children, '\\\\', { inTable: true }).trim();
+        return `${separator}${content || ' '}`;
+      });
+      const last = row.children[row.children.length - 1];
+      return `${cells.join('')}${last?.header ? '||' : '|'}`;
+    }).join('\n');
+  }
+
+  /**
+   * Render a definition list as bold terms followed by their definitions
+   * @param {Object} node - Definition list node
+   * @returns {string} Wiki markup
+   */
+  renderDefinitionList(node) {
+    return node.children.map(child => child.type === NODE_TYPES.DEFINITION_TERM
+      ? this.renderInlineBlock({ type: NODE_TYPES.STRONG, children: child.children })
+      : this.renderBlocks(child.children)
+    ).join('\n');
+  }
+
+  /**
+   * Render one inline node as a paragraph of its own
+   * @param {Object} node - Inline node
+   * @returns {string} Wiki markup
+   */
+  renderInlineBlock(node) {
+    return this.escapeLineStarts(this.renderInline([node], ' '));
+  }
+
+  /**
+   * Render a link: [url] when the text is the URL, else [text|url]. Issue
+   * keys linked to their issue stay bare keys, which Jira links itself.
+   * @param {Object} node - Link node
+   * @returns {string} Wiki markup
+   */
+  renderLink(node) {
+    const text = node.children.length === 1 && node.children[0].type === NODE_TYPES.TEXT
+      ? node.children[0].content
+      : null;
+
+    if (text !== null && node.url.endsWith(`/browse/${text}`)) {
+      return text;
+    }
+    // "|" and "]" would end the link target
+    const url = node.url.replace(/[|\]]/g, encodeURIComponent);
+    if (text !== null && (text === node.url || `mailto:${text}` === node.url) && !node.title) {
+      return `[${url}]`;
+    }
+
+    const label = this.renderInline(node.children, ' ', { inLink: true });
+    const title = node.title ? `|${node.title.replace(/[|\]]/g, '')}` : '';
+    return `[${label}|${url}${title}]`;
+  }
+
+  /**
+   * Render an image. Attachments are referenced by file name. Inside a
+   * link the parameters are left out, as their "|" would end the label.
+   * @param {Object} node - Image node
+   * @param {Object} context - Rendering context ({ inLink })
+   * @returns {string} Wiki markup
+   */
+  renderImage(node, context = {}) {
+    const params = context.inLink ? [] : [
+      node.width && `width=${node.width}`,
+      node.height && `height=${node.height}`,
+      node.alt && `alt="${node.alt.replace(/["!|]/g, '')}"`,
+      node.title && `title="${node.title.replace(/["!|]/g, '')}"`
+    ].filter(Boolean);
+    const source = node.attachment || node.url;
+    return `!${source}${params.length > 0 ? `|${params.join(',')}` : ''}!`;
+  }
+
+  /**
+   * Escape characters that wiki markup would interpret inside text.
+   * Formatting markers only need it where they could open or close a run.
+   * @param {string} text - Plain text
+   * @param {Object} context - Rendering context ({ inLink, inTable })
+   * @returns {string} Escaped text
+   */
+  escapeText(text, context = {}) {
+    const special = context.inLink || context.inTable ? /[\\{}[\]|]/ : /[\\{}[\]]/;
+    let escaped = '';
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const before = text[i - 1] || ' ';
+      const after = text[i + 1] || ' ';
+
+      if (special.test(char)) {
+        escaped += `\\${char}`;
+      } else if ('*_-+^~'.includes(char) &&
+          ((!ALPHANUMERIC.test(before) && !/\s/.test(after)) || (!/\s/.test(before) && !ALPHANUMERIC.test(after)))) {
+        escaped += `\\${char}`;
+      } else if (char === '!' && !/\w/.test(before) && !/\s/.test(after)) {
+        escaped += '\\!';
+      } else {
+        escaped += char;
+      }
+    }
+
+    return escaped;
+  }
+
+  /**
+   * Escape a code span's braces, which would end {{...}} early or start a
+   * macro, and its pipes where they would end a cell or link label
+   * @param {string} code - Code span content
+   * @param {Object} context - Rendering context ({ inLink, inTable })
+   * @returns {string} Escaped content
+   */
+  escapeCode(code, context = {}) {
+    const special = context.inLink || context.inTable ? /[{}|]/g : /[{}]/g;
+    return code.replace(special, '\\$&');
+  }
+
+  /**
+   * Escape text at the start of lines that would otherwise start a block
+   * (headings, bq., lists, rules, tables)
+   * @param {string} text - Rendered paragraph
+   * @returns {string} Escaped paragraph
+   */
+  escapeLineStarts(text) {
+    return text
+      .split('\n')
+      .map(line => line
+        .replace(/^(\s*)(h[1-6]|bq)\.(?=[ \t])/, '$1$2\\.')
+        .replace(/^(\s*)([*#-])(?=[*#]*[ \t])/, '$1\\$2')
+        .replace(/^(\s*)(----)/, '$1\\$2')
+        .replace(/^(\s*)\|/, '$1\\|'))
+      .join('\n');
+  }
+}
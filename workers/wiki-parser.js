@@ -0,0 +1,620 @@
+/**
+ * Wiki Parser - Jira wiki markup dialect (h1., *bold*, {code}, [label|url], ...)
+ *
+ * Produces the same AST as ParserEngine, so every output target works for
+ * both dialects.
+ */
+
+import { ParserEngine, NODE_TYPES } from './parser-engine.js';
+
+// Block-level patterns
+const WIKI_BLOCK_PATTERNS = {
+  blank: /^[ \t]*$/,
+  heading: /^[ \t]*h([1-6])\.[ \t]+(.*)$/,
+  blockquoteLine: /^[ \t]*bq\.[ \t]+(.*)$/,
+  codeMacro: /^[ \t]*\{(code|noformat)(?::([^}]*))?\}(.*)$/,
+  quoteMacro: /^[ \t]*\{quote\}(.*)$/,
+  horizontalRule: /^[ \t]*-{4}[ \t]*$/,
+  listItem: /^[ \t]*([*#]+|-)[ \t]+(.*)$/,
+  tableRow: /^[ \t]*\|/
+};
+
+// Inline formatting markers
+const WIKI_MARKS = {
+  '*': NODE_TYPES.STRONG,
+  '_': NODE_TYPES.EMPHASIS,
+  '-': NODE_TYPES.STRIKETHROUGH,
+  '+': NODE_TYPES.UNDERLINE
+};
+
+// Link targets that Jira renders as links
+const LINK_TARGET = /^(?:https?:\/\/|ftp:\/\/|mailto:|file:|#)/i;
+
+// [label|http://... with no closing "]" on the line
+const UNCLOSED_LINK = /\[[^\]\n]*\|[ \t]*(?:https?:\/\/|ftp:\/\/|mailto:)[^\]\n]*(?=\n|$)/y;
+
+// !image.png! or !https://host/image.png|width=300,alt="Screenshot"!
+const IMAGE_PATTERN = /!([^\s!|][^!|\n]*?)(?:\|([^!\n]*))?!/y;
+const IMAGE_SOURCE = /^(?:https?:\/\/\S+|[^/\\]+\.\w{2,5})$/i;
+
+export class WikiParser extends ParserEngine {
+  /**
+   * Block rules in priority order. The last rule must always match.
+   * @returns {Function[]} Block tokenizer methods
+   */
+  getBlockRules() {
+    return [
+      this.tokenizeCodeMacro,
+      this.tokenizeQuoteMacro,
+      this.tokenizeWikiHeading,
+      this.tokenizeWikiBlockquote,
+      this.tokenizeHorizontalRule,
+      this.tokenizeWikiList,
+      this.tokenizeWikiTable,
+      this.tokenizeWikiParagraph
+    ];
+  }
+
+  /**
+   * {code[:lang]} ... {code} and {noformat} ... {noformat}.
+   * An unclosed macro runs to the end of input.
+   */
+  tokenizeCodeMacro(lines, index, depth, lineOffset) {
+    const match = lines[index].match(WIKI_BLOCK_PATTERNS.codeMacro);
+    if (!match) return null;
+
+    const [, macro, params, rest] = match;
+    const closing = `{${macro}}`;
+    const body = [];
+    let next = index;
+    let remainder = rest;
+
+    while (true) {
+      const close = remainder.indexOf(closing);
+      if (close !== -1) {
+        body.push(remainder.slice(0, close));
+        next++;
+        break;
+      }
+      body.push(remainder);
+      next++;
+      if (next >= lines.length) {
+        this.reportUnclosedMacro(macro, lines[index], lineOffset + index, depth);
+        break;
+      }
+      remainder = lines[next];
+    }
+
+    // Content starting on the macro line is rare; drop the empty first line
+    if (body.length > 1 && body[0].trim() === '') body.shift();
+    if (body.length > 1 && body[body.length - 1].trim() === '') body.pop();
+
+    return {
+      token: {
+        type: NODE_TYPES.CODE_BLOCK,
+        language: macro === 'code' ? this.parseCodeLanguage(params) : null,
+        fenced: true,
+        content: body.join('\n')
+      },
+      next
+    };
+  }
+
+  /**
+   * Report a {code}, {noformat} or {quote} macro without its closing tag
+   * @param {string} macro - Macro name
+   * @param {string} text - Opening line
+   * @param {number} line - Document line (0-based)
+   * @param {number} depth - Container nesting depth
+   */
+  reportUnclosedMacro(macro, text, line, depth) {
+    this.report('warning', `{${macro}} is never closed; it runs to the end of the ${depth > 0 ? 'block' : 'document'}`,
+      line, text, text.indexOf('{'));
+  }
+
+  /**
+   * Extract the language from {code} macro parameters
+   * (e.g. "java", "language=java" or "title=Foo.java|borderStyle=solid")
+   * @param {string} params - Raw macro parameters
+   * @returns {string|null} Language
+   */
+  parseCodeLanguage(params) {
+    if (!params) return null;
+
+    for (const param of params.split('|')) {
+      const [key, value] = param.split('=').map(part => part.trim());
+      if (value === undefined && key) return key.toLowerCase();
+      if (key === 'language' && value) return value.toLowerCase();
+    }
+
+    return null;
+  }
+
+  /**
+   * {quote} ... {quote}, parsed recursively
+   */
+  tokenizeQuoteMacro(lines, index, depth, lineOffset) {
+    const match = lines[index].match(WIKI_BLOCK_PATTERNS.quoteMacro);
+    if (!match) return null;
+
+    const inner = [];
+    let next = index;
+    let remainder = match[1];
+
+    while (true) {
+      const close = remainder.indexOf('{quote}');
+      if (close !== -1) {
+        inner.push(remainder.slice(0, close));
+        next++;
+        break;
+      }
+      inner.push(remainder);
+      next++;
+      if (next >= lines.length) {
+        this.reportUnclosedMacro('quote', lines[index], lineOffset + index, depth);
+        break;
+      }
+      remainder = lines[next];
+    }
+
+    if (depth >= this.options.maxNestingLevel) {
+      this.reportNestingLimit(lineOffset + index, lines[index]);
+    }
+    const children = depth < this.options.maxNestingLevel
+      ? this.tokenizeBlocks(inner, lineOffset + index, depth + 1)
+      : [{ type: NODE_TYPES.PARAGRAPH, content: inner.join('\n') }];
+
+    return {
+      token: { type: NODE_TYPES.BLOCKQUOTE, children },
+      next
+    };
+  }
+
+  /**
+   * Heading (h1. Title)
+   */
+  tokenizeWikiHeading(lines, index) {
+    const match = lines[index].match(WIKI_BLOCK_PATTERNS.heading);
+    if (!match) return null;
+
+    return {
+      token: { type: NODE_TYPES.HEADING, level: Number(match[1]), content: match[2].trim() },
+      next: index + 1
+    };
+  }
+
+  /**
+   * Single-line blockquote (bq. text)
+   */
+  tokenizeWikiBlockquote(lines, index) {
+    const match = lines[index].match(WIKI_BLOCK_PATTERNS.blockquoteLine);
+    if (!match) return null;
+
+    return {
+      token: {
+        type: NODE_TYPES.BLOCKQUOTE,
+        children: [{ type: NODE_TYPES.PARAGRAPH, content: match[1].trim() }]
+      },
+      next: index + 1
+    };
+  }
+
+  /**
+   * Horizontal rule (----)
+   */
+  tokenizeHorizontalRule(lines, index) {
+    if (!WIKI_BLOCK_PATTERNS.horizontalRule.test(lines[index])) return null;
+
+    return {
+      token: { type: NODE_TYPES.THEMATIC_BREAK },
+      next: index + 1
+    };
+  }
+
+  /**
+   * List - nesting comes from the marker string ("*", "**", "#*", ...),
+   * where each character sets the list type of that level.
+   */
+  tokenizeWikiList(lines, index, depth, lineOffset) {
+    const first = lines[index].match(WIKI_BLOCK_PATTERNS.listItem);
+    if (!first) return null;
+
+    const rootOrdered = first[1][0] === '#';
+    const root = this.createList(rootOrdered);
+    const stack = [root];
+    let next = index;
+
+    while (next < lines.length) {
+      const match = lines[next].match(WIKI_BLOCK_PATTERNS.listItem);
+
+      if (!match) {
+        // Lazy continuation of the current item
+        if (!WIKI_BLOCK_PATTERNS.blank.test(lines[next]) && !this.startsWikiBlock(lines[next])) {
+          const list = stack[stack.length - 1];
+          const item = list.children[list.children.length - 1];
+          item.children[0].content += `\n${lines[next].trim()}`;
+          next++;
+          continue;
+        }
+        break;
+      }
+
+      const markers = match[1] === '-' ? '*' : match[1];
+      if ((markers[0] === '#') !== rootOrdered) break;
+
+      // Close deeper levels, then open any missing ones
+      stack.length = Math.min(stack.length, markers.length);
+      while (stack.length < markers.length) {
+        const parent = stack[stack.length - 1];
+        if (parent.children.length === 0) {
+          parent.children.push(this.createListItem(''));
+        }
+        const parentItem = parent.children[parent.children.length - 1];
+        const nested = this.createList(markers[stack.length] === '#');
+        parentItem.children.push(nested);
+        stack.push(nested);
+      }
+
+      // A level whose type changed starts a sibling list in the parent item
+      let list = stack[stack.length - 1];
+      const ordered = markers[markers.length - 1] === '#';
+      if (list.ordered !== ordered && stack.length > 1) {
+        const parent = stack[stack.length - 2];
+        const parentItem = parent.children[parent.children.length - 1];
+        list = this.createList(ordered);
+        parentItem.children.push(list);
+        stack[stack.length - 1] = list;
+      }
+
+      const item = this.createListItem(match[2]);
+      item.position = this.createPosition(lineOffset + next, lineOffset + next, lines[next]);
+      list.children.push(item);
+      next++;
+    }
+
+    return { token: root, next };
+  }
+
+  /**
+   * Create an empty list token
+   * @param {boolean} ordered - Numbered list
+   * @returns {Object} List token
+   */
+  createList(ordered) {
+    return { type: NODE_TYPES.LIST, ordered, tight: true, children: [] };
+  }
+
+  /**
+   * Create a list item token with inline content
+   * @param {string} content - Item text
+   * @returns {Object} List item token
+   */
+  createListItem(content) {
+    return {
+      type: NODE_TYPES.LIST_ITEM,
+      children: [{ type: NODE_TYPES.PARAGRAPH, content }]
+    };
+  }
+
+  /**
+   * Table - "||" separates header cells, "|" separates data cells
+   */
+  tokenizeWikiTable(lines, index, depth, lineOffset) {
+    if (!WIKI_BLOCK_PATTERNS.tableRow.test(lines[index])) return null;
+
+    const rows = [];
+    let next = index;
+    while (next < lines.length && WIKI_BLOCK_PATTERNS.tableRow.test(lines[next])) {
+      rows.push({
+        type: NODE_TYPES.TABLE_ROW,
+        position: this.createPosition(lineOffset + next, lineOffset + next, lines[next]),
+        children: this.splitTableRow(lines[next].trim()).map(cell => ({
+          type: NODE_TYPES.TABLE_CELL,
+          header: cell.header,
+          content: cell.content
+        }))
+      });
+      next++;
+    }
+
+    return {
+      token: { type: NODE_TYPES.TABLE, children: rows },
+      next
+    };
+  }
+
+  /**
+   * Split a table row into cells. Pipes inside [links] and {{monospace}}
+   * do not separate cells.
+   * @param {string} line - Table row
+   * @returns {Array} Cells ({ header, content })
+   */
+  splitTableRow(line) {
+    const cells = [];
+    let depth = 0;
+    let current = null;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (char === '\\' && i + 1 < line.length) {
+        if (current) current.content += line.slice(i, i + 2);
+        i++;
+        continue;
+      }
+
+      if (char === '[' || char === '{') depth++;
+      if ((char === ']' || char === '}') && depth > 0) depth--;
+
+      if (char === '|' && depth === 0) {
+        const header = line[i + 1] === '|';
+        if (header) i++;
+        if (current) cells.push(current);
+        current = { header, content: '' };
+        continue;
+      }
+
+      if (current) current.content += char;
+    }
+
+    // Content after the last separator is a cell only if non-empty
+    if (current && current.content.trim()) cells.push(current);
+
+    return cells.map(cell => ({ ...cell, content: cell.content.trim() }));
+  }
+
+  /**
+   * Paragraph - runs until a blank line or the start of another block
+   */
+  tokenizeWikiParagraph(lines, index) {
+    const text = [lines[index].trim()];
+    let next = index + 1;
+
+    while (next < lines.length &&
+           !WIKI_BLOCK_PATTERNS.blank.test(lines[next]) &&
+           !this.startsWikiBlock(lines[next])) {
+      text.push(lines[next].trim());
+      next++;
+    }
+
+    return {
+      token: { type: NODE_TYPES.PARAGRAPH, content: text.join('\n') },
+      next
+    };
+  }
+
+  /**
+   * Check whether a line starts a wiki block
+   * @param {string} line - Source line
+   * @returns {boolean} True if the line starts a new block
+   */
+  startsWikiBlock(line) {
+    return ['heading', 'blockquoteLine', 'codeMacro', 'quoteMacro', 'horizontalRule', 'listItem', 'tableRow']
+      .some(name => WIKI_BLOCK_PATTERNS[name].test(line));
+  }
+
+  /**
+   * Tokenize wiki inline content
+   * @param {string} text - Inline source text
+   * @param {Object} context - Parse context ({ inLink })
+   * @returns {Array} Inline nodes
+   */
+  parseInline(text, context = {}) {
+    const nodes = [];
+    let buffer = '';
+    let index = 0;
+
+    const flush = () => {
+      if (buffer) {
+        nodes.push({ type: NODE_TYPES.TEXT, content: buffer });
+        buffer = '';
+      }
+    };
+
+    while (index < text.length) {
+      const char = text[index];
+
+      // "\\" is a forced line break, "\x" escapes a character
+      if (char === '\\') {
+        if (text[index + 1] === '\\') {
+          flush();
+          nodes.push({ type: NODE_TYPES.LINE_BREAK });
+          index += 2;
+          continue;
+        }
+        if (text[index + 1]) {
+          buffer += text[index + 1];
+          index += 2;
+          continue;
+        }
+      }
+
+      if (char === '\n') {
+        flush();
+        nodes.push({ type: NODE_TYPES.LINE_BREAK });
+        index++;
+        continue;
+      }
+
+      // {{monospace}}; "\{", "\}" and "\|" inside are literal characters
+      if (char === '{' && text[index + 1] === '{') {
+        const close = findMonospaceEnd(text, index + 2);
+        if (close > index + 2) {
+          flush();
+          nodes.push({ type: NODE_TYPES.CODE, content: text.slice(index + 2, close).replace(/\\([{}|])/g, '$1') });
+          index = close + 2;
+          continue;
+        }
+      }
+
+      // !attachment.png! and !https://host/image.png!
+      if (char === '!' && !/\w/.test(text[index - 1] || ' ')) {
+        const image = this.scanWikiImage(text, index);
+        if (image) {
+          flush();
+          nodes.push(image.node);
+          index = image.end;
+          continue;
+        }
+      }
+
+      // [label|url] and [url]
+      if (char === '[' && !context.inLink) {
+        const link = this.scanWikiLink(text, index);
+        if (link) {
+          flush();
+          nodes.push(link.node);
+          index = link.end;
+          continue;
+        }
+        if (this.matchAt(UNCLOSED_LINK, text, index)) {
+          this.reportInline('warning', 'Link is missing its closing "]"; it is shown as text', (context.offset || 0) + index);
+        }
+      }
+
+      // *strong*, _emphasis_, -deleted-, +inserted+
+      if (WIKI_MARKS[char]) {
+        const close = this.findMarkClose(text, index);
+        if (close !== -1) {
+          flush();
+          nodes.push({
+            type: WIKI_MARKS[char],
+            children: this.parseInline(text.slice(index + 1, close), { ...context, offset: (context.offset || 0) + index + 1 })
+          });
+          index = close + 1;
+          continue;
+        }
+      }
+
+      // Bare URLs
+      if (this.options.autoLinkUrls && !context.inLink &&
+          (char === 'h' || char === 'H') && !/[a-zA-Z0-9]/.test(text[index - 1] || ' ')) {
+        const url = this.scanBareUrl(text, index);
+        if (url) {
+          flush();
+          nodes.push(this.createAutolink(url, url));
+          index += url.length;
+          continue;
+        }
+      }
+
+      buffer += char;
+      index++;
+    }
+
+    flush();
+    return this.mergeText(nodes);
+  }
+
+  /**
+   * Find the closing marker for a formatting run opened at index.
+   * Markers must hug their content and sit outside words (so "a-b-c" stays
+   * plain text).
+   * @param {string} text - Source text
+   * @param {number} index - Position of the opening marker
+   * @returns {number} Position of the closing marker or -1
+   */
+  findMarkClose(text, index) {
+    const mark = text[index];
+    const before = text[index - 1] || ' ';
+    const after = text[index + 1] || ' ';
+
+    if (/[a-zA-Z0-9]/.test(before) || /\s/.test(after) || after === mark) return -1;
+
+    let search = index + 1;
+    while (search < text.length) {
+      const close = text.indexOf(mark, search);
+      if (close === -1) return -1;
+
+      const inner = text.slice(index + 1, close);
+      if (inner.includes('\n')) return -1;
+
+      const closeBefore = text[close - 1];
+      const closeAfter = text[close + 1] || ' ';
+      if (close > index + 1 && !/\s/.test(closeBefore) && !/[a-zA-Z0-9]/.test(closeAfter)) {
+        return close;
+      }
+      search = close + 1;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Scan a wiki image. A source without a scheme is an attachment of the
+   * issue. Parameters after "|" set width, height and alt text.
+   * @param {string} text - Source text
+   * @param {number} index - Position of the opening "!"
+   * @returns {Object|null} { node, end }
+   */
+  scanWikiImage(text, index) {
+    IMAGE_PATTERN.lastIndex = index;
+    const match = IMAGE_PATTERN.exec(text);
+    if (!match || !IMAGE_SOURCE.test(match[1].trim())) return null;
+
+    const params = {};
+    for (const param of (match[2] || '').split(',')) {
+      const [key, ...value] = param.split('=');
+      if (key.trim()) params[key.trim().toLowerCase()] = value.join('=').trim().replace(/^"(.*)"$/, '$1');
+    }
+
+    const source = match[1].trim();
+    const size = value => /^\d+$/.test(value || '') ? Number(value) : null;
+    const node = this.createImage(
+      /^https?:/i.test(source) ? source : `attachment:${source}`,
+      params.alt || '',
+      { title: params.title || null, width: size(params.width), height: size(params.height) }
+    );
+
+    return { node, end: index + match[0].length };
+  }
+
+  /**
+   * Scan a wiki link: [label|url], [url] or [mailto:address]
+   * @param {string} text - Source text
+   * @param {number} index - Position of "["
+   * @returns {Object|null} { node, end }
+   */
+  scanWikiLink(text, index) {
+    const close = text.indexOf(']', index + 1);
+    if (close === -1) return null;
+
+    const inner = text.slice(index + 1, close);
+    if (!inner || inner.includes('\n')) return null;
+
+    const parts = inner.split('|');
+    const url = (parts.length > 1 ? parts[1] : parts[0]).trim();
+    if (!LINK_TARGET.test(url)) return null;
+
+    const label = parts.length > 1
+      ? parts[0]
+      : url.replace(/^mailto:/i, '');
+
+    return {
+      node: {
+        type: NODE_TYPES.LINK,
+        url,
+        title: parts.length > 2 ? parts[2].trim() : null,
+        children: this.parseInline(label, { inLink: true })
+      },
+      end: close + 1
+    };
+  }
+}
+
+/**
+ * Find the "}}" that ends a {{monospace}} run, skipping escaped characters
+ * @param {string} text - Source text
+ * @param {number} index - Position after the opening "{{"
+ * @returns {number} Position of the closing "}}", or -1
+ */
+function findMonospaceEnd(text, index) {
+  for (let i = index; i < text.length - 1; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '}' && text[i + 1] === '}') {
+      return i;
+    }
+  }
+  return -1;
+}